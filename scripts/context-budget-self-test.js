@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+"use strict";
+
+// Checks context budgeting and history compaction against a local mock
+// chat-completions endpoint used for summaries. No LM Studio needed.
+
+const http = require("http");
+const {
+  estimateTokens,
+  estimateMessagesTokens,
+  normalizeCompactionStrategy,
+  prepareContext
+} = require("../src/context-budget");
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => resolve(body));
+  });
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+function createSummaryServer() {
+  const state = { requests: [], fail: false };
+  const server = http.createServer(async (req, res) => {
+    const body = JSON.parse((await readBody(req)) || "{}");
+    state.requests.push({ url: req.url, body });
+    if (state.fail) {
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end("model crashed");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        choices: [{ message: { role: "assistant", content: ` summary #${state.requests.length} ` } }]
+      })
+    );
+  });
+  return { server, state };
+}
+
+// One turn: a user prompt, a tool call, its result and the final answer.
+function turn(n, size = 400) {
+  const id = `call_${n}`;
+  return [
+    { role: "user", content: `question ${n} `.padEnd(size, "q") },
+    {
+      role: "assistant",
+      content: "",
+      tool_calls: [{ id, type: "function", function: { name: "read_file", arguments: `{"path":"f${n}.js"}` } }]
+    },
+    { role: "tool", tool_call_id: id, name: "read_file", content: `contents ${n} `.padEnd(size, "c") },
+    { role: "assistant", content: `answer ${n} `.padEnd(size, "a") }
+  ];
+}
+
+function history(turns) {
+  const messages = [];
+  for (let n = 1; n <= turns; n += 1) {
+    messages.push(...turn(n));
+  }
+  return messages;
+}
+
+const systemMessages = [{ role: "system", content: "You are helpful." }];
+
+// Every kept tool call must still be followed by its result.
+function assertToolPairsIntact(messages, label) {
+  const resultIds = new Set(messages.filter((m) => m.role === "tool").map((m) => m.tool_call_id));
+  for (const message of messages) {
+    for (const call of message.tool_calls || []) {
+      assert(resultIds.has(call.id), `${label}: tool call ${call.id} lost its result`);
+    }
+  }
+}
+
+async function main() {
+  assert(estimateTokens("") === 0 && estimateTokens("abcd") === 1 && estimateTokens("abcde") === 2, "estimateTokens");
+  assert(
+    estimateMessagesTokens([{ role: "user", content: "abcd" }, { role: "tool", name: "ab", content: "" }]) === 10,
+    "estimateMessagesTokens should count overhead, content and names"
+  );
+  assert(normalizeCompactionStrategy(" trim ") === "trim", "trim strategy not kept");
+  assert(normalizeCompactionStrategy("bogus") === "summarize", "unknown strategy should summarize");
+  console.log("[context-budget-self-test] estimates ok");
+
+  const summaryServer = createSummaryServer();
+  const port = await listen(summaryServer.server);
+  const config = {
+    baseUrl: `http://127.0.0.1:${port}/v1/`,
+    apiKey: "lm-studio",
+    model: "test-model",
+    maxTokens: 100
+  };
+  // 1000-token window: 100 for the reply and 100 held back for tools.
+  const contextLength = 1000;
+
+  try {
+    const small = await prepareContext({
+      config: { ...config, contextCompaction: "trim" },
+      systemMessages,
+      history: history(1),
+      summary: null,
+      contextLength
+    });
+    assert(small.messages.length === 5 && !small.usage.compacted, "history within budget should be sent as-is");
+    assert(small.usage.budget === 800 && small.events.length === 0, `unexpected budget ${small.usage.budget}`);
+    const fallback = await prepareContext({
+      config: { ...config, contextCompaction: "trim" },
+      systemMessages,
+      history: history(1),
+      summary: null,
+      contextLength: 0
+    });
+    assert(fallback.usage.contextLength === 8192, "unknown context length should use the default window");
+    console.log("[context-budget-self-test] within budget ok");
+
+    const full = history(6);
+    const trimmed = await prepareContext({
+      config: { ...config, contextCompaction: "trim" },
+      systemMessages,
+      history: full,
+      summary: null,
+      contextLength
+    });
+    const kept = trimmed.messages.slice(1);
+    const droppedCount = full.length - kept.length;
+    assert(trimmed.usage.compacted && droppedCount > 0, "over-budget history was not trimmed");
+    assert(trimmed.messages[0] === systemMessages[0], "system prompt must stay first");
+    assert(kept[0].role === "user" && droppedCount % 4 === 0, "trimming must drop whole turns");
+    assert(kept[kept.length - 1] === full[full.length - 1], "latest message must be kept");
+    assert(trimmed.usage.estimatedTokens <= trimmed.usage.budget, "trimmed prompt still over budget");
+    assertToolPairsIntact(kept, "trim");
+    assert(trimmed.summary === null && summaryServer.state.requests.length === 0, "trim must not summarize");
+    assert(
+      trimmed.events[0].summary === `Trimmed ${droppedCount} older message(s) to fit the context window.`,
+      `trim event: ${trimmed.events[0].summary}`
+    );
+    console.log("[context-budget-self-test] trim drops whole turns ok");
+
+    const untouched = await prepareContext({
+      config: { ...config, contextCompaction: "off" },
+      systemMessages,
+      history: full,
+      summary: null,
+      contextLength
+    });
+    assert(untouched.messages.length === full.length + 1 && !untouched.usage.compacted, "off must not compact");
+    assert(/still exceeds/.test(untouched.events[0].summary), "off should report the overflow");
+    console.log("[context-budget-self-test] compaction off ok");
+
+    const summarized = await prepareContext({
+      config: { ...config, contextCompaction: "summarize" },
+      systemMessages,
+      history: full,
+      summary: null,
+      contextLength
+    });
+    const [request] = summaryServer.state.requests;
+    assert(request.url === "/v1/chat/completions", `summary request went to ${request.url}`);
+    assert(request.body.model === "test-model" && request.body.temperature === 0, "summary request settings");
+    const transcript = request.body.messages[1].content;
+    assert(/USER: question 1/.test(transcript) && /TOOL RESULT \(read_file\)/.test(transcript), "dropped turns not sent");
+    assert(!transcript.includes("question 6"), "kept turns must not be summarized");
+    assert(summarized.summary.text === "summary #1", "summary text should be trimmed server output");
+    assert(summarized.summary.coveredMessageCount === droppedCount, "summary should cover the dropped messages");
+    assert(
+      summarized.messages[1].role === "system" && summarized.messages[1].content.endsWith("\nsummary #1"),
+      "summary should follow the system prompt"
+    );
+    assertToolPairsIntact(summarized.messages, "summarize");
+    console.log("[context-budget-self-test] summarize folds dropped turns ok");
+
+    const longer = [...full, ...turn(7), ...turn(8)];
+    const resummarized = await prepareContext({
+      config: { ...config, contextCompaction: "summarize" },
+      systemMessages,
+      history: longer,
+      summary: summarized.summary,
+      contextLength
+    });
+    const second = summaryServer.state.requests[1].body.messages[1].content;
+    assert(second.startsWith("Existing summary of earlier conversation:\nsummary #1"), "previous summary not folded in");
+    assert(!second.includes("question 1 "), "already covered messages must not be resent");
+    assert(resummarized.summary.coveredMessageCount > droppedCount, "covered count should grow");
+    assert(
+      resummarized.messages.length === 2 + longer.length - resummarized.summary.coveredMessageCount,
+      "messages should be the prefix plus uncovered history"
+    );
+    console.log("[context-budget-self-test] repeated compaction ok");
+
+    summaryServer.state.fail = true;
+    const failed = await prepareContext({
+      config: { ...config, contextCompaction: "summarize" },
+      systemMessages,
+      history: full,
+      summary: null,
+      contextLength
+    });
+    assert(failed.summary === null && failed.usage.compacted, "failed summary should fall back to trimming");
+    assert(/^Summarization failed; trimmed \d+/.test(failed.events[0].summary), "fallback event");
+    assert(/model crashed/.test(failed.events[0].details), "fallback should carry the error");
+    assert(failed.messages.length === trimmed.messages.length, "fallback should keep the same turns as trim");
+    console.log("[context-budget-self-test] summarize failure falls back to trim ok");
+
+    const huge = await prepareContext({
+      config: { ...config, contextCompaction: "trim" },
+      systemMessages,
+      history: turn(1, 8000),
+      summary: null,
+      contextLength
+    });
+    assert(huge.messages.length === 5, "the latest turn is kept even when it alone is too large");
+    assert(/still exceeds/.test(huge.events[huge.events.length - 1].summary), "oversized turn should be reported");
+    console.log("[context-budget-self-test] oversized latest turn ok");
+  } finally {
+    summaryServer.server.close();
+  }
+  console.log("[context-budget-self-test] PASS");
+}
+
+main().catch((err) => {
+  const msg = err instanceof Error ? err.message : String(err);
+  console.error(`[context-budget-self-test] FAIL: ${msg}`);
+  process.exit(1);
+});
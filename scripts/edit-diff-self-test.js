@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+"use strict";
+
+// Checks the unified-diff helpers and how staged edits are stored and pruned
+// in session state, using an in-memory memento. No VS Code needed.
+
+const { looksLikeUnifiedDiff, applyUnifiedDiff, countChangedLines } = require("../src/diff-utils");
+const { SessionStore } = require("../src/session-store");
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function expectEqual(actual, expected, label) {
+  assert(actual === expected, `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+function createMemento() {
+  const values = new Map();
+  return {
+    values,
+    get: (key, fallback) => (values.has(key) ? JSON.parse(values.get(key)) : fallback),
+    update: async (key, value) => {
+      values.set(key, JSON.stringify(value));
+    },
+    keys: () => [...values.keys()]
+  };
+}
+
+const ORIGINAL = ["function add(a, b) {", "  return a + b;", "}", "", "module.exports = { add };", ""].join("\n");
+
+function checkDiffs() {
+  assert(looksLikeUnifiedDiff("notes\n@@ -1,2 +1,2 @@\n-a\n+b"), "hunk header should be detected");
+  assert(!looksLikeUnifiedDiff("@@ not a hunk @@\n+x"), "malformed header is not a diff");
+
+  const patch = [
+    "diff --git a/math.js b/math.js",
+    "--- a/math.js",
+    "+++ b/math.js",
+    "@@ -1,3 +1,4 @@",
+    " function add(a, b) {",
+    "-  return a + b;",
+    "+  // Sum of both operands.",
+    "+  return a + b + 0;",
+    " }",
+    "\\ No newline at end of file"
+  ].join("\n");
+  expectEqual(
+    applyUnifiedDiff(ORIGINAL, patch),
+    ["function add(a, b) {", "  // Sum of both operands.", "  return a + b + 0;", "}", "", "module.exports = { add };", ""].join("\n"),
+    "single hunk"
+  );
+
+  // Header line numbers are only hints; hunks are found by their content.
+  const shifted = ["@@ -8,1 +8,1 @@", "-module.exports = { add };", "+module.exports = { add, sum: add };"].join("\n");
+  expectEqual(
+    applyUnifiedDiff(ORIGINAL, shifted),
+    ORIGINAL.replace("{ add }", "{ add, sum: add }"),
+    "hunk with a stale line number"
+  );
+
+  const crlf = ORIGINAL.replace(/\n/g, "\r\n");
+  const twoHunks = [
+    "@@ -1,1 +1,1 @@",
+    "-function add(a, b) {",
+    "+function add(a, b = 0) {",
+    "@@ -5,1 +5,2 @@",
+    "+// exports",
+    " module.exports = { add };"
+  ].join("\n");
+  expectEqual(
+    applyUnifiedDiff(crlf, twoHunks),
+    ["function add(a, b = 0) {", "  return a + b;", "}", "", "// exports", "module.exports = { add };", ""].join("\r\n"),
+    "two hunks keep CRLF line endings"
+  );
+
+  // A removed line that itself starts with "--" is not a file header.
+  const dashes = "-- comment\nkeep\n";
+  expectEqual(applyUnifiedDiff(dashes, "@@ -1,2 +1,1 @@\n--- comment\n keep"), "keep\n", "removed line starting with --");
+
+  let failure = "";
+  try {
+    applyUnifiedDiff(ORIGINAL, "@@ -2,1 +2,1 @@\n-  return a - b;\n+  return b;");
+  } catch (err) {
+    failure = err.message;
+  }
+  expectEqual(failure, "Hunk 1 (line 2) does not match the file.", "mismatched hunk");
+  failure = "";
+  try {
+    applyUnifiedDiff(ORIGINAL, "just text");
+  } catch (err) {
+    failure = err.message;
+  }
+  expectEqual(failure, "Patch contains no hunks.", "patch without hunks");
+  console.log("[edit-diff-self-test] unified diff apply ok");
+
+  const counts = (a, b) => JSON.stringify(countChangedLines(a, b));
+  expectEqual(counts(ORIGINAL, ORIGINAL), '{"added":0,"removed":0}', "unchanged file");
+  expectEqual(counts(ORIGINAL, ORIGINAL.replace("a + b", "b + a")), '{"added":1,"removed":1}', "one changed line");
+  expectEqual(counts("", "a\nb\n"), '{"added":3,"removed":0}', "new file");
+  expectEqual(counts("a\nb\nc", "a\nc"), '{"added":0,"removed":1}', "removed line");
+  expectEqual(counts("x\r\ny", "x\ny\nz"), '{"added":1,"removed":0}', "mixed line endings");
+  console.log("[edit-diff-self-test] changed line counts ok");
+}
+
+async function checkPendingEdits() {
+  const globalState = createMemento();
+  const store = new SessionStore({ globalState, workspaceState: createMemento() });
+  const first = await store.createSession("Edits");
+  const [kept, rejected, created] = await store.addPendingEdits(first.id, [
+    { uri: "file:///w/a.js", path: "a.js", original: "a\nb\n", proposed: "a\nB\nc\n" },
+    { uri: "file:///w/b.js", path: "b.js", original: "x\n", proposed: "y\n" },
+    { uri: "file:///w/c.js", path: "c.js", original: "", proposed: "new\n", created: true },
+    { path: "no-uri.js", original: "", proposed: "dropped" }
+  ]);
+  assert(created && store.getActiveSession().pendingEdits.length === 3, "edits without a uri should be dropped");
+  expectEqual(kept.status, "pending", "new edits are pending");
+  expectEqual(`${kept.added}/${kept.removed}`, "2/1", "stored line counts");
+  assert(created.created && created.proposed === "new\n", "created edit keeps its contents while open");
+
+  await store.setPendingEditStatus(first.id, [kept.id], "accepted");
+  await store.setPendingEditStatus(first.id, [rejected.id], "rejected");
+  let persisted = globalState.values.get("joshgpt.sessions.v2");
+  assert(persisted.includes('"a\\nB\\nc\\n"'), "accepted edit keeps its contents until applied");
+  assert(!persisted.includes('"y\\n"'), "rejected edit contents should be dropped");
+  expectEqual(`${rejected.added}/${rejected.removed}`, "1/1", "rejected edit keeps its counts");
+
+  let failure = "";
+  await store.setPendingEditStatus(first.id, [kept.id], "merged").catch((err) => {
+    failure = err.message;
+  });
+  expectEqual(failure, "Unknown pending edit status: merged", "unknown status");
+  console.log("[edit-diff-self-test] pending edit statuses ok");
+
+  await store.createSession("Other");
+  const statuses = first.pendingEdits.map((edit) => edit.status).join(",");
+  expectEqual(statuses, "expired,rejected,expired", "leaving a session expires its open edits");
+  persisted = globalState.values.get("joshgpt.sessions.v2");
+  assert(!persisted.includes("a\\nB") && !persisted.includes('"new\\n"'), "expired edits should drop their contents");
+
+  await store.setActiveSession(first.id);
+  const reloaded = new SessionStore({ globalState, workspaceState: createMemento() });
+  const edits = reloaded.getActiveSession().pendingEdits;
+  expectEqual(
+    edits.map((edit) => `${edit.path}:${edit.status}:${edit.added}/${edit.removed}`).join(","),
+    "a.js:expired:2/1,b.js:rejected:1/1,c.js:expired:2/0",
+    "reloaded edits keep their summaries"
+  );
+  console.log("[edit-diff-self-test] pending edit pruning ok");
+
+  // Switching away while a prompt still runs in that session keeps its edits
+  // open until the run ends.
+  const running = await store.createSession("Running");
+  const [open] = await store.addPendingEdits(running.id, [
+    { uri: "file:///w/d.js", path: "d.js", original: "d\n", proposed: "D\n" }
+  ]);
+  store.beginRun(running.id);
+  await store.createSession("Meanwhile");
+  expectEqual(open.status, "pending", "edits of a running session stay open");
+  assert(open.proposed === "D\n", "edits of a running session keep their contents");
+  await store.endRun(running.id);
+  expectEqual(open.status, "expired", "run ending in a session that was left expires its edits");
+  store.beginRun(running.id);
+  await store.setActiveSession(running.id);
+  const [again] = await store.addPendingEdits(running.id, [
+    { uri: "file:///w/e.js", path: "e.js", original: "", proposed: "e\n", created: true }
+  ]);
+  await store.endRun(running.id);
+  expectEqual(again.status, "pending", "run ending in the active session keeps its edits open");
+  console.log("[edit-diff-self-test] running session edits ok");
+}
+
+async function main() {
+  checkDiffs();
+  await checkPendingEdits();
+  console.log("[edit-diff-self-test] PASS");
+}
+
+main().catch((err) => {
+  const msg = err instanceof Error ? err.message : String(err);
+  console.error(`[edit-diff-self-test] FAIL: ${msg}`);
+  process.exit(1);
+});
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+"use strict";
+
+// Checks tool-argument validation against the local shell tool schema and
+// MCP-style schemas with $refs and combinators. No LM Studio needed.
+
+const { validateJsonSchema } = require("../src/json-schema-validate");
+const { getLocalShellOpenAiTool } = require("../src/local-shell-tool");
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function problems(value, schema, options) {
+  return validateJsonSchema(value, schema, options).map((problem) => `${problem.path}: ${problem.message}`);
+}
+
+function expectProblems(value, schema, expected, label) {
+  const actual = problems(value, schema);
+  assert(
+    JSON.stringify(actual) === JSON.stringify(expected),
+    `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+  );
+}
+
+// Shaped like the schemas MCP servers generate from typed handlers.
+const editSchema = {
+  type: "object",
+  required: ["path", "edits"],
+  additionalProperties: false,
+  properties: {
+    path: { type: "string", minLength: 1, pattern: "^[^/]" },
+    edits: { type: "array", minItems: 1, items: { $ref: "#/$defs/Edit" } },
+    mode: { enum: ["replace", "append"] },
+    dry_run: { type: "boolean" }
+  },
+  $defs: {
+    Edit: {
+      type: "object",
+      required: ["old_text", "new_text"],
+      properties: {
+        old_text: { type: "string" },
+        new_text: { type: "string" }
+      }
+    }
+  }
+};
+
+function main() {
+  const shellSchema = getLocalShellOpenAiTool().function.parameters;
+  expectProblems({ command: "ls", timeout_seconds: 30 }, shellSchema, [], "valid shell call");
+  expectProblems({}, shellSchema, ["$.command: is required"], "missing command");
+  expectProblems(
+    { command: ["ls"], timeout_seconds: 1.5, max_output_chars: 10, shell: "bash" },
+    shellSchema,
+    [
+      "$.command: must be string, got array",
+      "$.timeout_seconds: must be integer, got number",
+      "$.max_output_chars: must be >= 256",
+      "$.shell: is not an allowed property"
+    ],
+    "bad shell call"
+  );
+  expectProblems({ command: "ls", timeout_seconds: 901 }, shellSchema, ["$.timeout_seconds: must be <= 900"], "maximum");
+  console.log("[json-schema-self-test] local shell schema ok");
+
+  expectProblems(
+    { path: "src/a.js", edits: [{ old_text: "a", new_text: "b" }], mode: "replace" },
+    editSchema,
+    [],
+    "valid edit call"
+  );
+  expectProblems(
+    { path: "/etc/passwd", edits: [{ old_text: "a" }, { "new text": 1, new_text: 2, old_text: "" }], mode: "patch" },
+    editSchema,
+    [
+      "$.path: must match pattern ^[^/]",
+      "$.edits[0].new_text: is required",
+      "$.edits[1].new_text: must be string, got integer",
+      '$.mode: must be one of "replace", "append"'
+    ],
+    "refs and nested paths"
+  );
+  expectProblems(
+    { path: "", edits: [] },
+    editSchema,
+    [
+      "$.path: must be at least 1 character(s) long",
+      "$.path: must match pattern ^[^/]",
+      "$.edits: must have at least 1 item(s)"
+    ],
+    "string and array bounds"
+  );
+  console.log("[json-schema-self-test] $ref, nested paths and bounds ok");
+
+  const target = {
+    oneOf: [
+      { type: "object", required: ["line"], properties: { line: { type: "integer", exclusiveMinimum: 0 } } },
+      { type: "object", required: ["symbol"], properties: { symbol: { type: "string" } } }
+    ]
+  };
+  expectProblems({ line: 3 }, target, [], "oneOf single match");
+  expectProblems({ line: 3, symbol: "main" }, target, ["$: matches more than one allowed shape (oneOf)"], "oneOf ambiguous");
+  expectProblems({ line: 0 }, target, ["$: does not match any allowed shape (oneOf)"], "oneOf none");
+  expectProblems(
+    { tags: ["a", "a"], limit: 2.5 },
+    {
+      type: "object",
+      properties: {
+        tags: { type: "array", uniqueItems: true, items: { anyOf: [{ type: "string" }, { type: "null" }] } },
+        limit: { type: "number", multipleOf: 0.5, not: { const: 2.5 } }
+      }
+    },
+    ["$.tags[1]: duplicates an earlier item", "$.limit: matches a disallowed shape (not)"],
+    "uniqueItems and not"
+  );
+  expectProblems(
+    { "weird key": 1, ok: "x" },
+    { type: "object", additionalProperties: { type: "string" }, allOf: [{ required: ["id"] }] },
+    ['$["weird key"]: must be string, got integer', "$.id: is required"],
+    "additionalProperties schema and allOf"
+  );
+  console.log("[json-schema-self-test] combinators and keyword coverage ok");
+
+  const looping = { $defs: { Node: { $ref: "#/$defs/Node" } }, $ref: "#/$defs/Node" };
+  expectProblems({ any: "thing" }, looping, [], "self-referencing $ref must terminate");
+  expectProblems("x", { $ref: "https://example.com/remote.json", type: "string" }, [], "remote $ref is ignored");
+  expectProblems("abc", { type: "string", pattern: "(?<=" }, [], "uncompilable pattern is skipped");
+  expectProblems(1, false, ["$: is not allowed"], "false schema");
+  expectProblems({ anything: [1, 2] }, true, [], "true schema");
+  const many = problems(
+    Object.fromEntries(Array.from({ length: 30 }, (_, index) => [`k${index}`, index])),
+    { additionalProperties: false },
+    { maxErrors: 5 }
+  );
+  assert(many.length === 5 && many[0] === "$.k0: is not an allowed property", "maxErrors should cap the problem list");
+  console.log("[json-schema-self-test] guards ok");
+
+  console.log("[json-schema-self-test] PASS");
+}
+
+try {
+  main();
+} catch (err) {
+  const msg = err instanceof Error ? err.message : String(err);
+  console.error(`[json-schema-self-test] FAIL: ${msg}`);
+  process.exit(1);
+}
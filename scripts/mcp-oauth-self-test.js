@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+"use strict";
+
+// Runs the MCP authorization flow against a local mock authorization server
+// and a mock MCP server that requires bearer tokens. No network access needed.
+
+const crypto = require("crypto");
+const http = require("http");
+const { McpHttpClient } = require("../src/mcp-client");
+const { resolveMcpServers } = require("../src/mcp-registry");
+const { createMcpAuthRegistry, parseWwwAuthenticate } = require("../src/mcp-auth");
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => resolve(body));
+  });
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+function createAuthorizationServer() {
+  const state = {
+    clients: new Map(),
+    codes: new Map(),
+    accessTokens: new Set(),
+    refreshTokens: new Set(),
+    issued: 0,
+    refreshes: 0,
+    origin: ""
+  };
+  const issue = (res) => {
+    state.issued += 1;
+    const accessToken = `at-${state.issued}`;
+    const refreshToken = `rt-${state.issued}`;
+    state.accessTokens.add(accessToken);
+    state.refreshTokens.add(refreshToken);
+    sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 3600,
+      refresh_token: refreshToken
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, state.origin);
+    if (req.method === "GET" && url.pathname === "/.well-known/oauth-authorization-server") {
+      sendJson(res, 200, {
+        issuer: state.origin,
+        authorization_endpoint: `${state.origin}/authorize`,
+        token_endpoint: `${state.origin}/token`,
+        registration_endpoint: `${state.origin}/register`,
+        code_challenge_methods_supported: ["S256"]
+      });
+      return;
+    }
+    if (req.method === "POST" && url.pathname === "/register") {
+      const body = JSON.parse(await readBody(req));
+      const clientId = `client-${state.clients.size + 1}`;
+      state.clients.set(clientId, body.redirect_uris || []);
+      sendJson(res, 201, { client_id: clientId, redirect_uris: body.redirect_uris });
+      return;
+    }
+    if (req.method === "GET" && url.pathname === "/authorize") {
+      const params = url.searchParams;
+      const redirects = state.clients.get(params.get("client_id"));
+      if (
+        !redirects ||
+        !redirects.includes(params.get("redirect_uri")) ||
+        params.get("code_challenge_method") !== "S256" ||
+        !params.get("code_challenge") ||
+        !params.get("resource")
+      ) {
+        res.writeHead(400);
+        res.end("bad authorization request");
+        return;
+      }
+      const code = crypto.randomBytes(8).toString("hex");
+      state.codes.set(code, {
+        challenge: params.get("code_challenge"),
+        redirectUri: params.get("redirect_uri"),
+        resource: params.get("resource")
+      });
+      const target = new URL(params.get("redirect_uri"));
+      target.searchParams.set("code", code);
+      target.searchParams.set("state", params.get("state"));
+      res.writeHead(302, { Location: target.toString() });
+      res.end();
+      return;
+    }
+    if (req.method === "POST" && url.pathname === "/token") {
+      const form = new URLSearchParams(await readBody(req));
+      if (form.get("grant_type") === "authorization_code") {
+        const grant = state.codes.get(form.get("code"));
+        state.codes.delete(form.get("code"));
+        const challenge = crypto
+          .createHash("sha256")
+          .update(form.get("code_verifier") || "")
+          .digest("base64url");
+        if (!grant || grant.challenge !== challenge || grant.redirectUri !== form.get("redirect_uri")) {
+          sendJson(res, 400, { error: "invalid_grant" });
+          return;
+        }
+        issue(res);
+        return;
+      }
+      if (form.get("grant_type") === "refresh_token" && state.refreshTokens.has(form.get("refresh_token"))) {
+        state.refreshTokens.delete(form.get("refresh_token"));
+        state.refreshes += 1;
+        issue(res);
+        return;
+      }
+      sendJson(res, 400, { error: "invalid_grant" });
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  return { server, state };
+}
+
+function createProtectedMcpServer(authState) {
+  const state = { origin: "", authServer: "" };
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, state.origin);
+    const metadataPath = "/.well-known/oauth-protected-resource/mcp";
+    if (req.method === "GET" && url.pathname === metadataPath) {
+      sendJson(res, 200, {
+        resource: `${state.origin}/mcp`,
+        authorization_servers: [state.authServer],
+        scopes_supported: ["mcp:tools"]
+      });
+      return;
+    }
+    if (url.pathname !== "/mcp") {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const body = await readBody(req);
+    if (req.method === "DELETE") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const token = String(req.headers.authorization || "").replace(/^Bearer /, "");
+    if (!authState.accessTokens.has(token) && token !== "static-token") {
+      res.writeHead(401, {
+        "WWW-Authenticate": `Bearer resource_metadata="${state.origin}${metadataPath}"`
+      });
+      res.end();
+      return;
+    }
+    const message = JSON.parse(body);
+    if (!Object.prototype.hasOwnProperty.call(message, "id")) {
+      res.writeHead(202);
+      res.end();
+      return;
+    }
+    const reply = (result) => sendJson(res, 200, { jsonrpc: "2.0", id: message.id, result });
+    if (message.method === "initialize") {
+      reply({ protocolVersion: "2025-03-26", capabilities: { tools: {} }, serverInfo: { name: "mock" } });
+    } else if (message.method === "tools/list") {
+      reply({ tools: [{ name: "whoami", inputSchema: { type: "object" } }] });
+    } else if (message.method === "tools/call") {
+      const apiKey = req.headers["x-api-key"] ? ` ${req.headers["x-api-key"]}` : "";
+      reply({ content: [{ type: "text", text: `${token}${apiKey}` }] });
+    } else {
+      sendJson(res, 200, { jsonrpc: "2.0", id: message.id, error: { code: -32601, message: "not found" } });
+    }
+  });
+  return { server, state };
+}
+
+function createMemorySecrets() {
+  const values = new Map();
+  return {
+    values,
+    get: async (key) => values.get(key),
+    store: async (key, value) => {
+      values.set(key, value);
+    },
+    delete: async (key) => {
+      values.delete(key);
+    }
+  };
+}
+
+// Stands in for the browser: follows the authorization redirect to the loopback receiver.
+async function openBrowser(url) {
+  const response = await fetch(url, { redirect: "manual" });
+  assert(response.status === 302, `authorize returned HTTP ${response.status}`);
+  const page = await (await fetch(response.headers.get("location"))).text();
+  assert(page.includes("Signed in"), "loopback receiver did not confirm sign-in");
+}
+
+async function whoami(client) {
+  const result = await client.callTool("whoami", {});
+  return result.content[0].text;
+}
+
+async function main() {
+  const authServer = createAuthorizationServer();
+  const mcpServer = createProtectedMcpServer(authServer.state);
+  const authPort = await listen(authServer.server);
+  const mcpPort = await listen(mcpServer.server);
+  authServer.state.origin = `http://127.0.0.1:${authPort}`;
+  mcpServer.state.origin = `http://127.0.0.1:${mcpPort}`;
+  mcpServer.state.authServer = authServer.state.origin;
+
+  const secrets = createMemorySecrets();
+  const prompts = [];
+  const authFor = createMcpAuthRegistry({ secrets, onSignInRequired: (server) => prompts.push(server.name) });
+  const [server] = resolveMcpServers([{ name: "secure", url: `${mcpServer.state.origin}/mcp` }]);
+  const auth = authFor(server);
+  const client = new McpHttpClient({ name: server.name, baseUrl: server.url, auth, timeoutMs: 5000 });
+
+  try {
+    const challenge = parseWwwAuthenticate('Bearer realm="mcp", resource_metadata="https://x/y", error=invalid_token');
+    assert(challenge.scheme === "bearer" && challenge.params.resource_metadata === "https://x/y", "WWW-Authenticate parsing");
+    assert(challenge.params.error === "invalid_token", "unquoted WWW-Authenticate parameter");
+
+    let failure = "";
+    await client.listTools().catch((err) => {
+      failure = err.message;
+    });
+    assert(/requires authorization/.test(failure), `expected an authorization error, got: ${failure}`);
+    assert(prompts.length === 1, "sign-in prompt was not requested");
+    assert(auth.resourceMetadataUrl.endsWith("/.well-known/oauth-protected-resource/mcp"), "resource_metadata hint not kept");
+    console.log("[mcp-oauth-self-test] 401 -> sign-in requested");
+
+    await auth.signIn({ openBrowser, timeoutMs: 5000 });
+    const tools = await client.listTools();
+    assert(tools.map((tool) => tool.name).join(",") === "whoami", "tools/list after sign-in");
+    assert((await whoami(client)) === "at-1", "access token not sent");
+    assert(authServer.state.clients.size === 1, "dynamic client registration not used");
+    console.log("[mcp-oauth-self-test] discovery + registration + PKCE sign-in ok");
+
+    authServer.state.accessTokens.clear();
+    assert((await whoami(client)) === "at-2", "token was not refreshed after 401");
+    assert(authServer.state.refreshes === 1, "expected one refresh");
+    console.log("[mcp-oauth-self-test] refresh after 401 ok");
+
+    const key = "joshgpt.mcp.oauth.secure";
+    const record = JSON.parse(secrets.values.get(key));
+    await secrets.store(key, JSON.stringify({ ...record, expiresAt: Date.now() }));
+    assert((await whoami(client)) === "at-3", "expiring token was not refreshed up front");
+    assert(authServer.state.refreshes === 2, "expected a second refresh");
+    console.log("[mcp-oauth-self-test] proactive refresh ok");
+
+    authServer.state.accessTokens.clear();
+    authServer.state.refreshTokens.clear();
+    failure = "";
+    await whoami(client).catch((err) => {
+      failure = err.message;
+    });
+    assert(/requires authorization/.test(failure), "rejected refresh should require sign-in");
+    assert(!secrets.values.has(key) && prompts.length === 2, "stale tokens should be dropped and sign-in requested");
+    console.log("[mcp-oauth-self-test] failed refresh -> sign-in requested");
+
+    await auth.setCredentials({ bearerToken: "static-token", headers: { "X-Api-Key": "k1" } });
+    assert((await whoami(client)) === "static-token k1", "stored bearer token and header not sent");
+    assert((await auth.describe()) === "bearer token, 1 secret header(s)", "credential summary");
+    console.log("[mcp-oauth-self-test] stored token + secret header ok");
+
+    // Same server name, new URL: the stored secrets stay with the old URL.
+    const [moved] = resolveMcpServers([{ name: "secure", url: `${authServer.state.origin}/mcp` }]);
+    const movedAuth = authFor(moved);
+    assert(movedAuth !== auth, "a changed URL should get a new auth instance");
+    const movedHeaders = await movedAuth.getHeaders();
+    assert(!movedHeaders.Authorization && !movedHeaders["X-Api-Key"], "credentials must not be sent to a changed URL");
+    assert((await movedAuth.describe()) === "credentials saved for another URL", "mismatch summary");
+    await movedAuth.setCredentials({ bearerToken: "moved-token" });
+    const movedRecord = JSON.parse(secrets.values.get("joshgpt.mcp.credentials.secure"));
+    assert(movedRecord.serverUrl === moved.url && !movedRecord.headers["X-Api-Key"], "re-entered credentials replace the old record");
+    assert((await movedAuth.getHeaders()).Authorization === "Bearer moved-token", "re-entered token is sent");
+    assert(!(await auth.getHeaders()).Authorization, "the old URL no longer gets the token");
+    await auth.signOut();
+    assert(secrets.values.size === 0, "sign-out should clear stored secrets");
+    console.log("[mcp-oauth-self-test] stored credentials are bound to the server URL");
+  } finally {
+    await client.dispose();
+    authServer.server.close();
+    mcpServer.server.close();
+  }
+  console.log("[mcp-oauth-self-test] PASS");
+}
+
+main().catch((err) => {
+  const msg = err instanceof Error ? err.message : String(err);
+  console.error(`[mcp-oauth-self-test] FAIL: ${msg}`);
+  process.exit(1);
+});
@@ -29,6 +29,7 @@ async function main() {
     throw new Error("Invalid list_files return count.");
   }
 
+  await client.dispose();
   console.log("[mcp-self-test] PASS");
 }
 
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+"use strict";
+
+// Checks how tool calls are collected from the LM Studio native event stream,
+// using a local mock /api/v1/chat that replays event fixtures. No LM Studio
+// needed.
+
+const http = require("http");
+const { createNativeStreamingChat } = require("../src/lmstudio-client");
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+// Each request gets the next fixture: a list of [event, data] pairs.
+function createNativeServer() {
+  const state = { fixtures: [] };
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on("end", () => {
+      const events = state.fixtures.shift() || [];
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      for (const [event, data] of events) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+      res.end();
+    });
+  });
+  return { server, state };
+}
+
+function summarize(toolCalls) {
+  return toolCalls.map((call) => `${call.id}:${call.function.name}:${call.function.arguments}`).join(" | ");
+}
+
+function expectCalls(toolCalls, expected, label) {
+  const actual = summarize(toolCalls);
+  assert(actual === expected, `${label}: expected ${expected}, got ${actual}`);
+}
+
+async function main() {
+  const native = createNativeServer();
+  const port = await listen(native.server);
+  const chat = () =>
+    createNativeStreamingChat({ nativeBaseUrl: `http://127.0.0.1:${port}`, model: "mock", userPrompt: "hi" });
+
+  try {
+    // Argument deltas that carry neither id nor index belong to the call that
+    // is still streaming its arguments.
+    native.state.fixtures.push([
+      ["tool_call.start", { tool_call: { id: "call_a", name: "read_file" } }],
+      ["tool_call.arguments.delta", { delta: '{"path":' }],
+      ["tool_call.arguments.delta", { delta: '"a.js"}' }],
+      ["tool_call.start", { tool_call: { id: "call_b", name: "search_text" } }],
+      ["tool_call.arguments.delta", { delta: '{"query":' }],
+      ["tool_call.arguments.delta", { delta: '"todo"}' }],
+      ["chat.end", { result: { output: [] } }]
+    ]);
+    expectCalls(
+      (await chat()).toolCalls,
+      'call_a:read_file:{"path":"a.js"} | call_b:search_text:{"query":"todo"}',
+      "id-less deltas"
+    );
+
+    // Once a call has its full arguments, a later id-less delta starts over.
+    native.state.fixtures.push([
+      ["tool_call.start", { index: 0, name: "list_directory" }],
+      ["tool_call.arguments.delta", { delta: "{}" }],
+      ["tool_call.end", { index: 0, arguments: { path: "src" } }],
+      ["tool_call.arguments.delta", { delta: '{"x":1}' }]
+    ]);
+    expectCalls((await chat()).toolCalls, 'call_0:list_directory:{"path":"src"}', "deltas after a finished call");
+    console.log("[native-tool-calls-self-test] streamed argument deltas ok");
+
+    // chat.end output replaces the streamed calls, so each runs once.
+    native.state.fixtures.push([
+      ["tool_call.start", { index: 0, name: "read_file" }],
+      ["tool_call.arguments.delta", { delta: '{"path":"b.js"}' }],
+      [
+        "chat.end",
+        {
+          result: {
+            output: [
+              { type: "message", content: "Reading." },
+              { type: "tool_call", id: "call_final", tool: "read_file", arguments: { path: "b.js" } }
+            ]
+          }
+        }
+      ]
+    ]);
+    expectCalls((await chat()).toolCalls, 'call_final:read_file:{"path":"b.js"}', "chat.end replaces streamed calls");
+    console.log("[native-tool-calls-self-test] chat.end tool calls ok");
+  } finally {
+    native.server.close();
+  }
+  console.log("[native-tool-calls-self-test] PASS");
+}
+
+main().catch((err) => {
+  const msg = err instanceof Error ? err.message : String(err);
+  console.error(`[native-tool-calls-self-test] FAIL: ${msg}`);
+  process.exit(1);
+});
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+"use strict";
+
+// Checks how provider profiles and per-session overrides merge into the chat
+// config, and which API key each profile sends. No VS Code needed.
+
+const {
+  normalizeProfiles,
+  applyProfile,
+  describeProfile,
+  createActiveProfileStore
+} = require("../src/profiles");
+const { applySessionOverrides } = require("../src/session-store");
+const { API_KEY_SECRET, DEFAULT_API_KEY, createCredentialStore } = require("../src/credential-store");
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function expectEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  assert(a === e, `${label}: expected ${e}, got ${a}`);
+}
+
+function createMemorySecrets() {
+  const values = new Map();
+  return {
+    values,
+    get: async (key) => values.get(key),
+    store: async (key, value) => {
+      values.set(key, value);
+    },
+    delete: async (key) => {
+      values.delete(key);
+    }
+  };
+}
+
+// What getConfig builds from the top-level joshgpt.* settings.
+const base = {
+  baseUrl: "http://localhost:1234/v1",
+  nativeBaseUrl: "http://localhost:1234",
+  chatEndpointMode: "lmstudio-native-stream",
+  model: "local-model",
+  systemPrompt: "Be brief.",
+  temperature: 0.2,
+  maxTokens: 512,
+  contextLength: 0,
+  mcpEnabled: true
+};
+
+async function main() {
+  const profiles = normalizeProfiles([
+    {
+      name: " remote ",
+      baseUrl: "https://llm.example.com/v1/",
+      chatEndpointMode: "openai-compat",
+      model: "big-model",
+      temperature: "0.7",
+      maxTokens: "",
+      contextLength: 32768
+    },
+    { name: "laptop", nativeBaseUrl: "http://10.0.0.5:1234/", model: "small-model", chatEndpointMode: "bogus" },
+    { name: "remote", model: "duplicate" },
+    { model: "no name" },
+    null
+  ]);
+  expectEqual(profiles.map((profile) => profile.name), ["remote", "laptop"], "profile names");
+  expectEqual(profiles[0].temperature, 0.7, "numeric strings are parsed");
+  assert(profiles[0].maxTokens === undefined, "empty maxTokens should fall back to the base");
+  assert(profiles[1].chatEndpointMode === undefined, "unknown endpoint mode should fall back to the base");
+  console.log("[profiles-self-test] normalizeProfiles ok");
+
+  const remote = applyProfile(base, profiles, "remote");
+  expectEqual(
+    remote,
+    {
+      ...base,
+      chatEndpointMode: "openai-compat",
+      model: "big-model",
+      temperature: 0.7,
+      contextLength: 32768,
+      baseUrl: "https://llm.example.com/v1",
+      nativeBaseUrl: "https://llm.example.com",
+      profileName: "remote",
+      profileError: ""
+    },
+    "remote profile over base"
+  );
+  const laptop = applyProfile(base, profiles, "laptop");
+  expectEqual(
+    [laptop.baseUrl, laptop.nativeBaseUrl, laptop.chatEndpointMode, laptop.model],
+    [base.baseUrl, "http://10.0.0.5:1234", base.chatEndpointMode, "small-model"],
+    "profile without baseUrl keeps the default URL"
+  );
+  expectEqual(applyProfile(base, profiles, ""), { ...base, profileName: "", profileError: "" }, "default profile");
+  const missing = applyProfile(base, profiles, "gone");
+  expectEqual(missing.profileName, "", "unknown profile runs as default");
+  expectEqual(missing.profileError, 'Provider profile "gone" is not defined in joshgpt.profiles.', "unknown profile error");
+  expectEqual(describeProfile(remote), "big-model @ https://llm.example.com/v1 (openai-compat)", "describeProfile");
+  console.log("[profiles-self-test] applyProfile ok");
+
+  const session = applySessionOverrides(remote, {
+    model: " tuned-model ",
+    systemPrompt: "",
+    temperature: 3,
+    maxTokens: "99.9"
+  });
+  expectEqual(
+    [session.model, session.systemPrompt, session.temperature, session.maxTokens, session.baseUrl],
+    ["tuned-model", base.systemPrompt, 0.7, 99, remote.baseUrl],
+    "session overrides over the profile"
+  );
+  expectEqual(applySessionOverrides(remote, null), remote, "no overrides");
+  console.log("[profiles-self-test] session overrides ok");
+
+  const secrets = createMemorySecrets();
+  secrets.values.set(API_KEY_SECRET, "default-key");
+  secrets.values.set("joshgpt.apiKey.profile.laptop", " laptop-key ");
+  const credentials = createCredentialStore(secrets);
+  let changes = 0;
+  credentials.onDidChange(() => {
+    changes += 1;
+  });
+  await credentials.load(profiles.map((profile) => profile.name));
+  expectEqual(credentials.getApiKey(""), "default-key", "default profile key");
+  expectEqual(credentials.getApiKey("laptop"), "laptop-key", "profile key is trimmed");
+  expectEqual(credentials.getApiKey("remote"), DEFAULT_API_KEY, "profile without a key must not get the default key");
+  assert(!credentials.hasApiKey("remote") && credentials.hasApiKey("laptop"), "hasApiKey");
+  await credentials.setApiKey("remote-key", "remote");
+  expectEqual(secrets.values.get("joshgpt.apiKey.profile.remote"), "remote-key", "profile key stored under its own secret");
+  await credentials.setApiKey("  ", "laptop");
+  assert(!secrets.values.has("joshgpt.apiKey.profile.laptop"), "empty value should delete the secret");
+  expectEqual(credentials.getApiKey("laptop"), DEFAULT_API_KEY, "deleted key falls back to the placeholder");
+  secrets.values.set(API_KEY_SECRET, "rotated");
+  await credentials.reload("unrelated.secret");
+  expectEqual(credentials.getApiKey(""), "default-key", "unrelated secrets are not reloaded");
+  await credentials.reload(API_KEY_SECRET);
+  expectEqual(credentials.getApiKey(""), "rotated", "reload picks up changes from other windows");
+  expectEqual(changes, 6, "listeners run after every change");
+  console.log("[profiles-self-test] per-profile API keys ok");
+
+  const memento = new Map();
+  const active = createActiveProfileStore({
+    get: (key, fallback) => (memento.has(key) ? memento.get(key) : fallback),
+    update: async (key, value) => {
+      memento.set(key, value);
+    }
+  });
+  expectEqual(active.get(), "", "active profile defaults to the top-level settings");
+  await active.set("remote");
+  expectEqual(active.get(), "remote", "active profile is remembered");
+  await active.set(null);
+  expectEqual(active.get(), "", "clearing the active profile");
+  console.log("[profiles-self-test] active profile store ok");
+
+  console.log("[profiles-self-test] PASS");
+}
+
+main().catch((err) => {
+  const msg = err instanceof Error ? err.message : String(err);
+  console.error(`[profiles-self-test] FAIL: ${msg}`);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+"use strict";
+
+// Checks local shell approval decisions against the allow/deny defaults
+// shipped in package.json. No LM Studio or VS Code needed.
+
+const manifest = require("../package.json");
+const {
+  DEFAULT_APPROVAL_POLICY,
+  normalizeApprovalPolicy,
+  evaluateShellApproval
+} = require("../src/tool-approval");
+const { getUserSetting } = require("../src/user-settings");
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const settings = manifest.contributes.configuration.properties;
+const allowPatterns = settings["joshgpt.localShell.allowPatterns"].default;
+const denyPatterns = settings["joshgpt.localShell.denyPatterns"].default;
+
+function expectAction(command, expected, options = {}) {
+  const decision = evaluateShellApproval(command, {
+    policy: "allowlist",
+    allowPatterns,
+    denyPatterns,
+    ...options
+  });
+  assert(
+    decision.action === expected,
+    `${JSON.stringify(command)} (${decision.policy}): expected ${expected}, got ${decision.action} (${decision.reason})`
+  );
+  return decision;
+}
+
+function main() {
+  assert(normalizeApprovalPolicy("allowlist") === "allowlist", "allowlist policy not kept");
+  assert(normalizeApprovalPolicy("yolo") === DEFAULT_APPROVAL_POLICY, "unknown policy should fall back");
+  assert(normalizeApprovalPolicy(undefined) === "always-ask", "missing policy should ask");
+
+  for (const command of [
+    "pwd",
+    "ls",
+    "ls -la",
+    "ls -la src",
+    "git status",
+    "git diff",
+    "git diff HEAD~1 src/extension.js",
+    "git log main"
+  ]) {
+    expectAction(command, "allow");
+  }
+  console.log("[approval-self-test] default allowlist ok");
+
+  for (const command of [
+    "git diff --output=/home/u/.bashrc",
+    "git diff --ext-diff",
+    'git diff "--output=/tmp/x"',
+    "git diff \\--output=/tmp/x",
+    'git log "--ext-diff"',
+    "git diff '--output=/tmp/x'",
+    "git diff *",
+    "git diff {-,}-output=/tmp/x",
+    "git log $OPT",
+    "git log -p --output /tmp/x",
+    "git diff HEAD --ext-diff",
+    "git -c diff.external=sh diff",
+    "git push",
+    "ls --color=always src",
+    "lsblk",
+    "pwd; rm -rf ~",
+    "git status && curl http://x",
+    "ls | sh",
+    "ls > out.txt",
+    "ls $(whoami)",
+    "ls `whoami`",
+    "ls\nrm -rf ~"
+  ]) {
+    expectAction(command, "ask");
+  }
+  console.log("[approval-self-test] options, quoting, expansion, chaining and redirection ask");
+
+  expectAction("sudo ls", "deny");
+  expectAction("rm -rf /", "deny", { policy: "never-ask" });
+  expectAction("rm -rf ./build", "allow", { policy: "never-ask" });
+  const denied = expectAction("sudo git status", "deny");
+  assert(/deny pattern/.test(denied.reason), "deny reason should name the pattern");
+  console.log("[approval-self-test] deny patterns win over every policy");
+
+  expectAction("pwd", "ask", { policy: "always-ask" });
+  expectAction("git status", "ask", { allowPatterns: ["git (status", "pwd"] });
+  expectAction("pwd", "allow", { allowPatterns: ["git (status", "pwd"] });
+  console.log("[approval-self-test] always-ask and invalid patterns ok");
+
+  // A cloned repo's .vscode/settings.json must not loosen approvals.
+  for (const key of ["approvalPolicy", "allowPatterns", "denyPatterns"]) {
+    const scope = settings[`joshgpt.localShell.${key}`].scope;
+    assert(scope === "machine", `joshgpt.localShell.${key} should be machine-scoped, got ${scope}`);
+  }
+  const inspected = {
+    "localShell.approvalPolicy": { defaultValue: "always-ask", workspaceValue: "never-ask" },
+    "localShell.allowPatterns": { defaultValue: allowPatterns, workspaceFolderValue: [".*"] },
+    "localShell.denyPatterns": { defaultValue: denyPatterns, globalValue: ["^sudo\\b", "^curl\\b"], workspaceValue: [] }
+  };
+  const cfg = { inspect: (key) => inspected[key] };
+  const fromWorkspace = {
+    policy: normalizeApprovalPolicy(getUserSetting(cfg, "localShell.approvalPolicy")),
+    allowPatterns: getUserSetting(cfg, "localShell.allowPatterns"),
+    denyPatterns: getUserSetting(cfg, "localShell.denyPatterns")
+  };
+  assert(fromWorkspace.policy === "always-ask", "workspace approvalPolicy should be ignored");
+  assert(fromWorkspace.allowPatterns === allowPatterns, "workspace allowPatterns should be ignored");
+  assert(fromWorkspace.denyPatterns.join(",") === "^sudo\\b,^curl\\b", "user denyPatterns should apply");
+  expectAction("rm -rf ./build", "ask", { ...fromWorkspace, policy: "allowlist" });
+  expectAction("curl http://x", "deny", fromWorkspace);
+  assert(getUserSetting({}, "localShell.approvalPolicy") === undefined, "missing inspect() yields no value");
+  console.log("[approval-self-test] workspace-level approval settings ignored");
+
+  console.log("[approval-self-test] PASS");
+}
+
+try {
+  main();
+} catch (err) {
+  const msg = err instanceof Error ? err.message : String(err);
+  console.error(`[approval-self-test] FAIL: ${msg}`);
+  process.exit(1);
+}
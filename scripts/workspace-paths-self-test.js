@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+"use strict";
+
+// Checks the symlink-aware workspace path checks behind the workspace tools
+// against a temporary directory tree. No VS Code needed.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { isProtectedPath, checkWorkspacePath, createRealPathFilter } = require("../src/workspace-paths");
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function expectCheck(root, relativePath, options, expected, label) {
+  const actual = (await checkWorkspacePath(root, path.join(root, relativePath), options)) || "ok";
+  assert(actual === expected, `${label}: expected ${expected}, got ${actual}`);
+}
+
+async function main() {
+  const base = await fs.promises.mkdtemp(path.join(os.tmpdir(), "joshgpt-paths-"));
+  try {
+    const root = path.join(base, "workspace");
+    const outside = path.join(base, "outside");
+    await fs.promises.mkdir(path.join(root, ".git", "hooks"), { recursive: true });
+    await fs.promises.mkdir(path.join(root, "src"), { recursive: true });
+    await fs.promises.mkdir(outside);
+    await fs.promises.writeFile(path.join(root, "src", "a.js"), "a\n");
+    await fs.promises.writeFile(path.join(outside, "secret.txt"), "secret\n");
+    await fs.promises.symlink(path.join(root, ".git"), path.join(root, "tools"), "dir");
+    await fs.promises.symlink(path.join(root, ".git", "hooks"), path.join(root, "src", "hooks"), "dir");
+    await fs.promises.symlink(outside, path.join(root, "linked"), "dir");
+
+    assert(isProtectedPath(".git/hooks/pre-commit") && isProtectedPath("src\\.VSCode\\settings.json"), "protected segments");
+    assert(!isProtectedPath("src/.github/workflows/ci.yml") && !isProtectedPath("docs/git/notes.md"), "similar names are fine");
+    console.log("[workspace-paths-self-test] protected segments ok");
+
+    await expectCheck(root, "src/a.js", { write: true }, "ok", "plain file");
+    await expectCheck(root, "src/new/file.js", { write: true }, "ok", "file that does not exist yet");
+    await expectCheck(root, ".GIT/hooks/pre-commit", { write: true }, "protected", "upper-case .git");
+    await expectCheck(root, ".Vscode/settings.json", { write: true }, "protected", "mixed-case .vscode");
+    await expectCheck(root, "tools/hooks/pre-commit", { write: true }, "protected", "symlinked directory pointing to .git");
+    await expectCheck(root, "src/hooks/post-checkout", { write: true }, "protected", "symlink into .git/hooks");
+    await expectCheck(root, "tools/config", {}, "ok", "reading through the link is still allowed");
+    await expectCheck(root, "linked/secret.txt", {}, "outside", "symlink pointing outside the workspace");
+    await expectCheck(root, "linked/new.txt", { write: true }, "outside", "new file behind an outside symlink");
+    console.log("[workspace-paths-self-test] realpath checks ok");
+
+    // search_text hits: findFiles follows links, so each hit is filtered.
+    await fs.promises.symlink(path.join(outside, "secret.txt"), path.join(root, "src", "secret-link.txt"), "file");
+    await fs.promises.symlink(path.join(root, "src", "a.js"), path.join(root, "alias.js"), "file");
+    await fs.promises.symlink(path.join(root, "gone.txt"), path.join(root, "dangling.txt"), "file");
+    const isInsideRoots = createRealPathFilter([root]);
+    const hits = ["src/a.js", "src/secret-link.txt", "linked/secret.txt", "alias.js", "dangling.txt"];
+    const kept = [];
+    for (const hit of hits) {
+      if (await isInsideRoots(path.join(root, hit))) {
+        kept.push(hit);
+      }
+    }
+    assert(kept.join(",") === "src/a.js,alias.js", `search hits outside the workspace should be dropped, kept ${kept.join(",")}`);
+    assert(await createRealPathFilter([outside, root])(path.join(root, "linked", "secret.txt")), "any root may contain the file");
+    console.log("[workspace-paths-self-test] search hit filter ok");
+  } finally {
+    await fs.promises.rm(base, { recursive: true, force: true });
+  }
+  console.log("[workspace-paths-self-test] PASS");
+}
+
+main().catch((err) => {
+  const msg = err instanceof Error ? err.message : String(err);
+  console.error(`[workspace-paths-self-test] FAIL: ${msg}`);
+  process.exit(1);
+});
@@ -0,0 +1,189 @@
+"use strict";
+
+const { randomBytes } = require("crypto");
+
+const ATTACHMENT_KINDS = new Set(["selection", "file", "diagnostics", "resource"]);
+const DEFAULT_ATTACHMENT_MAX_CHARS = 20000;
+const TOOL_ATTACHMENT_HEADING = "Embedded resources:";
+
+function makeAttachmentId() {
+  return `att-${Date.now()}-${randomBytes(4).toString("hex")}`;
+}
+
+function toLineNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.trunc(number) : 0;
+}
+
+function normalizeAttachment(raw) {
+  if (!raw || typeof raw !== "object" || !ATTACHMENT_KINDS.has(raw.kind)) {
+    return null;
+  }
+  return {
+    id: String(raw.id || makeAttachmentId()),
+    kind: raw.kind,
+    path: String(raw.path || ""),
+    uri: String(raw.uri || ""),
+    languageId: String(raw.languageId || ""),
+    startLine: toLineNumber(raw.startLine),
+    endLine: toLineNumber(raw.endLine),
+    itemCount: toLineNumber(raw.itemCount),
+    server: String(raw.server || ""),
+    truncated: Boolean(raw.truncated),
+    content: String(raw.content || "")
+  };
+}
+
+function normalizeAttachments(raw) {
+  return (Array.isArray(raw) ? raw : []).map(normalizeAttachment).filter(Boolean);
+}
+
+function truncateContent(text, maxChars) {
+  const source = String(text || "");
+  const limit = Number.isFinite(maxChars) && maxChars > 0 ? maxChars : DEFAULT_ATTACHMENT_MAX_CHARS;
+  if (source.length <= limit) {
+    return { content: source, truncated: false };
+  }
+  return { content: source.slice(0, limit), truncated: true };
+}
+
+const LANGUAGE_BY_MIME = {
+  "application/json": "json",
+  "application/javascript": "javascript",
+  "application/xml": "xml",
+  "application/yaml": "yaml",
+  "text/csv": "csv",
+  "text/html": "html",
+  "text/javascript": "javascript",
+  "text/markdown": "markdown",
+  "text/x-python": "python",
+  "text/xml": "xml",
+  "text/yaml": "yaml"
+};
+
+function languageForMime(mimeType) {
+  const base = String(mimeType || "").split(";")[0].trim().toLowerCase();
+  return LANGUAGE_BY_MIME[base] || "";
+}
+
+// The model only receives text, so binary parts are replaced by a short note.
+function contentsToText(contents) {
+  return contents
+    .filter((part) => part && typeof part === "object")
+    .map((part) =>
+      typeof part.text === "string"
+        ? part.text
+        : `[binary content omitted: ${part.mimeType || "unknown type"}${part.uri ? ` ${part.uri}` : ""}]`
+    )
+    .join("\n\n");
+}
+
+/**
+ * Attachment for MCP resource contents (`resources/read` results or embedded
+ * resources in prompts and tool results).
+ */
+function createResourceAttachment({ server, uri, mimeType, contents, maxChars }) {
+  const list = Array.isArray(contents) ? contents : [];
+  const typed = list.find((part) => part && typeof part.text === "string" && part.mimeType);
+  return {
+    id: makeAttachmentId(),
+    kind: "resource",
+    server,
+    path: uri,
+    uri,
+    languageId: languageForMime(mimeType || (typed && typed.mimeType)),
+    ...truncateContent(contentsToText(list), maxChars)
+  };
+}
+
+function formatLineRange(attachment) {
+  if (!attachment.startLine) {
+    return "";
+  }
+  return attachment.endLine && attachment.endLine !== attachment.startLine
+    ? `${attachment.startLine}-${attachment.endLine}`
+    : String(attachment.startLine);
+}
+
+// Short chip label, e.g. "src/app.js:10-24", "src/app.js", "Problems: src/app.js (3)",
+// "docs: file:///guide.md".
+function describeAttachment(attachment) {
+  const path = attachment.path || "untitled";
+  if (attachment.kind === "diagnostics") {
+    return `Problems: ${path} (${attachment.itemCount})`;
+  }
+  if (attachment.kind === "resource") {
+    return attachment.server ? `${attachment.server}: ${path}` : path;
+  }
+  const range = attachment.kind === "selection" ? formatLineRange(attachment) : "";
+  return range ? `${path}:${range}` : path;
+}
+
+// A fence longer than any backtick run in the content, so attached markdown
+// cannot close the block early.
+function fenceFor(content) {
+  const runs = String(content).match(/`{3,}/g) || [];
+  const longest = runs.reduce((max, run) => Math.max(max, run.length), 2);
+  return "`".repeat(longest + 1);
+}
+
+const HEADINGS = {
+  diagnostics: "Diagnostics",
+  resource: "Resource"
+};
+
+function formatAttachment(attachment) {
+  const details = [];
+  if (attachment.kind === "selection") {
+    const range = formatLineRange(attachment);
+    details.push(range ? `selection, lines ${range}` : "selection");
+  } else if (attachment.kind === "file") {
+    details.push(attachment.endLine ? `full file, ${attachment.endLine} lines` : "full file");
+  } else if (attachment.kind === "resource") {
+    details.push(attachment.server ? `from MCP server ${attachment.server}` : "from MCP");
+  } else {
+    details.push(`${attachment.itemCount} diagnostic(s) from the Problems panel`);
+  }
+  if (attachment.truncated) {
+    details.push("truncated");
+  }
+
+  const heading = `${HEADINGS[attachment.kind] || "File"}: ${
+    attachment.path || "untitled"
+  } (${details.join(", ")})`;
+  const fence = fenceFor(attachment.content);
+  const lang = attachment.kind === "diagnostics" ? "text" : attachment.languageId;
+  return `${heading}\n${fence}${lang}\n${attachment.content}\n${fence}`;
+}
+
+/**
+ * Serializes a message plus its attachments into the text sent to the model.
+ * Attachments follow the prompt (or tool output) so it stays first.
+ */
+function formatMessageWithAttachments(
+  content,
+  attachments,
+  { heading = "Attached editor context:" } = {}
+) {
+  const list = normalizeAttachments(attachments);
+  if (!list.length) {
+    return String(content || "");
+  }
+  return [
+    String(content || ""),
+    heading,
+    ...list.map(formatAttachment)
+  ].join("\n\n");
+}
+
+module.exports = {
+  DEFAULT_ATTACHMENT_MAX_CHARS,
+  TOOL_ATTACHMENT_HEADING,
+  makeAttachmentId,
+  normalizeAttachment,
+  normalizeAttachments,
+  truncateContent,
+  createResourceAttachment,
+  describeAttachment,
+  formatMessageWithAttachments
+};
@@ -2,55 +2,173 @@
 
 const {
   createChatCompletion,
+  createStreamingChatCompletion,
   createNativeStreamingChat
 } = require("./lmstudio-client");
-const { McpHttpClient } = require("./mcp-client");
+const { McpClientPool, McpToolRouter } = require("./mcp-registry");
+const { McpResultCache, resolveTtlSeconds } = require("./mcp-result-cache");
 const {
   LOCAL_SHELL_TOOL_NAME,
   getLocalShellOpenAiTool,
   runLocalShellToolCall
 } = require("./local-shell-tool");
+const { evaluateShellApproval } = require("./tool-approval");
+const { isToolEnabled } = require("./tool-catalog");
+const { validateJsonSchema } = require("./json-schema-validate");
+const {
+  TOOL_ATTACHMENT_HEADING,
+  createResourceAttachment,
+  formatMessageWithAttachments
+} = require("./attachments");
+
+const TOOL_IMAGE_MIME_TYPES = new Set(["image/png", "image/jpeg", "image/gif", "image/webp"]);
 
-const MCP_EXECUTION_TOOL_NAMES = new Set([
-  "run_host_command",
-  "run_container_command"
-]);
+/**
+ * Splits an MCP `tools/call` result into the text the model reads, images
+ * (trace previews and vision input) and embedded resources (attachments).
+ * `structuredContent`, when present, is still what the model reads as text.
+ */
+function formatToolResult(result, { server = "", maxChars } = {}) {
+  const textParts = [];
+  const images = [];
+  const attachments = [];
+  const content = result && Array.isArray(result.content) ? result.content : [];
+  for (const item of content) {
+    if (!item || typeof item !== "object") {
+      continue;
+    }
+    if (item.type === "text" && typeof item.text === "string") {
+      textParts.push(item.text);
+    } else if (
+      item.type === "image" &&
+      typeof item.data === "string" &&
+      TOOL_IMAGE_MIME_TYPES.has(item.mimeType)
+    ) {
+      images.push({ mimeType: item.mimeType, data: item.data });
+      textParts.push(`[image ${images.length}: ${item.mimeType}]`);
+    } else if (item.type === "resource" && item.resource && typeof item.resource === "object") {
+      attachments.push(
+        createResourceAttachment({
+          server,
+          uri: String(item.resource.uri || ""),
+          mimeType: item.resource.mimeType,
+          contents: [item.resource],
+          maxChars
+        })
+      );
+    } else if (item.type === "resource_link" && item.uri) {
+      textParts.push(`[resource link: ${item.uri}${item.name ? ` (${item.name})` : ""}]`);
+    } else {
+      textParts.push(`[${item.type || "unknown"} content omitted${item.mimeType ? `: ${item.mimeType}` : ""}]`);
+    }
+  }
 
-function stringifyToolResult(result) {
+  let text;
   if (result && typeof result.structuredContent !== "undefined") {
-    return JSON.stringify(result.structuredContent, null, 2);
+    text = JSON.stringify(result.structuredContent, null, 2);
+  } else if (textParts.length || attachments.length) {
+    text = textParts.join("\n");
+  } else {
+    text = JSON.stringify(result || {}, null, 2);
   }
+  return {
+    text,
+    images,
+    attachments,
+    isError: Boolean(result && result.isError)
+  };
+}
 
-  if (result && Array.isArray(result.content)) {
-    const textParts = result.content
-      .map((item) => {
-        if (!item || typeof item !== "object") {
-          return "";
-        }
-        if (item.type === "text" && typeof item.text === "string") {
-          return item.text;
-        }
-        return "";
-      })
-      .filter(Boolean);
-    if (textParts.length) {
-      return textParts.join("\n");
+/**
+ * Working messages carry extras for the session view (`attachments`,
+ * `images`, `isError`). The endpoints get plain chat messages; with vision
+ * enabled, the images of each batch of tool results follow it as one user
+ * message, since tool messages cannot carry images.
+ */
+function toApiMessages(messages, { visionEnabled = false } = {}) {
+  const out = [];
+  let images = [];
+  const flushImages = () => {
+    if (!images.length) {
+      return;
     }
-  }
+    out.push({
+      role: "user",
+      content: [
+        { type: "text", text: "Images returned by the tool calls above:" },
+        ...images.map((image) => ({
+          type: "image_url",
+          image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+        }))
+      ]
+    });
+    images = [];
+  };
 
-  return JSON.stringify(result || {}, null, 2);
+  for (const message of messages) {
+    if (message.role !== "tool") {
+      flushImages();
+      out.push(message);
+      continue;
+    }
+    const { attachments, images: toolImages, isError, ...plain } = message;
+    out.push(
+      attachments && attachments.length
+        ? {
+            ...plain,
+            content: formatMessageWithAttachments(plain.content, attachments, {
+              heading: TOOL_ATTACHMENT_HEADING
+            })
+          }
+        : plain
+    );
+    if (visionEnabled && Array.isArray(toolImages)) {
+      images.push(...toolImages);
+    }
+  }
+  flushImages();
+  return out;
 }
 
+/**
+ * Returns `{ args, error }`; `error` is set when the model sent something
+ * other than a JSON object, and `args` is then empty.
+ */
 function parseToolArguments(raw) {
+  if (raw && typeof raw === "object" && !Array.isArray(raw)) {
+    return { args: raw, error: "" };
+  }
   if (typeof raw !== "string" || !raw.trim()) {
-    return {};
+    return { args: {}, error: "" };
   }
+  let parsed;
   try {
-    const parsed = JSON.parse(raw);
-    return parsed && typeof parsed === "object" ? parsed : {};
-  } catch {
-    return {};
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    return { args: {}, error: `arguments are not valid JSON (${msg})` };
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { args: {}, error: "arguments must be a JSON object" };
   }
+  return { args: parsed, error: "" };
+}
+
+// Tool result that lets the model see exactly what to fix and call again.
+function invalidArgumentsResult(toolName, problems, rawArgs) {
+  const received = typeof rawArgs === "string" ? rawArgs : JSON.stringify(rawArgs);
+  return JSON.stringify(
+    {
+      error: "invalid_arguments",
+      tool: toolName,
+      message: "The tool was not run because its arguments do not match its input schema.",
+      problems: problems.map((problem) => `${problem.path}: ${problem.message}`),
+      received: String(received || "").slice(0, 1000),
+      hint: "Fix the listed problems and call the tool again."
+    },
+    null,
+    2
+  );
 }
 
 function redactForLog(value, keyName = "") {
@@ -130,109 +248,92 @@ function summarizeEventData(data) {
   }
 }
 
-async function runNativeStreamingMode({ config, messages, output, trace, addTrace }) {
-  addTrace("start", "Prompt execution started (mode=lmstudio-native-stream).");
+function describeProgress(progress) {
+  const current = Number(progress && progress.progress);
+  const total = Number(progress && progress.total);
+  const amount = Number.isFinite(total) && total > 0 ? `${current}/${total}` : String(current);
+  const message = progress && progress.message ? ` ${progress.message}` : "";
+  return `${amount}${message}`;
+}
 
-  if (config.mcpEnabled) {
-    addTrace(
-      "mcp",
-      "MCP tool-calling is currently bypassed in lmstudio-native-stream mode."
-    );
+function emitPartial(onPartial, payload) {
+  if (typeof onPartial !== "function") {
+    return;
   }
-
-  const streamResult = await createNativeStreamingChat({
-    nativeBaseUrl: config.nativeBaseUrl,
-    baseUrl: config.baseUrl,
-    apiKey: config.apiKey,
-    model: config.model,
-    messages,
-    temperature: config.temperature,
-    maxTokens: config.maxTokens,
-    onEvent: (event) => {
-      const name = String(event.event || "event");
-      const lowered = name.toLowerCase();
-      const delta = typeof event.deltaText === "string" ? event.deltaText : "";
-      const details = delta || summarizeEventData(event.data);
-
-      if (lowered.startsWith("reasoning.")) {
-        addTrace("reasoning", name, details);
-      } else if (lowered === "done" || lowered.endsWith(".done") || lowered.endsWith(".completed")) {
-        addTrace("stream-end", name, details);
-      } else {
-        addTrace("stream", name, details);
-      }
-    }
-  });
-
-  if (output) {
-    output.appendLine(
-      `[joshgpt] native stream completed events=${streamResult.events.length}`
-    );
+  try {
+    onPartial(payload);
+  } catch {
+    // Partial updates are best-effort and must not break the completion.
   }
-
-  addTrace(
-    "final",
-    "Native streaming response completed.",
-    `events=${streamResult.events.length}`
-  );
-
-  return {
-    text:
-      streamResult.text ||
-      "Model returned no assistant text. Check trace for stream events.",
-    usedTools: false,
-    rounds: 1,
-    trace
-  };
 }
 
-async function runChatWithOptionalMcp({ config, messages, output }) {
-  const trace = [];
-  function addTrace(type, summary, details = "") {
-    trace.push({
-      timestamp: new Date().toISOString(),
-      type: String(type || "event"),
-      summary: String(summary || ""),
-      details: String(details || "")
-    });
-  }
-
-  if (config.chatEndpointMode === "lmstudio-native-stream") {
-    return runNativeStreamingMode({
-      config,
-      messages,
-      output,
-      trace,
-      addTrace
-    });
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const err = new Error("Prompt cancelled.");
+    err.name = "AbortError";
+    throw err;
   }
+}
 
+async function loadToolset({ config, output, addTrace, signal, editStaging }) {
   const localShellEnabled = Boolean(config.localShellEnabled);
-  const localTools = localShellEnabled ? [getLocalShellOpenAiTool()] : [];
+  const workspaceTools =
+    config.workspaceToolsEnabled && config.workspaceTools ? config.workspaceTools : null;
+  const toggles = config.toolToggles || {};
+  const availableLocalTools = [
+    ...(localShellEnabled ? [getLocalShellOpenAiTool()] : []),
+    ...(workspaceTools ? workspaceTools.getOpenAiTools({ staging: Boolean(editStaging) }) : [])
+  ];
+  const localTools = availableLocalTools.filter((tool) =>
+    isToolEnabled(toggles, { name: tool.function.name })
+  );
 
-  let mcpClient = null;
+  let mcpRouter = null;
   let openAiTools = [];
   let mcpEnabled = Boolean(config.mcpEnabled);
   addTrace(
     "start",
-    `Prompt execution started (mcp=${mcpEnabled ? "enabled" : "disabled"}, local_shell=${localShellEnabled ? "enabled" : "disabled"})`
+    `Prompt execution started (mode=${config.chatEndpointMode || "openai-compat"}, mcp=${mcpEnabled ? "enabled" : "disabled"}, local_shell=${localShellEnabled ? "enabled" : "disabled"}, workspace_tools=${workspaceTools ? "enabled" : "disabled"})`
   );
 
+  const userDisabled = Object.keys(toggles).filter((name) => toggles[name] === false);
+  if (userDisabled.length) {
+    addTrace("tool", `Tools disabled in this workspace (${userDisabled.length}).`, userDisabled.join(", "));
+  }
+
   if (mcpEnabled) {
     try {
-      mcpClient = new McpHttpClient({
-        baseUrl: config.mcpBaseUrl,
+      mcpRouter = new McpToolRouter({
+        servers: config.mcpServers,
         timeoutMs: config.mcpTimeoutMs,
-        output
+        output,
+        pool: config.mcpClientPool,
+        readOnlyTools: config.mcpReadOnlyTools
+      });
+      if (!mcpRouter.servers.length) {
+        throw new Error("No enabled MCP servers are configured.");
+      }
+      const { tools: mcpTools, failures } = await mcpRouter.listTools({
+        signal,
+        include: (tool) => isToolEnabled(toggles, tool)
       });
-      const mcpTools = await mcpClient.listTools();
-      const mcpOpenAiTools = asOpenAiTools(mcpTools, MCP_EXECUTION_TOOL_NAMES);
+      if (failures.length === mcpRouter.servers.length) {
+        throw new Error(failures.map((failure) => `${failure.server}: ${failure.message}`).join("; "));
+      }
+      for (const failure of failures) {
+        if (output) {
+          output.appendLine(`[joshgpt] MCP server ${failure.server} unavailable: ${failure.message}`);
+        }
+        addTrace("mcp", `MCP server ${failure.server} unavailable for this turn.`, failure.message);
+      }
+      const localNames = new Set(localTools.map((tool) => tool.function.name));
+      const mcpOpenAiTools = asOpenAiTools(mcpTools, localNames);
       openAiTools = [...localTools, ...mcpOpenAiTools];
       if (!openAiTools.length) {
         addTrace("mcp", "MCP connected but no tools were returned.");
         mcpEnabled = false;
-      } else if (!mcpOpenAiTools.length && localShellEnabled) {
-        addTrace("mcp", "MCP connected; execution tools excluded; local shell tool active.");
+      } else if (!mcpOpenAiTools.length && localTools.length) {
+        addTrace("mcp", "MCP connected; all MCP tools are disabled; built-in tools active.");
       } else {
         addTrace(
           "mcp",
@@ -247,39 +348,659 @@ async function runChatWithOptionalMcp({ config, messages, output }) {
       }
       addTrace("mcp", "MCP disabled for this turn.", msg);
       mcpEnabled = false;
+      mcpRouter = null;
     }
-  } else if (localShellEnabled) {
-    openAiTools = [...localTools];
-    addTrace("tool", "MCP disabled; local shell tool is active.");
   }
 
-  if (mcpEnabled && localShellEnabled && !openAiTools.length) {
+  if (!mcpEnabled && localTools.length) {
     openAiTools = [...localTools];
+    addTrace(
+      "tool",
+      "MCP disabled; built-in tools are active.",
+      localTools.map((tool) => tool.function.name).join(", ")
+    );
+  }
+
+  return {
+    openAiTools,
+    mcpRouter,
+    toolSchemas: new Map(openAiTools.map((tool) => [tool.function.name, tool.function.parameters]))
+  };
+}
+
+async function resolveLocalShellApproval({
+  toolCall,
+  args,
+  config,
+  requestApproval,
+  output,
+  addTrace
+}) {
+  const command = String(args && args.command ? args.command : "").trim();
+  const verdict = evaluateShellApproval(command, {
+    policy: config.localShellApprovalPolicy,
+    allowPatterns: config.localShellAllowPatterns,
+    denyPatterns: config.localShellDenyPatterns
+  });
+
+  let outcome;
+  if (verdict.action === "deny") {
+    outcome = { approved: false, decision: "denied", args, reason: verdict.reason };
+  } else if (verdict.action === "allow") {
+    outcome = { approved: true, decision: "auto-approved", args, reason: verdict.reason };
+  } else if (typeof requestApproval !== "function") {
+    outcome = {
+      approved: false,
+      decision: "rejected",
+      args,
+      reason: "No approval prompt is available for this request."
+    };
+  } else {
+    const response = (await requestApproval({
+      toolCallId: String(toolCall && toolCall.id ? toolCall.id : ""),
+      toolName: LOCAL_SHELL_TOOL_NAME,
+      command,
+      cwd: String(args && args.cwd ? args.cwd : ""),
+      reason: verdict.reason
+    })) || {};
+    const decision = String(response.decision || "rejected");
+    const editedCommand = String(response.command || "").trim();
+    if (decision === "approved") {
+      outcome = { approved: true, decision, args, reason: "Approved by user." };
+    } else if (decision === "edited" && editedCommand) {
+      outcome = {
+        approved: true,
+        decision,
+        args: { ...args, command: editedCommand },
+        reason: "Approved by user after editing the command."
+      };
+    } else {
+      outcome = {
+        approved: false,
+        decision: "rejected",
+        args,
+        reason: String(response.reason || "Rejected by user.")
+      };
+    }
+  }
+
+  const finalCommand = String(outcome.args && outcome.args.command ? outcome.args.command : "");
+  const details = [`policy=${verdict.policy}`, outcome.reason, `command: ${finalCommand}`];
+  if (outcome.decision === "edited") {
+    details.push(`original: ${command}`);
+  }
+  addTrace("approval", `Local shell command ${outcome.decision}.`, details.join("\n"));
+  if (output) {
+    output.appendLine(`[joshgpt] local shell approval: ${outcome.decision} (${outcome.reason})`);
+  }
+  return { ...outcome, originalCommand: command };
+}
+
+async function executeToolCall({
+  toolCall,
+  config,
+  mcpRouter,
+  toolSchemas,
+  output,
+  addTrace,
+  signal,
+  requestApproval,
+  editStaging
+}) {
+  const toolName = toolCall?.function?.name || "";
+  const rawArgs = toolCall?.function?.arguments || "{}";
+  const { args, error: parseError } = parseToolArguments(rawArgs);
+  if (output) {
+    output.appendLine(
+      `[joshgpt] tool call -> ${toolName || "<unknown>"} args=${formatArgsForLog(args)}`
+    );
+  }
+  addTrace(
+    "tool",
+    `Calling tool: ${toolName || "<unknown>"}`,
+    parseError ? String(rawArgs) : JSON.stringify(args, null, 2)
+  );
+
+  // Disabled tools are not advertised, but a model may still name one.
+  const isLocalTool =
+    toolName === LOCAL_SHELL_TOOL_NAME ||
+    Boolean(config.workspaceTools && config.workspaceTools.names.has(toolName));
+  if (isLocalTool && !isToolEnabled(config.toolToggles || {}, { name: toolName })) {
+    addTrace("tool-error", `Tool disabled: ${toolName}`);
+    return {
+      role: "tool",
+      tool_call_id: toolCall.id,
+      name: toolName,
+      content: `Tool is disabled in this workspace: ${toolName}`,
+      isError: true
+    };
+  }
+
+  const schema = toolSchemas ? toolSchemas.get(toolName) : undefined;
+  const problems = parseError
+    ? [{ path: "$", message: parseError }]
+    : schema
+      ? validateJsonSchema(args, schema)
+      : [];
+  if (problems.length) {
+    const details = problems.map((problem) => `${problem.path}: ${problem.message}`).join("\n");
+    if (output) {
+      output.appendLine(`[joshgpt] tool call rejected -> ${toolName}: ${details.replace(/\n/g, "; ")}`);
+    }
+    addTrace("tool-error", `Invalid arguments: ${toolName || "<unknown>"}`, details);
+    return {
+      role: "tool",
+      tool_call_id: toolCall.id,
+      name: toolName,
+      content: invalidArgumentsResult(toolName, problems, rawArgs),
+      isError: true
+    };
+  }
+
+  let toolResultText;
+  let extras = {};
+  if (toolName === LOCAL_SHELL_TOOL_NAME) {
+    const approval = await resolveLocalShellApproval({
+      toolCall,
+      args,
+      config,
+      requestApproval,
+      output,
+      addTrace
+    });
+    if (!approval.approved) {
+      return {
+        role: "tool",
+        tool_call_id: toolCall.id,
+        name: toolName,
+        content: JSON.stringify(
+          {
+            tool: LOCAL_SHELL_TOOL_NAME,
+            executed: false,
+            approval: approval.decision,
+            reason: approval.reason,
+            command: approval.originalCommand
+          },
+          null,
+          2
+        )
+      };
+    }
+
+    try {
+      const localResult = await runLocalShellToolCall(approval.args, {
+        workspaceRoot: config.workspaceRoot,
+        defaultTimeoutSeconds: config.localShellDefaultTimeoutSeconds,
+        maxTimeoutSeconds: config.localShellMaxTimeoutSeconds,
+        defaultMaxOutputChars: config.localShellDefaultMaxOutputChars,
+        maxOutputCharsCap: config.localShellMaxOutputChars,
+        mirror: config.localShellMirror || null,
+        signal
+      });
+      localResult.approval = approval.decision;
+      if (approval.decision === "edited") {
+        localResult.original_command = approval.originalCommand;
+      }
+      toolResultText = JSON.stringify(localResult, null, 2);
+      addTrace(
+        "tool",
+        `Local shell result: ${toolName}`,
+        toolResultText.slice(0, 1200)
+      );
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toolResultText = `Local shell tool failed: ${msg}`;
+      addTrace("tool-error", `Local shell failed: ${toolName}`, msg);
+    }
+  } else if (
+    config.workspaceToolsEnabled &&
+    config.workspaceTools &&
+    config.workspaceTools.names.has(toolName)
+  ) {
+    try {
+      const workspaceResult = await config.workspaceTools.execute(toolName, args, {
+        signal,
+        staging: editStaging || null
+      });
+      toolResultText = JSON.stringify(workspaceResult, null, 2);
+      addTrace(
+        "tool",
+        `Workspace tool result: ${toolName}`,
+        toolResultText.slice(0, 1200)
+      );
+    } catch (err) {
+      if (signal && signal.aborted) {
+        throw err;
+      }
+      const msg = err instanceof Error ? err.message : String(err);
+      toolResultText = `Workspace tool failed: ${msg}`;
+      addTrace("tool-error", `Workspace tool failed: ${toolName}`, msg);
+    }
+  } else {
+    try {
+      if (!mcpRouter || !mcpRouter.has(toolName)) {
+        throw new Error(`Tool is not available on any connected MCP server: ${toolName}`);
+      }
+      const cache = config.mcpResultCache && mcpRouter.isReadOnly(toolName) ? config.mcpResultCache : null;
+      const ttlSeconds = cache
+        ? resolveTtlSeconds(toolName, {
+            ttlSeconds: config.mcpCacheTtlSeconds,
+            toolTtlSeconds: config.mcpCacheToolTtlSeconds
+          })
+        : 0;
+      const cacheKey = ttlSeconds
+        ? McpResultCache.key(mcpRouter.serverOf(toolName), mcpRouter.originalNameOf(toolName), args)
+        : "";
+      const cached = cacheKey ? cache.get(cacheKey) : null;
+      let result;
+      if (cached) {
+        result = cached.result;
+      } else {
+        result = await mcpRouter.callTool(toolName, args, {
+          signal,
+          onProgress: (progress) =>
+            addTrace("tool-progress", `Progress: ${toolName}`, describeProgress(progress))
+        });
+        // Errors are not cached so a retry reaches the server again.
+        if (cacheKey && !(result && result.isError)) {
+          cache.set(cacheKey, result, ttlSeconds);
+        }
+      }
+      const formatted = formatToolResult(result, {
+        server: mcpRouter.serverOf(toolName),
+        maxChars: config.attachmentMaxChars
+      });
+      toolResultText = formatted.isError
+        ? `MCP tool reported an error: ${formatted.text}`
+        : formatted.text;
+      extras = {
+        ...(formatted.isError ? { isError: true } : {}),
+        ...(formatted.images.length ? { images: formatted.images } : {}),
+        ...(formatted.attachments.length ? { attachments: formatted.attachments } : {})
+      };
+      const resourceNote = formatted.attachments.length
+        ? `\nEmbedded resources: ${formatted.attachments.map((item) => item.uri).join(", ")}`
+        : "";
+      const cacheNote = cached ? ` (cache hit, ${Math.round(cached.ageMs / 1000)} s old)` : "";
+      addTrace(
+        formatted.isError ? "tool-error" : "tool",
+        `${formatted.isError ? "Tool error" : "Tool result"}${cacheNote}: ${toolName || "<unknown>"}`,
+        toolResultText.slice(0, 1200) + resourceNote,
+        formatted.images
+      );
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toolResultText = `MCP tool call failed: ${msg}`;
+      extras = { isError: true };
+      addTrace("tool-error", `Tool failed: ${toolName || "<unknown>"}`, msg);
+    }
   }
 
+  return {
+    role: "tool",
+    tool_call_id: toolCall.id,
+    name: toolName,
+    content: toolResultText,
+    ...extras
+  };
+}
+
+// Calls that may overlap with other calls of the same round.
+function isParallelSafe(toolCall, { config, mcpRouter }) {
+  const toolName = toolCall?.function?.name || "";
+  if (toolName === LOCAL_SHELL_TOOL_NAME) {
+    return Boolean(config.localShellParallel);
+  }
+  if (config.workspaceTools && config.workspaceTools.names.has(toolName)) {
+    return config.workspaceTools.readOnlyNames.has(toolName);
+  }
+  return Boolean(mcpRouter && mcpRouter.isReadOnly(toolName));
+}
+
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Executes one round of tool calls. Consecutive parallel-safe calls run
+ * together, up to `config.toolCallConcurrency` at a time; any other call
+ * waits for the calls before it and runs alone, so writes keep their order.
+ * Results come back in `toolCalls` order to match the `tool_call_id`s.
+ */
+async function executeToolCalls(toolCalls, context) {
+  const { round, config, addTrace, signal } = context;
+  const limit = Number.isFinite(config.toolCallConcurrency)
+    ? Math.max(1, Math.trunc(config.toolCallConcurrency))
+    : 1;
+  const results = new Array(toolCalls.length);
+  const durations = new Array(toolCalls.length);
+  const runOne = async (index) => {
+    const started = Date.now();
+    results[index] = await executeToolCall({ ...context, toolCall: toolCalls[index] });
+    durations[index] = Date.now() - started;
+  };
+
+  const roundStarted = Date.now();
+  let index = 0;
+  let maxParallel = 1;
+  while (index < toolCalls.length) {
+    throwIfAborted(signal);
+    let end = index;
+    while (end < toolCalls.length && limit > 1 && isParallelSafe(toolCalls[end], context)) {
+      end += 1;
+    }
+    if (end - index > 1) {
+      const batch = [];
+      for (let i = index; i < end; i += 1) {
+        batch.push(i);
+      }
+      maxParallel = Math.max(maxParallel, Math.min(limit, batch.length));
+      await runWithConcurrency(batch, limit, runOne);
+      index = end;
+    } else {
+      await runOne(index);
+      index += 1;
+    }
+  }
+  throwIfAborted(signal);
+
+  addTrace(
+    "tool",
+    `Round ${round}: ${toolCalls.length} tool call(s) finished in ${Date.now() - roundStarted} ms (max ${maxParallel} in parallel).`,
+    toolCalls
+      .map((toolCall, i) => `${toolCall?.function?.name || "<unknown>"} (${toolCall.id}): ${durations[i]} ms`)
+      .join("\n")
+  );
+  return results;
+}
+
+const ROUND_LIMIT_PROMPT =
+  "The tool-call round limit for this request has been reached, so no tools are available for this reply. " +
+  "Summarise what you have done and found so far, what is still open, and what you would do next if you could continue.";
+
+/**
+ * Runs when `mcpMaxToolRounds` is used up: one more completion, without
+ * tools, asks the model to summarise its progress. The instruction is not
+ * added to `workingMessages`, so a continuation resumes the tool exchange
+ * exactly where it stopped.
+ */
+async function summarizeAtRoundLimit({
+  config,
+  workingMessages,
+  trace,
+  addTrace,
+  onPartial,
+  signal,
+  maxRounds
+}) {
+  addTrace(
+    "limit",
+    "Reached max tool-call rounds; asking the model to summarise progress without tools.",
+    `max_rounds=${maxRounds}`
+  );
+  const messages = [
+    ...toApiMessages(workingMessages, { visionEnabled: config.visionEnabled }),
+    { role: "user", content: ROUND_LIMIT_PROMPT }
+  ];
+  const round = maxRounds + 1;
+  let text = "";
+  try {
+    if (config.chatEndpointMode === "lmstudio-native-stream") {
+      let partialText = "";
+      const streamResult = await createNativeStreamingChat({
+        nativeBaseUrl: config.nativeBaseUrl,
+        baseUrl: config.baseUrl,
+        apiKey: config.apiKey,
+        model: config.model,
+        messages,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        signal,
+        onEvent: (event) => {
+          if (typeof event.deltaText === "string" && event.deltaText) {
+            partialText += event.deltaText;
+            emitPartial(onPartial, { round, text: partialText });
+          }
+        }
+      });
+      text = streamResult.text;
+    } else {
+      const completionRequest = {
+        baseUrl: config.baseUrl,
+        apiKey: config.apiKey,
+        model: config.model,
+        messages,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        signal
+      };
+      const response = config.streamingEnabled
+        ? await createStreamingChatCompletion({
+            ...completionRequest,
+            onDelta: ({ text: partial }) => {
+              emitPartial(onPartial, { round, text: partial });
+            }
+          })
+        : await createChatCompletion(completionRequest);
+      text = response.text;
+    }
+    addTrace("final", "Model summarised progress at the round limit.");
+  } catch (err) {
+    if (signal && signal.aborted) {
+      throw err;
+    }
+    const msg = err instanceof Error ? err.message : String(err);
+    addTrace("error", "Round-limit summary failed.", msg);
+  }
+
+  return {
+    text:
+      text ||
+      `Reached the tool-call round limit (${maxRounds}) before a final response. Continue to let the model keep working.`,
+    usedTools: true,
+    rounds: maxRounds,
+    limitReached: true,
+    trace
+  };
+}
+
+async function runNativeStreamingMode({
+  config,
+  messages,
+  output,
+  trace,
+  addTrace,
+  onPartial,
+  signal,
+  requestApproval,
+  editStaging,
+  progress
+}) {
+  const { openAiTools, mcpRouter, toolSchemas } = await loadToolset({
+    config,
+    output,
+    addTrace,
+    signal,
+    editStaging
+  });
+  const toolsEnabled = openAiTools.length > 0;
   const workingMessages = Array.isArray(messages) ? [...messages] : [];
+  progress.workingMessages = workingMessages;
+  let usedToolsInTurn = false;
+  let totalEvents = 0;
+  const maxRounds = Number.isFinite(config.mcpMaxToolRounds)
+    ? Math.max(1, config.mcpMaxToolRounds)
+    : 4;
+
+  for (let round = 0; round < maxRounds; round += 1) {
+    throwIfAborted(signal);
+    progress.rounds = round + 1;
+    addTrace(
+      "round",
+      `Round ${round + 1}: opening native stream.`,
+      `message_count=${workingMessages.length}`
+    );
+    let partialText = "";
+
+    const streamResult = await createNativeStreamingChat({
+      nativeBaseUrl: config.nativeBaseUrl,
+      baseUrl: config.baseUrl,
+      apiKey: config.apiKey,
+      model: config.model,
+      messages: toApiMessages(workingMessages, { visionEnabled: config.visionEnabled }),
+      temperature: config.temperature,
+      maxTokens: config.maxTokens,
+      tools: toolsEnabled ? openAiTools : undefined,
+      signal,
+      onEvent: (event) => {
+        const name = String(event.event || "event");
+        const lowered = name.toLowerCase();
+        const delta = typeof event.deltaText === "string" ? event.deltaText : "";
+        const details = delta || summarizeEventData(event.data);
+        if (delta) {
+          partialText += delta;
+          emitPartial(onPartial, { round: round + 1, text: partialText });
+        }
+
+        if (lowered.startsWith("reasoning.")) {
+          addTrace("reasoning", name, details);
+        } else if (lowered.includes("tool_call")) {
+          addTrace("tool-stream", name, details);
+        } else if (lowered === "done" || lowered.endsWith(".done") || lowered.endsWith(".completed")) {
+          addTrace("stream-end", name, details);
+        } else {
+          addTrace("stream", name, details);
+        }
+      }
+    });
+    totalEvents += streamResult.events.length;
+
+    if (output) {
+      output.appendLine(
+        `[joshgpt] native stream completed events=${streamResult.events.length} tool_calls=${streamResult.toolCalls.length}`
+      );
+    }
+
+    const toolCalls = toolsEnabled ? streamResult.toolCalls : [];
+    if (!toolCalls.length) {
+      addTrace(
+        "final",
+        "Native streaming response completed.",
+        `events=${totalEvents}`
+      );
+      return {
+        text:
+          streamResult.text ||
+          "Model returned no assistant text. Check trace for stream events.",
+        usedTools: usedToolsInTurn,
+        rounds: round + 1,
+        trace
+      };
+    }
+
+    workingMessages.push({
+      role: "assistant",
+      content: streamResult.text || "",
+      tool_calls: toolCalls
+    });
+
+    if (output) {
+      output.appendLine(`[joshgpt] model requested ${toolCalls.length} tool call(s)`);
+    }
+    addTrace("tool", `Round ${round + 1}: executing ${toolCalls.length} tool call(s).`);
+
+    usedToolsInTurn = true;
+    progress.usedTools = true;
+    workingMessages.push(
+      ...(await executeToolCalls(toolCalls, {
+        round: round + 1,
+        config,
+        mcpRouter,
+        toolSchemas,
+        output,
+        addTrace,
+        signal,
+        requestApproval,
+        editStaging
+      }))
+    );
+  }
+
+  return summarizeAtRoundLimit({
+    config,
+    workingMessages,
+    trace,
+    addTrace,
+    onPartial,
+    signal,
+    maxRounds
+  });
+}
+
+async function runOpenAiCompatMode({
+  config,
+  messages,
+  output,
+  trace,
+  addTrace,
+  onPartial,
+  signal,
+  requestApproval,
+  editStaging,
+  progress
+}) {
+  const { openAiTools, mcpRouter, toolSchemas } = await loadToolset({
+    config,
+    output,
+    addTrace,
+    signal,
+    editStaging
+  });
+
+  const workingMessages = Array.isArray(messages) ? [...messages] : [];
+  progress.workingMessages = workingMessages;
   const toolChoiceEnabled = Array.isArray(openAiTools) && openAiTools.length > 0;
   let usedToolsInTurn = false;
   const maxRounds = Number.isFinite(config.mcpMaxToolRounds)
     ? Math.max(1, config.mcpMaxToolRounds)
     : 4;
+  const streamingEnabled = Boolean(config.streamingEnabled);
 
   for (let round = 0; round < maxRounds; round += 1) {
+    throwIfAborted(signal);
+    progress.rounds = round + 1;
     addTrace(
       "round",
       `Round ${round + 1}: requesting model completion.`,
       `message_count=${workingMessages.length}`
     );
-    const response = await createChatCompletion({
+    const completionRequest = {
       baseUrl: config.baseUrl,
       apiKey: config.apiKey,
       model: config.model,
-      messages: workingMessages,
+      messages: toApiMessages(workingMessages, { visionEnabled: config.visionEnabled }),
       temperature: config.temperature,
       maxTokens: config.maxTokens,
       tools: toolChoiceEnabled ? openAiTools : undefined,
-      toolChoice: toolChoiceEnabled ? "auto" : undefined
-    });
+      toolChoice: toolChoiceEnabled ? "auto" : undefined,
+      signal
+    };
+    const response = streamingEnabled
+      ? await createStreamingChatCompletion({
+          ...completionRequest,
+          onDelta: ({ text }) => {
+            emitPartial(onPartial, { round: round + 1, text });
+          }
+        })
+      : await createChatCompletion(completionRequest);
 
     const toolCallCount = countToolCalls(response);
     addTrace(
@@ -309,84 +1030,144 @@ async function runChatWithOptionalMcp({ config, messages, output }) {
     }
     addTrace("tool", `Round ${round + 1}: executing ${toolCallCount} tool call(s).`);
 
-    for (const toolCall of response.toolCalls) {
-      usedToolsInTurn = true;
-      const toolName = toolCall?.function?.name || "";
-      const rawArgs = toolCall?.function?.arguments || "{}";
-      const args = parseToolArguments(rawArgs);
-      if (output) {
-        output.appendLine(
-          `[joshgpt] tool call -> ${toolName || "<unknown>"} args=${formatArgsForLog(args)}`
-        );
-      }
-      addTrace(
-        "tool",
-        `Calling tool: ${toolName || "<unknown>"}`,
-        JSON.stringify(args, null, 2)
-      );
+    usedToolsInTurn = true;
+    progress.usedTools = true;
+    workingMessages.push(
+      ...(await executeToolCalls(response.toolCalls, {
+        round: round + 1,
+        config,
+        mcpRouter,
+        toolSchemas,
+        output,
+        addTrace,
+        signal,
+        requestApproval,
+        editStaging
+      }))
+    );
+  }
 
-      let toolResultText;
-      if (toolName === LOCAL_SHELL_TOOL_NAME) {
-        try {
-          const localResult = await runLocalShellToolCall(args, {
-            workspaceRoot: config.workspaceRoot,
-            defaultTimeoutSeconds: config.localShellDefaultTimeoutSeconds,
-            maxTimeoutSeconds: config.localShellMaxTimeoutSeconds,
-            defaultMaxOutputChars: config.localShellDefaultMaxOutputChars,
-            maxOutputCharsCap: config.localShellMaxOutputChars,
-            mirror: config.localShellMirror || null
-          });
-          toolResultText = JSON.stringify(localResult, null, 2);
-          addTrace(
-            "tool",
-            `Local shell result: ${toolName}`,
-            toolResultText.slice(0, 1200)
-          );
-        } catch (err) {
-          const msg = err instanceof Error ? err.message : String(err);
-          toolResultText = `Local shell tool failed: ${msg}`;
-          addTrace("tool-error", `Local shell failed: ${toolName}`, msg);
-        }
-      } else {
-        try {
-          if (!mcpClient) {
-            throw new Error("MCP client unavailable for non-local tool.");
-          }
-          const result = await mcpClient.callTool(toolName, args);
-          toolResultText = stringifyToolResult(result);
-          addTrace(
-            "tool",
-            `Tool result: ${toolName || "<unknown>"}`,
-            toolResultText.slice(0, 1200)
-          );
-        } catch (err) {
-          const msg = err instanceof Error ? err.message : String(err);
-          toolResultText = `MCP tool call failed: ${msg}`;
-          addTrace("tool-error", `Tool failed: ${toolName || "<unknown>"}`, msg);
-        }
-      }
+  return summarizeAtRoundLimit({
+    config,
+    workingMessages,
+    trace,
+    addTrace,
+    onPartial,
+    signal,
+    maxRounds
+  });
+}
 
-      workingMessages.push({
-        role: "tool",
-        tool_call_id: toolCall.id,
-        name: toolName,
-        content: toolResultText
-      });
+// Keep only assistant tool-call messages whose every call has a tool result, so
+// a cancelled round never leaves a dangling tool_calls entry in the history.
+function completeToolExchanges(messages) {
+  const out = [];
+  for (let i = 0; i < messages.length; i += 1) {
+    const message = messages[i];
+    if (message.role !== "assistant" || !Array.isArray(message.tool_calls)) {
+      out.push(message);
+      continue;
     }
+    const results = [];
+    let j = i + 1;
+    while (j < messages.length && messages[j].role === "tool") {
+      results.push(messages[j]);
+      j += 1;
+    }
+    const answered = new Set(results.map((item) => item.tool_call_id));
+    if (message.tool_calls.every((call) => answered.has(call.id))) {
+      out.push(message, ...results);
+    }
+    i = j - 1;
   }
+  return out;
+}
 
-  addTrace(
-    "limit",
-    "Stopped after reaching max tool-call rounds.",
-    `max_rounds=${maxRounds}`
-  );
-  return {
-    text:
-      "Reached tool-call round limit before final response. Increase joshgpt.mcp.maxToolRounds if needed.",
-    usedTools: true,
-    rounds: maxRounds,
-    trace
+async function runChatWithOptionalMcp({
+  config,
+  messages,
+  output,
+  onPartial,
+  signal,
+  requestApproval,
+  editStaging
+}) {
+  const trace = [];
+  function addTrace(type, summary, details = "", images = []) {
+    const event = {
+      timestamp: new Date().toISOString(),
+      type: String(type || "event"),
+      summary: String(summary || ""),
+      details: String(details || "")
+    };
+    if (Array.isArray(images) && images.length) {
+      event.images = images;
+    }
+    trace.push(event);
+  }
+
+  const progress = { rounds: 0, usedTools: false, workingMessages: null };
+  const inputCount = Array.isArray(messages) ? messages.length : 0;
+  const collectTranscript = () =>
+    completeToolExchanges(
+      Array.isArray(progress.workingMessages) ? progress.workingMessages.slice(inputCount) : []
+    );
+  let partialText = "";
+  const trackPartial = (partial) => {
+    partialText = String((partial && partial.text) || "");
+    emitPartial(onPartial, partial);
   };
+  const runMode =
+    config.chatEndpointMode === "lmstudio-native-stream"
+      ? runNativeStreamingMode
+      : runOpenAiCompatMode;
+  // Without a long-lived pool from the extension, MCP clients (and any stdio
+  // server processes) live only for this prompt.
+  const ownedPool = config.mcpClientPool ? null : new McpClientPool({ output });
+  const runConfig = ownedPool ? { ...config, mcpClientPool: ownedPool } : config;
+
+  try {
+    const result = await runMode({
+      config: runConfig,
+      messages,
+      output,
+      trace,
+      addTrace,
+      onPartial: trackPartial,
+      signal,
+      requestApproval,
+      editStaging,
+      progress
+    });
+    return {
+      ...result,
+      transcript: collectTranscript()
+    };
+  } catch (err) {
+    if (!signal || !signal.aborted) {
+      throw err;
+    }
+    if (output) {
+      output.appendLine("[joshgpt] prompt cancelled");
+    }
+    addTrace(
+      "cancelled",
+      "Prompt cancelled by user.",
+      partialText ? `partial_chars=${partialText.length}` : "No partial answer received."
+    );
+    return {
+      text: partialText.trim(),
+      cancelled: true,
+      usedTools: progress.usedTools,
+      rounds: progress.rounds,
+      transcript: collectTranscript(),
+      trace
+    };
+  } finally {
+    if (ownedPool) {
+      ownedPool.dispose();
+    }
+  }
 }
 
 module.exports = {
@@ -0,0 +1,236 @@
+"use strict";
+
+const { createChatCompletion } = require("./lmstudio-client");
+
+const DEFAULT_CONTEXT_LENGTH = 8192;
+const COMPACTION_STRATEGIES = ["summarize", "trim", "off"];
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Share of the window held back for tool schemas and tool-round growth.
+const TOOL_RESERVE_RATIO = 0.1;
+const SUMMARY_SOURCE_MAX_CHARS = 2000;
+
+function estimateTokens(text) {
+  const length = String(text || "").length;
+  return length ? Math.ceil(length / CHARS_PER_TOKEN) : 0;
+}
+
+function estimateMessageTokens(message) {
+  if (!message || typeof message !== "object") {
+    return 0;
+  }
+  let tokens = MESSAGE_OVERHEAD_TOKENS + estimateTokens(message.content);
+  for (const call of Array.isArray(message.tool_calls) ? message.tool_calls : []) {
+    tokens += estimateTokens(call?.function?.name) + estimateTokens(call?.function?.arguments);
+  }
+  if (message.name) {
+    tokens += estimateTokens(message.name);
+  }
+  return tokens;
+}
+
+function estimateMessagesTokens(messages) {
+  return (Array.isArray(messages) ? messages : []).reduce(
+    (sum, message) => sum + estimateMessageTokens(message),
+    0
+  );
+}
+
+function normalizeCompactionStrategy(value) {
+  const normalized = String(value || "").trim();
+  return COMPACTION_STRATEGIES.includes(normalized) ? normalized : "summarize";
+}
+
+// A turn starts at a user message and carries every assistant/tool message up
+// to the next user message, so tool_calls are never split from their results.
+function groupTurns(messages) {
+  const turns = [];
+  let current = [];
+  for (const message of Array.isArray(messages) ? messages : []) {
+    if (message.role === "user" && current.length) {
+      turns.push(current);
+      current = [];
+    }
+    current.push(message);
+  }
+  if (current.length) {
+    turns.push(current);
+  }
+  return turns;
+}
+
+function formatTranscriptForSummary(messages) {
+  return messages
+    .map((message) => {
+      const content = String(message.content || "").slice(0, SUMMARY_SOURCE_MAX_CHARS);
+      if (message.role === "tool") {
+        return `TOOL RESULT (${message.name || "tool"}): ${content}`;
+      }
+      const calls = (Array.isArray(message.tool_calls) ? message.tool_calls : [])
+        .map((call) => `[tool_call ${call?.function?.name || ""}] ${call?.function?.arguments || ""}`)
+        .join("\n");
+      return `${String(message.role || "user").toUpperCase()}: ${[content, calls]
+        .filter(Boolean)
+        .join("\n")}`;
+    })
+    .join("\n\n");
+}
+
+async function summarizeMessages({ config, previousSummary, messages, maxTokens, signal }) {
+  const sections = [];
+  if (previousSummary) {
+    sections.push(`Existing summary of earlier conversation:\n${previousSummary}`);
+  }
+  sections.push(`Conversation to fold into the summary:\n${formatTranscriptForSummary(messages)}`);
+
+  const response = await createChatCompletion({
+    baseUrl: config.baseUrl,
+    apiKey: config.apiKey,
+    model: config.model,
+    messages: [
+      {
+        role: "system",
+        content:
+          "You compress chat history for a coding assistant. Write a concise summary that " +
+          "keeps user goals, decisions, file paths, commands run and their key results, and " +
+          "open questions. Do not invent details."
+      },
+      { role: "user", content: sections.join("\n\n") }
+    ],
+    temperature: 0,
+    maxTokens,
+    signal
+  });
+  const text = typeof response.message?.content === "string" ? response.message.content.trim() : "";
+  if (!text) {
+    throw new Error("Summarization returned no text.");
+  }
+  return text;
+}
+
+function summaryMessage(summary) {
+  return {
+    role: "system",
+    content: `Summary of earlier conversation (older turns were compacted):\n${summary.text}`
+  };
+}
+
+/**
+ * Fits session history into the model context window.
+ * `history` is every stored message in model shape; `summary` is the session's
+ * existing compaction summary ({ text, coveredMessageCount }) or null.
+ */
+async function prepareContext({
+  config,
+  systemMessages,
+  history,
+  summary,
+  contextLength,
+  signal
+}) {
+  const strategy = normalizeCompactionStrategy(config.contextCompaction);
+  const events = [];
+  const windowTokens = contextLength > 0 ? contextLength : DEFAULT_CONTEXT_LENGTH;
+  const reserveTokens =
+    (Number.isFinite(config.maxTokens) ? config.maxTokens : 512) +
+    Math.round(windowTokens * TOOL_RESERVE_RATIO);
+  const budget = Math.max(256, windowTokens - reserveTokens);
+
+  let activeSummary = summary && summary.text ? summary : null;
+  const coveredCount = activeSummary ? activeSummary.coveredMessageCount : 0;
+  const active = (Array.isArray(history) ? history : []).slice(coveredCount);
+  const prefix = () => [...systemMessages, ...(activeSummary ? [summaryMessage(activeSummary)] : [])];
+
+  let messages = [...prefix(), ...active];
+  let estimatedTokens = estimateMessagesTokens(messages);
+  let compacted = false;
+
+  if (estimatedTokens > budget && strategy !== "off") {
+    const turns = groupTurns(active);
+    const prefixTokens = estimateMessagesTokens(prefix());
+    const kept = [];
+    let keptTokens = 0;
+    for (let i = turns.length - 1; i >= 0; i -= 1) {
+      const turnTokens = estimateMessagesTokens(turns[i]);
+      if (kept.length && prefixTokens + keptTokens + turnTokens > budget) {
+        break;
+      }
+      kept.unshift(turns[i]);
+      keptTokens += turnTokens;
+    }
+    const dropped = turns.slice(0, turns.length - kept.length).flat();
+
+    if (dropped.length) {
+      compacted = true;
+      if (strategy === "summarize") {
+        try {
+          const text = await summarizeMessages({
+            config,
+            previousSummary: activeSummary ? activeSummary.text : "",
+            messages: dropped,
+            maxTokens: Math.max(128, Math.min(1024, Math.floor(budget / 4))),
+            signal
+          });
+          activeSummary = {
+            text,
+            coveredMessageCount: coveredCount + dropped.length,
+            updatedAt: new Date().toISOString()
+          };
+          events.push({
+            type: "context",
+            summary: `Summarized ${dropped.length} older message(s) to fit the context window.`,
+            details: text.slice(0, 1200)
+          });
+        } catch (err) {
+          if (signal && signal.aborted) {
+            throw err;
+          }
+          const msg = err instanceof Error ? err.message : String(err);
+          events.push({
+            type: "context",
+            summary: `Summarization failed; trimmed ${dropped.length} older message(s) instead.`,
+            details: msg
+          });
+        }
+      } else {
+        events.push({
+          type: "context",
+          summary: `Trimmed ${dropped.length} older message(s) to fit the context window.`
+        });
+      }
+    }
+
+    messages = [...prefix(), ...kept.flat()];
+    estimatedTokens = estimateMessagesTokens(messages);
+  }
+
+  if (estimatedTokens > budget) {
+    events.push({
+      type: "context",
+      summary: "Prompt still exceeds the estimated context budget.",
+      details: `estimated_tokens=${estimatedTokens} budget=${budget} strategy=${strategy}`
+    });
+  }
+
+  return {
+    messages,
+    summary: activeSummary,
+    events,
+    usage: {
+      estimatedTokens,
+      contextLength: windowTokens,
+      budget,
+      compacted,
+      strategy
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_LENGTH,
+  COMPACTION_STRATEGIES,
+  estimateTokens,
+  estimateMessagesTokens,
+  normalizeCompactionStrategy,
+  prepareContext
+};
@@ -0,0 +1,78 @@
+"use strict";
+
+// SecretStorage keys for the endpoint bearer token: the default key, and one
+// per provider profile. MCP server credentials are kept by mcp-auth.js.
+const API_KEY_SECRET = "joshgpt.apiKey";
+const PROFILE_API_KEY_PREFIX = "joshgpt.apiKey.profile.";
+// LM Studio accepts any bearer string; this one is sent while no key is stored.
+const DEFAULT_API_KEY = "lm-studio";
+
+/**
+ * In-memory view of the extension's secrets so the synchronous `getConfig`
+ * can read them. `secrets` is VS Code `SecretStorage`; call `load()` with the
+ * profile names before the first read (and again when profiles change), and
+ * `reload(key)` when another window changes a secret. Listeners run after
+ * every change. A profile without its own key sends DEFAULT_API_KEY, never
+ * the default profile's key: profiles may point at other hosts.
+ */
+function createCredentialStore(secrets) {
+  const keyFor = (profileName) =>
+    profileName ? `${PROFILE_API_KEY_PREFIX}${profileName}` : API_KEY_SECRET;
+
+  const values = new Map();
+  const listeners = new Set();
+
+  const notify = () => {
+    for (const listener of listeners) {
+      listener();
+    }
+  };
+
+  const reload = async (key) => {
+    const value = String((await secrets.get(key)) || "").trim();
+    if (value) {
+      values.set(key, value);
+    } else {
+      values.delete(key);
+    }
+    notify();
+  };
+
+  return {
+    async load(profileNames = []) {
+      for (const key of [API_KEY_SECRET, ...profileNames.map(keyFor)]) {
+        await reload(key);
+      }
+    },
+    async reload(key) {
+      if (key === API_KEY_SECRET || String(key).startsWith(PROFILE_API_KEY_PREFIX)) {
+        await reload(key);
+      }
+    },
+    getApiKey: (profileName = "") => values.get(keyFor(profileName)) || DEFAULT_API_KEY,
+    hasApiKey: (profileName = "") => values.has(keyFor(profileName)),
+    // An empty value removes the stored key, so the fallback is sent again.
+    async setApiKey(value, profileName = "") {
+      const key = keyFor(profileName);
+      const trimmed = String(value || "").trim();
+      if (trimmed) {
+        await secrets.store(key, trimmed);
+        values.set(key, trimmed);
+      } else {
+        await secrets.delete(key);
+        values.delete(key);
+      }
+      notify();
+    },
+    onDidChange(listener) {
+      listeners.add(listener);
+      return { dispose: () => listeners.delete(listener) };
+    }
+  };
+}
+
+module.exports = {
+  API_KEY_SECRET,
+  DEFAULT_API_KEY,
+  createCredentialStore
+};
@@ -0,0 +1,155 @@
+"use strict";
+
+const HUNK_HEADER_PATTERN = /^@@\s+-(\d+)(?:,(\d+))?\s+\+(\d+)(?:,(\d+))?\s+@@/;
+
+function looksLikeUnifiedDiff(text) {
+  const source = String(text || "");
+  return /^@@\s+-\d+(?:,\d+)?\s+\+\d+(?:,\d+)?\s+@@/m.test(source);
+}
+
+const FILE_HEADER_PATTERN = /^(diff --git |index |--- |\+\+\+ |new file mode |deleted file mode )/;
+
+// File headers sit directly above a hunk header; mark them so a removed line
+// that happens to start with "--" is not mistaken for one.
+function markFileHeaders(lines) {
+  const headers = new Set();
+  lines.forEach((line, index) => {
+    if (!HUNK_HEADER_PATTERN.test(line)) {
+      return;
+    }
+    for (let i = index - 1; i >= 0 && FILE_HEADER_PATTERN.test(lines[i]); i -= 1) {
+      headers.add(i);
+    }
+  });
+  return headers;
+}
+
+function parseUnifiedDiff(patch) {
+  const hunks = [];
+  let current = null;
+  const lines = String(patch || "").replace(/\r\n?/g, "\n").split("\n");
+  const fileHeaders = markFileHeaders(lines);
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    if (fileHeaders.has(index)) {
+      current = null;
+      continue;
+    }
+    const header = HUNK_HEADER_PATTERN.exec(line);
+    if (header) {
+      current = { oldStart: Number(header[1]), oldLines: [], newLines: [] };
+      hunks.push(current);
+      continue;
+    }
+    if (!current || line.startsWith("\\")) {
+      continue;
+    }
+    if (line.startsWith("+")) {
+      current.newLines.push(line.slice(1));
+    } else if (line.startsWith("-")) {
+      current.oldLines.push(line.slice(1));
+    } else {
+      // Context lines; a bare empty line is an empty context line.
+      const text = line.startsWith(" ") ? line.slice(1) : line;
+      current.oldLines.push(text);
+      current.newLines.push(text);
+    }
+  }
+  for (const hunk of hunks) {
+    // Trailing blank context produced by the split of a final newline.
+    while (
+      hunk.oldLines.length &&
+      hunk.newLines.length &&
+      hunk.oldLines[hunk.oldLines.length - 1] === "" &&
+      hunk.newLines[hunk.newLines.length - 1] === ""
+    ) {
+      hunk.oldLines.pop();
+      hunk.newLines.pop();
+    }
+  }
+  return hunks;
+}
+
+function matchesAt(lines, candidate, index) {
+  if (index < 0 || index + candidate.length > lines.length) {
+    return false;
+  }
+  for (let i = 0; i < candidate.length; i += 1) {
+    if (lines[index + i].trimEnd() !== candidate[i].trimEnd()) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function findHunk(lines, oldLines, expectedIndex, minIndex) {
+  if (!oldLines.length) {
+    return Math.max(minIndex, Math.min(expectedIndex, lines.length));
+  }
+  for (let offset = 0; offset < lines.length; offset += 1) {
+    for (const index of [expectedIndex + offset, expectedIndex - offset]) {
+      if (index >= minIndex && matchesAt(lines, oldLines, index)) {
+        return index;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Applies a unified diff to `original`. Hunk positions are treated as hints:
+ * each hunk is matched by its context/removed lines nearest to its header line.
+ */
+function applyUnifiedDiff(original, patch) {
+  const hunks = parseUnifiedDiff(patch);
+  if (!hunks.length) {
+    throw new Error("Patch contains no hunks.");
+  }
+
+  const eol = String(original || "").includes("\r\n") ? "\r\n" : "\n";
+  const lines = String(original || "").split(/\r?\n/);
+  let delta = 0;
+  let minIndex = 0;
+
+  hunks.forEach((hunk, hunkIndex) => {
+    const expected = Math.max(0, hunk.oldStart - 1 + delta);
+    const index = findHunk(lines, hunk.oldLines, expected, minIndex);
+    if (index < 0) {
+      throw new Error(`Hunk ${hunkIndex + 1} (line ${hunk.oldStart}) does not match the file.`);
+    }
+    lines.splice(index, hunk.oldLines.length, ...hunk.newLines);
+    delta += hunk.newLines.length - hunk.oldLines.length;
+    minIndex = index + hunk.newLines.length;
+  });
+
+  return lines.join(eol);
+}
+
+// Rough +/- line counts for the webview: trims the common head and tail and
+// counts what remains on each side.
+function countChangedLines(original, proposed) {
+  const before = original ? original.split(/\r?\n/) : [];
+  const after = proposed ? proposed.split(/\r?\n/) : [];
+  let head = 0;
+  while (head < before.length && head < after.length && before[head] === after[head]) {
+    head += 1;
+  }
+  let tail = 0;
+  while (
+    tail < before.length - head &&
+    tail < after.length - head &&
+    before[before.length - 1 - tail] === after[after.length - 1 - tail]
+  ) {
+    tail += 1;
+  }
+  return {
+    added: after.length - head - tail,
+    removed: before.length - head - tail
+  };
+}
+
+module.exports = {
+  looksLikeUnifiedDiff,
+  applyUnifiedDiff,
+  countChangedLines
+};
@@ -0,0 +1,141 @@
+"use strict";
+
+const vscode = require("vscode");
+const { applyUnifiedDiff, looksLikeUnifiedDiff } = require("./diff-utils");
+
+const PROPOSED_SCHEME = "joshgpt-proposed";
+const DIFF_LANGUAGES = ["diff", "patch", "udiff"];
+const proposedContents = new Map();
+let proposedSequence = 0;
+
+function registerProposedContentProvider(context) {
+  const emitter = new vscode.EventEmitter();
+  context.subscriptions.push(
+    emitter,
+    vscode.workspace.registerTextDocumentContentProvider(PROPOSED_SCHEME, {
+      onDidChange: emitter.event,
+      provideTextDocumentContent: (uri) => proposedContents.get(uri.toString()) || ""
+    }),
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      if (document.uri.scheme === PROPOSED_SCHEME) {
+        proposedContents.delete(document.uri.toString());
+      }
+    }),
+    {
+      dispose: () => proposedContents.clear()
+    }
+  );
+}
+
+function createProposedUri(sourceUri, content) {
+  proposedSequence += 1;
+  const fileName = sourceUri.path.split("/").pop() || "untitled";
+  const uri = vscode.Uri.from({
+    scheme: PROPOSED_SCHEME,
+    path: `/${proposedSequence}/${fileName}`,
+    query: sourceUri.toString()
+  });
+  proposedContents.set(uri.toString(), content);
+  return uri;
+}
+
+function targetEditor() {
+  const active = vscode.window.activeTextEditor;
+  if (active && active.document.uri.scheme !== PROPOSED_SCHEME) {
+    return active;
+  }
+  return (
+    vscode.window.visibleTextEditors.find(
+      (editor) => editor.document.uri.scheme !== PROPOSED_SCHEME
+    ) || null
+  );
+}
+
+function fullDocumentRange(document) {
+  const lastLine = document.lineAt(Math.max(0, document.lineCount - 1));
+  return new vscode.Range(new vscode.Position(0, 0), lastLine.range.end);
+}
+
+async function insertAtCursor(code) {
+  const editor = targetEditor();
+  if (!editor) {
+    throw new Error("Open a text editor to insert code.");
+  }
+  await editor.edit((builder) => {
+    for (const selection of editor.selections) {
+      builder.replace(selection, code);
+    }
+  });
+  await vscode.window.showTextDocument(editor.document, editor.viewColumn);
+}
+
+async function applyCodeAsDiff(code, lang) {
+  const editor = targetEditor();
+  if (!editor) {
+    throw new Error("Open the file to change in a text editor first.");
+  }
+
+  const document = editor.document;
+  const original = document.getText();
+  let proposed;
+  let mode;
+  const isPatch = DIFF_LANGUAGES.includes(String(lang || "").toLowerCase()) || looksLikeUnifiedDiff(code);
+  if (isPatch) {
+    proposed = applyUnifiedDiff(original, code);
+    mode = "patch";
+  } else if (!editor.selection.isEmpty) {
+    const start = document.offsetAt(editor.selection.start);
+    const end = document.offsetAt(editor.selection.end);
+    proposed = `${original.slice(0, start)}${code}${original.slice(end)}`;
+    mode = "selection";
+  } else {
+    proposed = code;
+    mode = "document";
+  }
+
+  if (proposed === original) {
+    vscode.window.showInformationMessage("JoshGPT: code block matches the file; nothing to apply.");
+    return false;
+  }
+
+  const fileLabel = vscode.workspace.asRelativePath(document.uri);
+  const proposedUri = createProposedUri(document.uri, proposed);
+  await vscode.commands.executeCommand(
+    "vscode.diff",
+    document.uri,
+    proposedUri,
+    `${fileLabel} ↔ JoshGPT (${mode})`,
+    { preview: true }
+  );
+
+  const choice = await vscode.window.showInformationMessage(
+    `Apply JoshGPT changes to ${fileLabel}?`,
+    "Apply",
+    "Discard"
+  );
+  if (choice !== "Apply") {
+    return false;
+  }
+  if (document.getText() !== original) {
+    throw new Error(`${fileLabel} changed while the diff was open; re-run Apply as Diff.`);
+  }
+
+  const edit = new vscode.WorkspaceEdit();
+  edit.replace(document.uri, fullDocumentRange(document), proposed);
+  const applied = await vscode.workspace.applyEdit(edit);
+  if (!applied) {
+    throw new Error(`VS Code rejected the edit to ${fileLabel}.`);
+  }
+  await vscode.window.showTextDocument(document, editor.viewColumn);
+  return true;
+}
+
+module.exports = {
+  PROPOSED_SCHEME,
+  registerProposedContentProvider,
+  createProposedUri,
+  targetEditor,
+  fullDocumentRange,
+  insertAtCursor,
+  applyCodeAsDiff
+};
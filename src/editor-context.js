@@ -0,0 +1,158 @@
+"use strict";
+
+const vscode = require("vscode");
+const { makeAttachmentId, truncateContent } = require("./attachments");
+const { targetEditor } = require("./editor-actions");
+
+const FILE_PICKER_LIMIT = 2000;
+const FILE_PICKER_EXCLUDE = "**/{node_modules,.git,dist,out,coverage}/**";
+
+const SEVERITY_LABELS = {
+  [vscode.DiagnosticSeverity.Error]: "error",
+  [vscode.DiagnosticSeverity.Warning]: "warning",
+  [vscode.DiagnosticSeverity.Information]: "info",
+  [vscode.DiagnosticSeverity.Hint]: "hint"
+};
+
+function documentPath(uri) {
+  return uri.scheme === "file" || uri.scheme === "vscode-remote"
+    ? vscode.workspace.asRelativePath(uri, false)
+    : uri.toString();
+}
+
+/**
+ * Returns a selection attachment for the editor the user was last working in,
+ * or null when nothing is selected.
+ */
+function captureSelection({ maxChars } = {}) {
+  const editor = targetEditor();
+  if (!editor || editor.selection.isEmpty) {
+    return null;
+  }
+  const { document, selection } = editor;
+  // A selection ending at column 0 does not include that line.
+  const endLine =
+    selection.end.character === 0 && selection.end.line > selection.start.line
+      ? selection.end.line
+      : selection.end.line + 1;
+  return {
+    id: makeAttachmentId(),
+    kind: "selection",
+    path: documentPath(document.uri),
+    uri: document.uri.toString(),
+    languageId: document.languageId,
+    startLine: selection.start.line + 1,
+    endLine,
+    ...truncateContent(document.getText(selection), maxChars)
+  };
+}
+
+async function captureFile(uri, { maxChars } = {}) {
+  const document = await vscode.workspace.openTextDocument(uri);
+  return {
+    id: makeAttachmentId(),
+    kind: "file",
+    path: documentPath(document.uri),
+    uri: document.uri.toString(),
+    languageId: document.languageId,
+    startLine: 1,
+    endLine: document.lineCount,
+    ...truncateContent(document.getText(), maxChars)
+  };
+}
+
+function formatDiagnostic(diagnostic) {
+  const { line, character } = diagnostic.range.start;
+  const severity = SEVERITY_LABELS[diagnostic.severity] || "info";
+  const code =
+    diagnostic.code && typeof diagnostic.code === "object" ? diagnostic.code.value : diagnostic.code;
+  const source = [diagnostic.source, code].filter((part) => part !== undefined && part !== "").join(" ");
+  return `L${line + 1}:${character + 1} ${severity}: ${diagnostic.message}${source ? ` [${source}]` : ""}`;
+}
+
+function captureDiagnostics(uri, { maxChars } = {}) {
+  const diagnostics = vscode.languages
+    .getDiagnostics(uri)
+    .slice()
+    .sort((a, b) => a.severity - b.severity || a.range.start.line - b.range.start.line);
+  if (!diagnostics.length) {
+    return null;
+  }
+  return {
+    id: makeAttachmentId(),
+    kind: "diagnostics",
+    path: documentPath(uri),
+    uri: uri.toString(),
+    itemCount: diagnostics.length,
+    ...truncateContent(diagnostics.map(formatDiagnostic).join("\n"), maxChars)
+  };
+}
+
+async function pickFileAttachments({ maxChars } = {}) {
+  const openUris = vscode.workspace.textDocuments
+    .filter((document) => document.uri.scheme === "file")
+    .map((document) => document.uri);
+  const workspaceUris = await vscode.workspace.findFiles("**/*", FILE_PICKER_EXCLUDE, FILE_PICKER_LIMIT);
+
+  const seen = new Set();
+  const items = [];
+  for (const [uri, description] of [
+    ...openUris.map((uri) => [uri, "open"]),
+    ...workspaceUris.map((uri) => [uri, ""])
+  ]) {
+    const key = uri.toString();
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    items.push({ label: documentPath(uri), description, uri });
+  }
+
+  const picked = await vscode.window.showQuickPick(items, {
+    title: "JoshGPT: Attach Files",
+    placeHolder: "Select files to attach to the next prompt",
+    canPickMany: true,
+    matchOnDescription: true
+  });
+  if (!picked || !picked.length) {
+    return [];
+  }
+  return Promise.all(picked.map((item) => captureFile(item.uri, { maxChars })));
+}
+
+async function pickDiagnosticsAttachment({ maxChars } = {}) {
+  const withProblems = vscode.languages
+    .getDiagnostics()
+    .filter(([, diagnostics]) => diagnostics.length);
+  if (!withProblems.length) {
+    vscode.window.showInformationMessage("JoshGPT: the Problems panel is empty.");
+    return null;
+  }
+
+  const editor = targetEditor();
+  const activeKey = editor ? editor.document.uri.toString() : "";
+  const items = withProblems
+    .map(([uri, diagnostics]) => ({
+      label: documentPath(uri),
+      description: `${diagnostics.length} problem(s)${uri.toString() === activeKey ? " • active editor" : ""}`,
+      uri
+    }))
+    .sort((a, b) => Number(b.uri.toString() === activeKey) - Number(a.uri.toString() === activeKey));
+
+  const picked =
+    items.length === 1
+      ? items[0]
+      : await vscode.window.showQuickPick(items, {
+          title: "JoshGPT: Attach Problems",
+          placeHolder: "Select a file whose diagnostics to attach"
+        });
+  return picked ? captureDiagnostics(picked.uri, { maxChars }) : null;
+}
+
+module.exports = {
+  captureSelection,
+  captureFile,
+  captureDiagnostics,
+  pickFileAttachments,
+  pickDiagnosticsAttachment
+};
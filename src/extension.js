@@ -5,16 +5,75 @@ const {
   listModels: listModelsRequest
 } = require("./lmstudio-client");
 const { JoshGptSessionViewProvider } = require("./session-view-provider");
-const { McpHttpClient } = require("./mcp-client");
+const {
+  McpClientPool,
+  McpToolRouter,
+  describeServerTarget,
+  resolveMcpServers
+} = require("./mcp-registry");
 const { runChatWithOptionalMcp } = require("./chat-runner");
 const { createLocalShellMirror } = require("./local-shell-mirror");
+const { normalizeApprovalPolicy } = require("./tool-approval");
+const { getUserSetting } = require("./user-settings");
+const { normalizeCompactionStrategy } = require("./context-budget");
+const { registerProposedContentProvider } = require("./editor-actions");
+const { captureSelection } = require("./editor-context");
+const { buildToolCatalog, createToolToggleStore } = require("./tool-catalog");
+const { diagnoseMcpServers, formatDiagnosticsReport } = require("./mcp-diagnostics");
+const { createMcpAuthRegistry } = require("./mcp-auth");
+const { DEFAULT_API_KEY, createCredentialStore } = require("./credential-store");
+const {
+  applyProfile,
+  createActiveProfileStore,
+  describeProfile,
+  normalizeProfiles
+} = require("./profiles");
+const { createWorkspaceTools } = require("./workspace-tools");
+const {
+  DEFAULT_ATTACHMENT_MAX_CHARS,
+  describeAttachment,
+  formatMessageWithAttachments
+} = require("./attachments");
 
 const DEFAULT_MCP_BASE_URL = "http://127.0.0.1:8790/mcp";
 const DEFAULT_NATIVE_BASE_URL = "http://localhost:1234";
 const DEFAULT_LOCAL_SHELL_TERMINAL_NAME = "JoshGPT Local Shell";
 let runtimeLocalShellMirror = null;
+let runtimeMcpClientPool = null;
+let runtimeMcpAuth = null;
+let runtimeCredentials = null;
+let runtimeActiveProfile = null;
+let runtimeProfileStatusItem = null;
+// Servers with a sign-in prompt on screen, so parallel 401s ask only once.
+const mcpSignInPrompts = new Set();
+let runtimeToolToggles = null;
+
+function asStringList(value) {
+  return Array.isArray(value)
+    ? value.map((item) => String(item || "").trim()).filter(Boolean)
+    : [];
+}
+
+function asNumberMap(value) {
+  const map = {};
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return map;
+  }
+  for (const [key, raw] of Object.entries(value)) {
+    const number = Number(raw);
+    if (String(key).trim() && Number.isFinite(number)) {
+      map[String(key).trim()] = number;
+    }
+  }
+  return map;
+}
 
-function getConfig() {
+/**
+ * Settings for a request. `profileName` selects a provider profile from
+ * `joshgpt.profiles` (a session's pinned profile); without it the active
+ * profile applies.
+ */
+function getConfig({ profileName } = {}) {
   const cfg = vscode.workspace.getConfiguration("joshgpt");
   const rootCfg = vscode.workspace.getConfiguration();
   const baseUrl = normalizeBaseUrl(cfg.get("baseUrl"));
@@ -27,8 +86,11 @@ function getConfig() {
     String(cfg.get("localShell.mirrorTerminalName") || DEFAULT_LOCAL_SHELL_TERMINAL_NAME).trim() ||
     DEFAULT_LOCAL_SHELL_TERMINAL_NAME;
   const localShellMirrorReveal = Boolean(cfg.get("localShell.mirrorTerminalReveal") ?? true);
+  const mcpBaseUrl = normalizeBaseUrl(
+    String(rootCfg.get("joshgpt.mcp.baseUrl") || DEFAULT_MCP_BASE_URL)
+  );
 
-  return {
+  const base = {
     baseUrl,
     nativeBaseUrl,
     chatEndpointMode:
@@ -36,17 +98,31 @@ function getConfig() {
         ? "lmstudio-native-stream"
         : "openai-compat",
     model: String(cfg.get("model") || "").trim(),
-    apiKey: String(cfg.get("apiKey") || "").trim(),
     systemPrompt: String(cfg.get("systemPrompt") || "").trim(),
     temperature: Number(cfg.get("temperature") || 0.2),
     maxTokens: Number(cfg.get("maxTokens") || 512),
+    streamingEnabled: Boolean(cfg.get("streaming.enabled") ?? true),
+    visionEnabled: Boolean(cfg.get("vision.enabled") ?? false),
+    contextLength: Number(cfg.get("context.length") || 0),
+    contextCompaction: normalizeCompactionStrategy(cfg.get("context.compaction")),
+    attachmentMaxChars: Number(cfg.get("attachments.maxChars") || DEFAULT_ATTACHMENT_MAX_CHARS),
     mcpEnabled: Boolean(rootCfg.get("joshgpt.mcp.enabled") ?? true),
-    mcpBaseUrl: normalizeBaseUrl(
-      String(rootCfg.get("joshgpt.mcp.baseUrl") || DEFAULT_MCP_BASE_URL)
-    ),
+    mcpBaseUrl,
+    // User settings only: stdio entries name programs to spawn.
+    mcpServers: resolveMcpServers(getUserSetting(rootCfg, "joshgpt.mcp.servers"), mcpBaseUrl),
     mcpTimeoutMs: Number(rootCfg.get("joshgpt.mcp.timeoutMs") || 15000),
     mcpMaxToolRounds: Number(rootCfg.get("joshgpt.mcp.maxToolRounds") || 4),
+    mcpReadOnlyTools: asStringList(rootCfg.get("joshgpt.mcp.readOnlyTools")),
+    mcpCacheEnabled: Boolean(rootCfg.get("joshgpt.mcp.cache.enabled") ?? false),
+    mcpCacheTtlSeconds: Number(rootCfg.get("joshgpt.mcp.cache.ttlSeconds") ?? 300),
+    mcpCacheToolTtlSeconds: asNumberMap(rootCfg.get("joshgpt.mcp.cache.toolTtlSeconds")),
+    toolCallConcurrency: Number(cfg.get("toolCalls.maxConcurrency") || 4),
+    mcpClientPool: runtimeMcpClientPool,
+    toolToggles: runtimeToolToggles ? runtimeToolToggles.get() : {},
+    workspaceToolsEnabled: Boolean(cfg.get("workspaceTools.enabled") ?? true),
+    workspaceTools: createWorkspaceTools(),
     localShellEnabled: Boolean(cfg.get("localShell.enabled") ?? true),
+    localShellParallel: Boolean(cfg.get("localShell.parallel") ?? false),
     localShellDefaultTimeoutSeconds: Number(
       cfg.get("localShell.defaultTimeoutSeconds") || 30
     ),
@@ -55,6 +131,10 @@ function getConfig() {
       cfg.get("localShell.defaultMaxOutputChars") || 12000
     ),
     localShellMaxOutputChars: Number(cfg.get("localShell.maxOutputChars") || 50000),
+    // User settings only; a workspace must not be able to skip approvals.
+    localShellApprovalPolicy: normalizeApprovalPolicy(getUserSetting(cfg, "localShell.approvalPolicy")),
+    localShellAllowPatterns: asStringList(getUserSetting(cfg, "localShell.allowPatterns")),
+    localShellDenyPatterns: asStringList(getUserSetting(cfg, "localShell.denyPatterns")),
     localShellMirrorTerminalEnabled: localShellMirrorEnabled,
     localShellMirrorTerminalName: localShellMirrorTerminalName,
     localShellMirrorTerminalReveal: localShellMirrorReveal,
@@ -85,6 +165,19 @@ function getConfig() {
         ? vscode.workspace.workspaceFolders[0].uri.fsPath
         : process.cwd()
   };
+  const profiles = normalizeProfiles(cfg.get("profiles"));
+  const pinned = profileName !== undefined && profileName !== null;
+  const requested = pinned ? profileName : runtimeActiveProfile ? runtimeActiveProfile.get() : "";
+  let config = applyProfile(base, profiles, requested);
+  if (config.profileError && !pinned) {
+    // The active profile was removed from settings; fall back to the defaults.
+    config = applyProfile(base, profiles, "");
+  }
+  return {
+    ...config,
+    apiKey: runtimeCredentials ? runtimeCredentials.getApiKey(config.profileName) : DEFAULT_API_KEY,
+    profiles
+  };
 }
 
 async function listModels(output) {
@@ -122,6 +215,33 @@ async function listModels(output) {
   vscode.window.showInformationMessage(`joshgpt.model set to ${selected} (${scopeLabel} scope)`);
 }
 
+async function promptShellApproval(request) {
+  const choice = await vscode.window.showWarningMessage(
+    "JoshGPT wants to run a local shell command.",
+    {
+      modal: true,
+      detail: `${request.command}\n\ncwd: ${request.cwd || "<workspace root>"}\n${request.reason}`
+    },
+    "Approve",
+    "Edit",
+    "Reject"
+  );
+  if (choice === "Approve") {
+    return { decision: "approved" };
+  }
+  if (choice === "Edit") {
+    const edited = await vscode.window.showInputBox({
+      title: "JoshGPT: Edit shell command",
+      value: request.command,
+      ignoreFocusOut: true
+    });
+    return edited && edited.trim()
+      ? { decision: "edited", command: edited.trim() }
+      : { decision: "rejected", reason: "Edit was dismissed." };
+  }
+  return { decision: "rejected" };
+}
+
 async function askModel(output) {
   const cfg = getConfig();
   if (!cfg.baseUrl) {
@@ -131,6 +251,8 @@ async function askModel(output) {
     throw new Error("joshgpt.model is empty.");
   }
 
+  // Capture before the input box takes focus from the editor.
+  const selection = captureSelection({ maxChars: cfg.attachmentMaxChars });
   const userPrompt = await vscode.window.showInputBox({
     title: "JoshGPT: Ask Model",
     placeHolder: "Enter a prompt for JoshGPT (served by LM Studio)",
@@ -145,7 +267,10 @@ async function askModel(output) {
   if (cfg.systemPrompt) {
     modelMessages.push({ role: "system", content: cfg.systemPrompt });
   }
-  modelMessages.push({ role: "user", content: userPrompt });
+  modelMessages.push({
+    role: "user",
+    content: formatMessageWithAttachments(userPrompt, selection ? [selection] : [])
+  });
 
   if (cfg.chatEndpointMode === "lmstudio-native-stream") {
     output.appendLine(`[joshgpt] stream request -> ${cfg.nativeBaseUrl}/api/v1/chat`);
@@ -154,25 +279,53 @@ async function askModel(output) {
   }
   output.appendLine(`[joshgpt] model=${cfg.model}`);
   output.appendLine(`[joshgpt] mode=${cfg.chatEndpointMode}`);
+  if (selection) {
+    output.appendLine(`[joshgpt] attached selection ${describeAttachment(selection)}`);
+  }
   if (cfg.chatEndpointMode === "lmstudio-native-stream") {
     output.appendLine(`[joshgpt] native stream endpoint -> ${cfg.nativeBaseUrl}/api/v1/chat`);
   }
+  const mcpServerList = cfg.mcpServers
+    .map((server) => `${server.name}${server.enabled ? "" : "(off)"}=${describeServerTarget(server)}`)
+    .join(", ");
+  output.appendLine(
+    `[joshgpt] mcp=${cfg.mcpEnabled ? "enabled" : "disabled"} servers=${mcpServerList || "<unset>"}`
+  );
   output.appendLine(
-    `[joshgpt] mcp=${cfg.mcpEnabled ? "enabled" : "disabled"} base=${cfg.mcpBaseUrl || "<unset>"}`
+    `[joshgpt] workspace_tools=${cfg.workspaceToolsEnabled ? "enabled" : "disabled"}`
   );
   output.appendLine(
-    `[joshgpt] local_shell=${cfg.localShellEnabled ? "enabled" : "disabled"}`
+    `[joshgpt] local_shell=${cfg.localShellEnabled ? "enabled" : "disabled"} approval=${cfg.localShellApprovalPolicy}`
   );
   output.appendLine(
     `[joshgpt] local_shell_terminal_mirror=${cfg.localShellMirrorTerminalEnabled ? "enabled" : "disabled"} name="${cfg.localShellMirrorTerminalName}"`
   );
 
-  const { text } = await runChatWithOptionalMcp({
-    config: cfg,
-    messages: modelMessages,
-    output
-  });
+  const { text, cancelled } = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "JoshGPT is thinking...",
+      cancellable: true
+    },
+    (_progress, token) => {
+      const controller = new AbortController();
+      token.onCancellationRequested(() => controller.abort());
+      return runChatWithOptionalMcp({
+        config: cfg,
+        messages: modelMessages,
+        output,
+        signal: controller.signal,
+        requestApproval: promptShellApproval
+      });
+    }
+  );
 
+  if (cancelled) {
+    output.appendLine("[joshgpt] ask model cancelled");
+    if (!text) {
+      return;
+    }
+  }
   output.appendLine("[joshgpt] response received");
   output.appendLine(text);
   output.show(true);
@@ -190,38 +343,491 @@ async function mcpStatus(output) {
     vscode.window.showInformationMessage("JoshGPT MCP is disabled in settings (joshgpt.mcp.enabled=false).");
     return;
   }
-  if (!cfg.mcpBaseUrl) {
-    throw new Error("joshgpt.mcp.baseUrl is empty.");
+
+  const reports = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "JoshGPT: checking MCP servers...",
+      cancellable: true
+    },
+    (_progress, token) => {
+      const controller = new AbortController();
+      token.onCancellationRequested(() => controller.abort());
+      return diagnoseMcpServers(cfg.mcpServers, {
+        timeoutMs: cfg.mcpTimeoutMs,
+        auth: runtimeMcpAuth,
+        output,
+        signal: controller.signal
+      });
+    }
+  );
+
+  for (const report of reports.filter((item) => item.enabled)) {
+    const target = `${report.transport} ${report.target}`;
+    output.appendLine(
+      report.ok
+        ? `[joshgpt] MCP ${report.name} (${target}) tools: ${report.tools.map((t) => t.name).join(", ") || "<none>"}`
+        : `[joshgpt] MCP ${report.name} (${target}) failed at ${report.stage}: ${report.error}`
+    );
+  }
+  const doc = await vscode.workspace.openTextDocument({
+    language: "markdown",
+    content: formatDiagnosticsReport(reports)
+  });
+  await vscode.window.showTextDocument(doc, { preview: false });
+
+  const enabled = reports.filter((report) => report.enabled);
+  const failed = enabled.filter((report) => !report.ok);
+  const toolCount = enabled.reduce((sum, report) => sum + report.tools.length, 0);
+  const summary = `JoshGPT MCP: ${enabled.length - failed.length}/${enabled.length} server(s) connected, ${toolCount} tool(s).`;
+  if (!enabled.length) {
+    vscode.window.showWarningMessage("JoshGPT MCP: no enabled servers. Set joshgpt.mcp.servers or joshgpt.mcp.baseUrl.");
+  } else if (failed.length) {
+    vscode.window.showWarningMessage(`${summary} Failed: ${failed.map((report) => report.name).join(", ")}`);
+  } else {
+    vscode.window.showInformationMessage(summary);
+  }
+}
+
+async function manageTools(output, store) {
+  const cfg = getConfig();
+  const router = cfg.mcpEnabled
+    ? new McpToolRouter({
+        servers: cfg.mcpServers,
+        timeoutMs: cfg.mcpTimeoutMs,
+        output,
+        pool: cfg.mcpClientPool
+      })
+    : null;
+  const { tools, failures } = await buildToolCatalog({ config: cfg, toggles: store.get(), router });
+  for (const failure of failures) {
+    output.appendLine(`[joshgpt] MCP ${failure.server} tools/list failed: ${failure.message}`);
   }
 
-  const client = new McpHttpClient({
-    baseUrl: cfg.mcpBaseUrl,
-    timeoutMs: cfg.mcpTimeoutMs,
-    output
+  const items = tools.map((tool) => ({
+    label: tool.name,
+    description: tool.available ? tool.source : `${tool.source} · unavailable`,
+    detail: tool.description || undefined,
+    picked: tool.enabled,
+    tool
+  }));
+  const picked = await vscode.window.showQuickPick(items, {
+    title: "JoshGPT tools for this workspace",
+    placeHolder: failures.length
+      ? `Checked tools are offered to the model (${failures.length} MCP server(s) failed; see output)`
+      : "Checked tools are offered to the model",
+    canPickMany: true,
+    matchOnDescription: true,
+    matchOnDetail: true
   });
+  if (!picked) {
+    return;
+  }
+  const chosen = new Set(picked.map((item) => item.tool.name));
+  await store.set(tools.map((tool) => ({ tool, enabled: chosen.has(tool.name) })));
+  vscode.window.showInformationMessage(
+    `JoshGPT: ${chosen.size}/${tools.length} tool(s) enabled in this workspace.`
+  );
+}
 
-  const tools = await client.listTools();
-  const names = tools.map((t) => t && t.name).filter(Boolean);
-  output.appendLine(`[joshgpt] MCP tools: ${names.join(", ") || "<none>"}`);
-  output.show(true);
+async function signInToMcpServer(output, auth) {
+  const name = auth.server.name;
+  await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: `JoshGPT: waiting for sign-in to MCP server ${name} in the browser...`,
+      cancellable: true
+    },
+    (_progress, token) => {
+      const controller = new AbortController();
+      token.onCancellationRequested(() => controller.abort());
+      return auth.signIn({
+        signal: controller.signal,
+        openBrowser: async (url) => {
+          if (!(await vscode.env.openExternal(vscode.Uri.parse(url)))) {
+            throw new Error("The authorization page was not opened.");
+          }
+        }
+      });
+    }
+  );
+  output.appendLine(`[joshgpt] MCP ${name} signed in`);
+  vscode.window.showInformationMessage(`JoshGPT: signed in to MCP server ${name}.`);
+}
+
+async function setMcpBearerToken(output, auth) {
+  const token = await vscode.window.showInputBox({
+    title: `JoshGPT MCP credentials: ${auth.server.name}`,
+    prompt: "Bearer token sent as Authorization: Bearer <token>",
+    placeHolder: "Leave empty to remove the stored token",
+    password: true,
+    ignoreFocusOut: true
+  });
+  if (token === undefined) {
+    return;
+  }
+  await auth.setCredentials({ bearerToken: token });
+  output.appendLine(`[joshgpt] MCP ${auth.server.name} bearer token ${token.trim() ? "stored" : "removed"}`);
+}
+
+async function setMcpSecretHeader(output, auth) {
+  const name = await vscode.window.showInputBox({
+    title: `JoshGPT MCP credentials: ${auth.server.name}`,
+    prompt: "Header name, e.g. X-Api-Key",
+    ignoreFocusOut: true,
+    validateInput: (value) =>
+      /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(value.trim()) ? undefined : "Not a valid header name."
+  });
+  if (name === undefined) {
+    return;
+  }
+  const value = await vscode.window.showInputBox({
+    title: `JoshGPT MCP credentials: ${auth.server.name}`,
+    prompt: `Value for ${name.trim()}`,
+    placeHolder: "Leave empty to remove the header",
+    password: true,
+    ignoreFocusOut: true
+  });
+  if (value === undefined) {
+    return;
+  }
+  await auth.setCredentials({ headers: { [name.trim()]: value } });
+  output.appendLine(`[joshgpt] MCP ${auth.server.name} header ${name.trim()} ${value ? "stored" : "removed"}`);
+}
+
+function promptMcpSignIn(output, server) {
+  if (mcpSignInPrompts.has(server.name)) {
+    return;
+  }
+  mcpSignInPrompts.add(server.name);
+  Promise.resolve(
+    vscode.window.showWarningMessage(
+      `JoshGPT: MCP server ${server.name} requires authorization.`,
+      "Sign In",
+      "Set Token"
+    )
+  )
+    .then(async (choice) => {
+      const auth = runtimeMcpAuth(server);
+      if (choice === "Sign In") {
+        await signInToMcpServer(output, auth);
+      } else if (choice === "Set Token") {
+        await setMcpBearerToken(output, auth);
+      }
+    })
+    .catch((err) => {
+      const msg = err instanceof Error ? err.message : String(err);
+      output.appendLine(`[joshgpt] MCP ${server.name} sign-in failed: ${msg}`);
+      vscode.window.showErrorMessage(`JoshGPT: sign-in to MCP server ${server.name} failed: ${msg}`);
+    })
+    .finally(() => mcpSignInPrompts.delete(server.name));
+}
+
+async function manageMcpCredentials(output) {
+  const cfg = getConfig();
+  const servers = cfg.mcpServers.filter((server) => server.transport === "http" && server.url);
+  if (!servers.length) {
+    vscode.window.showInformationMessage("JoshGPT: no HTTP MCP servers are configured.");
+    return;
+  }
+  const serverItems = await Promise.all(
+    servers.map(async (server) => ({
+      label: server.name,
+      description: server.url,
+      detail: await runtimeMcpAuth(server).describe(),
+      server
+    }))
+  );
+  const picked = await vscode.window.showQuickPick(serverItems, {
+    title: "JoshGPT MCP credentials",
+    placeHolder: "Select an MCP server"
+  });
+  if (!picked) {
+    return;
+  }
+
+  const auth = runtimeMcpAuth(picked.server);
+  const action = await vscode.window.showQuickPick(
+    [
+      {
+        label: "Sign in with OAuth",
+        detail: "Authorize in the browser; the token is refreshed automatically.",
+        action: "signIn"
+      },
+      { label: "Set bearer token", detail: "Sent as Authorization: Bearer <token>.", action: "token" },
+      { label: "Set secret header", detail: "Any request header, e.g. X-Api-Key.", action: "header" },
+      { label: "Sign out and clear credentials", action: "clear" }
+    ],
+    { title: `JoshGPT MCP credentials: ${picked.server.name}`, placeHolder: picked.detail }
+  );
+  if (!action) {
+    return;
+  }
+  if (action.action === "signIn") {
+    await signInToMcpServer(output, auth);
+  } else if (action.action === "token") {
+    await setMcpBearerToken(output, auth);
+  } else if (action.action === "header") {
+    await setMcpSecretHeader(output, auth);
+  } else {
+    await auth.signOut();
+    output.appendLine(`[joshgpt] MCP ${picked.server.name} credentials cleared`);
+    vscode.window.showInformationMessage(`JoshGPT: cleared credentials for MCP server ${picked.server.name}.`);
+  }
+}
+
+// Workspace memento flag: the user declined to import this workspace's joshgpt.apiKey.
+const WORKSPACE_API_KEY_DECLINED = "joshgpt.apiKeyMigration.workspaceDeclined";
+
+/**
+ * Moves a plaintext `joshgpt.apiKey` setting into secret storage. A stored
+ * key is never replaced without asking. The user (global) value is migrated
+ * automatically when nothing is stored yet; a workspace value comes from
+ * files anyone can commit, so it is only imported after the user agrees.
+ * Prompts are not awaited, so activation does not wait on them.
+ */
+async function migrateApiKeySetting(output, workspaceState) {
+  const cfg = vscode.workspace.getConfiguration("joshgpt");
+  const inspected = cfg.inspect("apiKey") || {};
+  const globalValue = String(inspected.globalValue || "").trim();
+  const workspaceValue = String(inspected.workspaceValue || "").trim();
+
+  if (inspected.globalValue !== undefined) {
+    const stored = runtimeCredentials.hasApiKey() ? runtimeCredentials.getApiKey() : "";
+    if (!stored && globalValue) {
+      await runtimeCredentials.setApiKey(globalValue);
+      await cfg.update("apiKey", undefined, vscode.ConfigurationTarget.Global);
+      output.appendLine("[joshgpt] moved joshgpt.apiKey from user settings to secret storage");
+      vscode.window.showInformationMessage(
+        "JoshGPT: the API key was moved from settings to secret storage. Use \"JoshGPT: Set API Key\" to change it."
+      );
+    } else if (!globalValue || globalValue === stored) {
+      await cfg.update("apiKey", undefined, vscode.ConfigurationTarget.Global);
+    } else {
+      askToReplaceApiKey(output, {
+        message:
+          "JoshGPT: your user settings contain a joshgpt.apiKey that differs from the key in secret storage.",
+        value: globalValue,
+        target: vscode.ConfigurationTarget.Global
+      });
+    }
+  }
+
+  if (workspaceValue && !workspaceState.get(WORKSPACE_API_KEY_DECLINED, false)) {
+    askToReplaceApiKey(output, {
+      message:
+        "JoshGPT: this workspace's settings contain joshgpt.apiKey. Import it into secret storage only if you trust this workspace.",
+      value: workspaceValue,
+      target: vscode.ConfigurationTarget.Workspace,
+      onDecline: () => workspaceState.update(WORKSPACE_API_KEY_DECLINED, true)
+    });
+  }
+}
+
+// Settings scopes with an API key prompt on screen; our own setting updates
+// re-run the migration, and it should not ask twice.
+const apiKeyMigrationPrompts = new Set();
+
+async function askToReplaceApiKey(output, { message, value, target, onDecline }) {
+  if (apiKeyMigrationPrompts.has(target)) {
+    return;
+  }
+  apiKeyMigrationPrompts.add(target);
+  const cfg = vscode.workspace.getConfiguration("joshgpt");
+  const replace = runtimeCredentials.hasApiKey() ? "Replace Stored Key" : "Import Key";
+  const keep = runtimeCredentials.hasApiKey() ? "Keep Stored Key" : "Ignore";
+  try {
+    const choice = await vscode.window.showWarningMessage(message, replace, keep);
+    if (choice === replace) {
+      await runtimeCredentials.setApiKey(value);
+      await cfg.update("apiKey", undefined, target);
+      output.appendLine("[joshgpt] imported joshgpt.apiKey from settings into secret storage");
+    } else if (choice === keep) {
+      // A declined workspace value stays in that workspace's files, untouched.
+      if (onDecline) {
+        await onDecline();
+      } else {
+        await cfg.update("apiKey", undefined, target);
+      }
+    }
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    output.appendLine(`[joshgpt] API key migration failed: ${msg}`);
+  } finally {
+    apiKeyMigrationPrompts.delete(target);
+  }
+}
+
+async function setApiKey(output) {
+  const { profiles, profileName: activeProfile } = getConfig();
+  let profileName = "";
+  if (profiles.length > 0) {
+    const picked = await vscode.window.showQuickPick(
+      [
+        {
+          label: "Default",
+          description: runtimeCredentials.hasApiKey("") ? "key stored" : "no key stored",
+          detail: "Used with the top-level joshgpt.* settings only; profiles need their own key.",
+          name: ""
+        },
+        ...profiles.map((profile) => ({
+          label: profile.name,
+          description: `${runtimeCredentials.hasApiKey(profile.name) ? "key stored" : "no key stored"}${
+            profile.name === activeProfile ? " · active" : ""
+          }`,
+          name: profile.name
+        }))
+      ],
+      { title: "JoshGPT API key", placeHolder: "Which profile is this key for?" }
+    );
+    if (!picked) {
+      return;
+    }
+    profileName = picked.name;
+  }
+  const target = profileName ? `profile "${profileName}"` : "the default key";
+  const value = await vscode.window.showInputBox({
+    title: profileName ? `JoshGPT API key for ${profileName}` : "JoshGPT API key",
+    prompt: "Bearer token sent to the LM Studio endpoint; kept in VS Code secret storage",
+    placeHolder: profileName
+      ? `Leave empty to remove the key (the profile then sends "${DEFAULT_API_KEY}")`
+      : `Leave empty to remove the stored key (sends "${DEFAULT_API_KEY}")`,
+    password: true,
+    ignoreFocusOut: true
+  });
+  if (value === undefined) {
+    return;
+  }
+  await runtimeCredentials.setApiKey(value, profileName);
+  output.appendLine(`[joshgpt] API key for ${target} ${value.trim() ? "stored" : "removed"}`);
   vscode.window.showInformationMessage(
-    `JoshGPT MCP connected: ${names.length} tool(s) at ${cfg.mcpBaseUrl}`
+    value.trim()
+      ? `JoshGPT: API key for ${target} saved to secret storage.`
+      : `JoshGPT: stored API key for ${target} removed.`
+  );
+}
+
+function profileLabel(name) {
+  return name || "Default";
+}
+
+function updateProfileStatusItem() {
+  const item = runtimeProfileStatusItem;
+  if (!item) {
+    return;
+  }
+  const cfg = getConfig();
+  if (cfg.profiles.length === 0) {
+    item.hide();
+    return;
+  }
+  item.text = `$(server-environment) ${profileLabel(cfg.profileName)}`;
+  item.tooltip = `JoshGPT provider profile: ${profileLabel(cfg.profileName)}\n${describeProfile(cfg)}\nClick to switch.`;
+  item.show();
+}
+
+async function switchProfile(output) {
+  const cfg = getConfig();
+  if (cfg.profiles.length === 0) {
+    vscode.window.showInformationMessage(
+      "JoshGPT has no provider profiles. Add entries to joshgpt.profiles to switch between endpoints."
+    );
+    return;
+  }
+  const items = ["", ...cfg.profiles.map((profile) => profile.name)].map((name) => ({
+    label: `${name === cfg.profileName ? "$(check) " : ""}${profileLabel(name)}`,
+    description: describeProfile(getConfig({ profileName: name })),
+    detail: name ? undefined : "Top-level joshgpt.* settings",
+    name
+  }));
+  const picked = await vscode.window.showQuickPick(items, {
+    title: "JoshGPT provider profile",
+    placeHolder: "New sessions, and sessions not pinned to a profile, use the selected profile"
+  });
+  if (!picked || picked.name === cfg.profileName) {
+    return;
+  }
+  await runtimeActiveProfile.set(picked.name);
+  output.appendLine(`[joshgpt] provider profile: ${profileLabel(picked.name)}`);
+  updateProfileStatusItem();
+}
+
+async function loadProfileCredentials() {
+  const names = normalizeProfiles(vscode.workspace.getConfiguration("joshgpt").get("profiles")).map(
+    (profile) => profile.name
   );
+  await runtimeCredentials.load(names);
 }
 
-function activate(context) {
+async function activate(context) {
   const output = vscode.window.createOutputChannel("JoshGPT");
   output.appendLine("[joshgpt] extension activated");
   runtimeLocalShellMirror = createLocalShellMirror({ output });
+  runtimeMcpAuth = createMcpAuthRegistry({
+    secrets: context.secrets,
+    output,
+    onSignInRequired: (server) => promptMcpSignIn(output, server)
+  });
+  runtimeMcpClientPool = new McpClientPool({ output, auth: runtimeMcpAuth });
+  runtimeToolToggles = createToolToggleStore(context.workspaceState);
+  runtimeCredentials = createCredentialStore(context.secrets);
+  runtimeActiveProfile = createActiveProfileStore(context.globalState);
+  try {
+    await loadProfileCredentials();
+    await migrateApiKeySetting(output, context.workspaceState);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    output.appendLine(`[joshgpt] API key migration failed: ${msg}`);
+  }
+  context.subscriptions.push(
+    context.secrets.onDidChange((event) => {
+      runtimeCredentials.reload(event.key).catch(() => {});
+    }),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration("joshgpt.apiKey")) {
+        migrateApiKeySetting(output, context.workspaceState).catch((err) => {
+          const msg = err instanceof Error ? err.message : String(err);
+          output.appendLine(`[joshgpt] API key migration failed: ${msg}`);
+        });
+      }
+      if (event.affectsConfiguration("joshgpt.profiles")) {
+        loadProfileCredentials().catch(() => {});
+      }
+      if (event.affectsConfiguration("joshgpt")) {
+        updateProfileStatusItem();
+      }
+    })
+  );
+  runtimeProfileStatusItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+  runtimeProfileStatusItem.command = "joshgpt.switchProfile";
+  context.subscriptions.push(runtimeProfileStatusItem);
+  updateProfileStatusItem();
   context.subscriptions.push({
     dispose: () => {
       if (runtimeLocalShellMirror) {
         runtimeLocalShellMirror.dispose();
         runtimeLocalShellMirror = null;
       }
+      if (runtimeMcpClientPool) {
+        runtimeMcpClientPool.dispose();
+        runtimeMcpClientPool = null;
+      }
     }
   });
-  const sessionProvider = new JoshGptSessionViewProvider(context, output, getConfig);
+  registerProposedContentProvider(context);
+  const sessionProvider = new JoshGptSessionViewProvider(
+    context,
+    output,
+    getConfig,
+    runtimeCredentials
+  );
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration("joshgpt.profiles")) {
+        sessionProvider.refreshState();
+      }
+    })
+  );
 
   context.subscriptions.push(
     vscode.window.registerWebviewViewProvider(
@@ -242,6 +848,27 @@ function activate(context) {
     })
   );
 
+  context.subscriptions.push(
+    vscode.commands.registerCommand("joshgpt.cancel", () => {
+      if (!sessionProvider.cancelPrompt()) {
+        vscode.window.showInformationMessage("JoshGPT has no prompt in flight.");
+      }
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("joshgpt.attachSelection", async () => {
+      try {
+        await vscode.commands.executeCommand("workbench.view.extension.joshgpt");
+        await sessionProvider.attachFromEditor("selection");
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        output.appendLine(`[joshgpt] error: ${msg}`);
+        vscode.window.showErrorMessage(msg);
+      }
+    })
+  );
+
   context.subscriptions.push(
     vscode.commands.registerCommand("joshgpt.listModels", async () => {
       try {
@@ -277,6 +904,56 @@ function activate(context) {
       }
     })
   );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("joshgpt.manageTools", async () => {
+      try {
+        await manageTools(output, runtimeToolToggles);
+        sessionProvider.refreshToolCatalog();
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        output.appendLine(`[joshgpt] error: ${msg}`);
+        vscode.window.showErrorMessage(msg);
+      }
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("joshgpt.setApiKey", async () => {
+      try {
+        await setApiKey(output);
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        output.appendLine(`[joshgpt] error: ${msg}`);
+        vscode.window.showErrorMessage(msg);
+      }
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("joshgpt.switchProfile", async () => {
+      try {
+        await switchProfile(output);
+        sessionProvider.refreshState();
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        output.appendLine(`[joshgpt] error: ${msg}`);
+        vscode.window.showErrorMessage(msg);
+      }
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("joshgpt.manageMcpCredentials", async () => {
+      try {
+        await manageMcpCredentials(output);
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        output.appendLine(`[joshgpt] error: ${msg}`);
+        vscode.window.showErrorMessage(msg);
+      }
+    })
+  );
 }
 
 function deactivate() {}
@@ -0,0 +1,268 @@
+"use strict";
+
+// Guards against self-referencing `$ref` chains and combinator blow-up.
+const MAX_REF_DEPTH = 32;
+const MAX_STEPS = 20000;
+
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function isPlainObject(value) {
+  return typeOf(value) === "object";
+}
+
+function childPath(path, key) {
+  return typeof key === "number"
+    ? `${path}[${key}]`
+    : /^[A-Za-z_$][\w$]*$/.test(key)
+      ? `${path}.${key}`
+      : `${path}[${JSON.stringify(key)}]`;
+}
+
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : String(text);
+}
+
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeOf(a) !== typeOf(b) || typeof a !== "object" || a === null) {
+    return false;
+  }
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]))
+  );
+}
+
+// Local references only ("#/$defs/Name", "#/definitions/Name"), which is what
+// generated MCP tool schemas use.
+function resolveRef(root, ref) {
+  if (typeof ref !== "string" || !ref.startsWith("#")) {
+    return undefined;
+  }
+  let node = root;
+  for (const raw of ref.slice(1).split("/").filter(Boolean)) {
+    let key;
+    try {
+      key = decodeURIComponent(raw).replace(/~1/g, "/").replace(/~0/g, "~");
+    } catch {
+      return undefined;
+    }
+    if (!node || typeof node !== "object" || !(key in node)) {
+      return undefined;
+    }
+    node = node[key];
+  }
+  return node;
+}
+
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, "u");
+  } catch {
+    // Patterns JavaScript cannot compile are skipped rather than failing every call.
+    return null;
+  }
+}
+
+function validateNode(value, schema, path, context, depth) {
+  context.budget.steps += 1;
+  if (context.budget.steps > MAX_STEPS) {
+    return;
+  }
+  if (schema === true || schema === undefined || schema === null) {
+    return;
+  }
+  if (schema === false) {
+    context.errors.push({ path, message: "is not allowed" });
+    return;
+  }
+  if (!isPlainObject(schema)) {
+    return;
+  }
+  if (typeof schema.$ref === "string") {
+    if (depth >= MAX_REF_DEPTH) {
+      return;
+    }
+    const target = resolveRef(context.root, schema.$ref);
+    if (target !== undefined) {
+      validateNode(value, target, path, context, depth + 1);
+    }
+  }
+
+  const errors = context.errors;
+  if (schema.type !== undefined) {
+    const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).map(String);
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(" or ")}, got ${typeOf(value)}` });
+      // Further keywords would only repeat the type mismatch.
+      return;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((item) => deepEqual(item, value))) {
+    errors.push({
+      path,
+      message: `must be one of ${schema.enum.map(describeValue).join(", ")}`
+    });
+  }
+  if (Object.prototype.hasOwnProperty.call(schema, "const") && !deepEqual(schema.const, value)) {
+    errors.push({ path, message: `must equal ${describeValue(schema.const)}` });
+  }
+
+  if (typeof value === "string") {
+    const length = [...value].length;
+    if (Number.isFinite(schema.minLength) && length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} character(s) long` });
+    }
+    if (Number.isFinite(schema.maxLength) && length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} character(s) long` });
+    }
+    if (typeof schema.pattern === "string") {
+      const pattern = compilePattern(schema.pattern);
+      if (pattern && !pattern.test(value)) {
+        errors.push({ path, message: `must match pattern ${schema.pattern}` });
+      }
+    }
+  }
+
+  if (typeof value === "number") {
+    if (Number.isFinite(schema.minimum)) {
+      const exclusive = schema.exclusiveMinimum === true;
+      if (exclusive ? value <= schema.minimum : value < schema.minimum) {
+        errors.push({ path, message: `must be ${exclusive ? ">" : ">="} ${schema.minimum}` });
+      }
+    }
+    if (Number.isFinite(schema.maximum)) {
+      const exclusive = schema.exclusiveMaximum === true;
+      if (exclusive ? value >= schema.maximum : value > schema.maximum) {
+        errors.push({ path, message: `must be ${exclusive ? "<" : "<="} ${schema.maximum}` });
+      }
+    }
+    if (Number.isFinite(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (Number.isFinite(schema.exclusiveMaximum) && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (Number.isFinite(schema.multipleOf) && schema.multipleOf > 0) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.uniqueItems === true) {
+      const duplicate = value.findIndex((item, index) =>
+        value.slice(0, index).some((earlier) => deepEqual(earlier, item))
+      );
+      if (duplicate >= 0) {
+        errors.push({ path: childPath(path, duplicate), message: "duplicates an earlier item" });
+      }
+    }
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, index) => {
+        if (index < value.length) {
+          validateNode(value[index], itemSchema, childPath(path, index), context, depth);
+        }
+      });
+    } else if (schema.items !== undefined) {
+      value.forEach((item, index) => {
+        validateNode(item, schema.items, childPath(path, index), context, depth);
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = isPlainObject(schema.properties) ? schema.properties : {};
+    if (Array.isArray(schema.required)) {
+      for (const key of schema.required) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+          errors.push({ path: childPath(path, String(key)), message: "is required" });
+        }
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        validateNode(item, properties[key], childPath(path, key), context, depth);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: "is not an allowed property" });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        validateNode(item, schema.additionalProperties, childPath(path, key), context, depth);
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const part of schema.allOf) {
+      validateNode(value, part, path, context, depth);
+    }
+  }
+  const matches = (option) => {
+    const inner = { root: context.root, budget: context.budget, errors: [] };
+    validateNode(value, option, path, inner, depth + 1);
+    return inner.errors.length === 0;
+  };
+  const matching = (options) => options.filter(matches).length;
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length && matching(schema.anyOf) === 0) {
+    errors.push({ path, message: "does not match any of the allowed shapes (anyOf)" });
+  }
+  if (Array.isArray(schema.oneOf) && schema.oneOf.length) {
+    const count = matching(schema.oneOf);
+    if (count !== 1) {
+      errors.push({
+        path,
+        message: count ? "matches more than one allowed shape (oneOf)" : "does not match any allowed shape (oneOf)"
+      });
+    }
+  }
+  if (schema.not !== undefined && matches(schema.not)) {
+    errors.push({ path, message: "matches a disallowed shape (not)" });
+  }
+}
+
+/**
+ * Validates `value` against a JSON schema and returns `{ path, message }`
+ * problems (empty when valid). Covers the keywords tool schemas use in
+ * practice — type, enum/const, object and array structure, string and number
+ * bounds, allOf/anyOf/oneOf/not and local `$ref`s. Unknown keywords (format,
+ * dependencies, ...) are ignored. Paths look like `$.edits[0].old_text`.
+ */
+function validateJsonSchema(value, schema, { root = schema, maxErrors = 20 } = {}) {
+  const context = { root, budget: { steps: 0 }, errors: [] };
+  validateNode(value, schema, "$", context, 0);
+  return context.errors.slice(0, maxErrors);
+}
+
+module.exports = {
+  validateJsonSchema
+};
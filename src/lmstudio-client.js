@@ -1,3 +1,5 @@
+const { readSseStream } = require("./sse");
+
 function normalizeBaseUrl(baseUrl) {
   return String(baseUrl || "").trim().replace(/\/+$/, "");
 }
@@ -42,9 +44,56 @@ async function listModels({ baseUrl, apiKey }) {
   };
 }
 
-async function createChatCompletion({
-  baseUrl,
-  apiKey,
+function readContextLength(entry) {
+  if (!entry || typeof entry !== "object") {
+    return 0;
+  }
+  const candidates = [
+    entry.loaded_context_length,
+    entry.max_context_length,
+    entry.context_length,
+    entry.n_ctx
+  ];
+  for (const candidate of candidates) {
+    const value = Number(candidate);
+    if (Number.isFinite(value) && value > 0) {
+      return Math.trunc(value);
+    }
+  }
+  return 0;
+}
+
+// LM Studio exposes context sizes on its native REST API; the OpenAI-compatible
+// model list only carries them on some builds. Returns 0 when unknown.
+async function getModelContextLength({ baseUrl, nativeBaseUrl, apiKey, model }) {
+  const normalizedNativeBase = normalizeBaseUrl(nativeBaseUrl || inferNativeBaseUrl(baseUrl));
+  if (normalizedNativeBase && model) {
+    try {
+      const res = await fetch(
+        `${normalizedNativeBase}/api/v0/models/${encodeURIComponent(model)}`,
+        { headers: buildHeaders(apiKey) }
+      );
+      if (res.ok) {
+        const length = readContextLength(await res.json());
+        if (length) {
+          return length;
+        }
+      }
+    } catch {
+      // Fall through to the OpenAI-compatible model list.
+    }
+  }
+
+  try {
+    const { data } = await listModels({ baseUrl, apiKey });
+    const entries = Array.isArray(data && data.data) ? data.data : [];
+    return readContextLength(entries.find((entry) => entry && entry.id === model));
+  } catch {
+    return 0;
+  }
+}
+
+function buildChatCompletionPayload({
   model,
   messages,
   systemPrompt,
@@ -52,9 +101,9 @@ async function createChatCompletion({
   temperature,
   maxTokens,
   tools,
-  toolChoice
+  toolChoice,
+  stream
 }) {
-  const normalizedBase = normalizeBaseUrl(baseUrl);
   const payloadMessages =
     Array.isArray(messages) && messages.length > 0
       ? messages
@@ -68,17 +117,46 @@ async function createChatCompletion({
     messages: payloadMessages,
     temperature: Number.isFinite(temperature) ? temperature : 0.2,
     max_tokens: Number.isFinite(maxTokens) ? maxTokens : 512,
-    stream: false
+    stream: Boolean(stream)
   };
   if (Array.isArray(tools) && tools.length > 0) {
     payload.tools = tools;
     payload.tool_choice = toolChoice || "auto";
   }
+  return payload;
+}
+
+async function createChatCompletion({
+  baseUrl,
+  apiKey,
+  model,
+  messages,
+  systemPrompt,
+  userPrompt,
+  temperature,
+  maxTokens,
+  tools,
+  toolChoice,
+  signal
+}) {
+  const normalizedBase = normalizeBaseUrl(baseUrl);
+  const payload = buildChatCompletionPayload({
+    model,
+    messages,
+    systemPrompt,
+    userPrompt,
+    temperature,
+    maxTokens,
+    tools,
+    toolChoice,
+    stream: false
+  });
 
   const res = await fetch(`${normalizedBase}/chat/completions`, {
     method: "POST",
     headers: buildHeaders(apiKey),
-    body: JSON.stringify(payload)
+    body: JSON.stringify(payload),
+    signal
   });
 
   if (!res.ok) {
@@ -104,29 +182,144 @@ async function createChatCompletion({
   };
 }
 
-function normalizeSseFrame(rawFrame) {
-  const lines = String(rawFrame || "")
-    .split(/\r?\n/)
-    .map((line) => line.trimEnd());
-
-  let event = "message";
-  const dataLines = [];
-  for (const line of lines) {
-    if (!line || line.startsWith(":")) {
+function mergeToolCallDeltas(toolCallsByIndex, deltas) {
+  for (const delta of Array.isArray(deltas) ? deltas : []) {
+    if (!delta || typeof delta !== "object") {
       continue;
     }
-    if (line.startsWith("event:")) {
-      event = line.slice("event:".length).trim() || "message";
-      continue;
+    const index = Number.isInteger(delta.index) ? delta.index : toolCallsByIndex.size;
+    const existing = toolCallsByIndex.get(index) || {
+      id: "",
+      type: "function",
+      function: { name: "", arguments: "" }
+    };
+    if (typeof delta.id === "string" && delta.id) {
+      existing.id = delta.id;
+    }
+    if (typeof delta.type === "string" && delta.type) {
+      existing.type = delta.type;
+    }
+    const fn = delta.function && typeof delta.function === "object" ? delta.function : {};
+    if (typeof fn.name === "string" && fn.name) {
+      existing.function.name += fn.name;
+    }
+    if (typeof fn.arguments === "string" && fn.arguments) {
+      existing.function.arguments += fn.arguments;
+    }
+    toolCallsByIndex.set(index, existing);
+  }
+}
+
+async function createStreamingChatCompletion({
+  baseUrl,
+  apiKey,
+  model,
+  messages,
+  systemPrompt,
+  userPrompt,
+  temperature,
+  maxTokens,
+  tools,
+  toolChoice,
+  onDelta,
+  signal
+}) {
+  const normalizedBase = normalizeBaseUrl(baseUrl);
+  const payload = buildChatCompletionPayload({
+    model,
+    messages,
+    systemPrompt,
+    userPrompt,
+    temperature,
+    maxTokens,
+    tools,
+    toolChoice,
+    stream: true
+  });
+
+  const res = await fetch(`${normalizedBase}/chat/completions`, {
+    method: "POST",
+    headers: buildHeaders(apiKey),
+    body: JSON.stringify(payload),
+    signal
+  });
+
+  if (!res.ok) {
+    const body = await res.text();
+    throw new Error(`Chat completion failed (${res.status}): ${body}`);
+  }
+  if (!res.body) {
+    throw new Error("Streaming chat completion response body is unavailable.");
+  }
+
+  let content = "";
+  let finishReason = "";
+  let chunkCount = 0;
+  let lastChunk = null;
+  const toolCallsByIndex = new Map();
+
+  await readSseStream(res.body, (frame) => {
+    if (!frame.dataRaw || frame.dataRaw === "[DONE]") {
+      return;
+    }
+    const chunk = parseMaybeJson(frame.dataRaw);
+    if (!chunk || typeof chunk !== "object") {
+      return;
+    }
+    if (chunk.error) {
+      const message = chunk.error.message || JSON.stringify(chunk.error);
+      throw new Error(`Chat completion stream error: ${message}`);
+    }
+
+    chunkCount += 1;
+    lastChunk = chunk;
+    const choice = Array.isArray(chunk.choices) ? chunk.choices[0] : null;
+    if (!choice) {
+      return;
+    }
+    if (choice.finish_reason) {
+      finishReason = String(choice.finish_reason);
     }
-    if (line.startsWith("data:")) {
-      dataLines.push(line.slice("data:".length).trim());
+
+    const delta = choice.delta && typeof choice.delta === "object" ? choice.delta : {};
+    if (Array.isArray(delta.tool_calls)) {
+      mergeToolCallDeltas(toolCallsByIndex, delta.tool_calls);
+    }
+    if (typeof delta.content === "string" && delta.content.length > 0) {
+      content += delta.content;
+      if (typeof onDelta === "function") {
+        onDelta({ deltaText: delta.content, text: content });
+      }
     }
+  });
+
+  const toolCalls = [...toolCallsByIndex.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, call]) => ({
+      ...call,
+      id: call.id || `call_${index}`
+    }));
+  const message = {
+    role: "assistant",
+    content
+  };
+  if (toolCalls.length) {
+    message.tool_calls = toolCalls;
   }
 
   return {
-    event,
-    dataRaw: dataLines.join("\n").trim()
+    data: {
+      model: lastChunk && lastChunk.model ? lastChunk.model : model,
+      chunk_count: chunkCount,
+      finish_reason: finishReason
+    },
+    message,
+    finishReason,
+    toolCalls,
+    text:
+      content.trim().length > 0
+        ? content.trim()
+        : JSON.stringify({ finish_reason: finishReason, chunk_count: chunkCount }, null, 2)
   };
 }
 
@@ -142,19 +335,58 @@ function parseMaybeJson(input) {
   }
 }
 
+function formatNativeToolCalls(toolCalls) {
+  return (Array.isArray(toolCalls) ? toolCalls : [])
+    .map((call) => {
+      const name = String(call?.function?.name || "unknown");
+      const args = String(call?.function?.arguments || "{}");
+      return `[tool_call id=${call?.id || ""} name=${name}] ${args}`;
+    })
+    .join("\n");
+}
+
+// Chat messages may carry OpenAI-style content parts; the native input takes
+// their text inline and images as separate `image` items.
+function splitMessageContent(content, images) {
+  if (!Array.isArray(content)) {
+    return String(content || "").trim();
+  }
+  const texts = [];
+  for (const part of content) {
+    if (part && part.type === "text") {
+      texts.push(String(part.text || ""));
+    } else if (part && part.type === "image_url" && part.image_url && part.image_url.url) {
+      images.push(String(part.image_url.url));
+      texts.push(`[image ${images.length}]`);
+    }
+  }
+  return texts.join("\n").trim();
+}
+
 function buildNativeInput(messages, { systemPrompt, userPrompt } = {}) {
   if (Array.isArray(messages) && messages.length > 0) {
     const lines = [];
+    const images = [];
     for (const item of messages) {
       const role = String(item?.role || "user").toUpperCase();
-      const content = String(item?.content || "").trim();
-      if (!content) {
+      const content = splitMessageContent(item?.content, images);
+      if (item?.role === "tool") {
+        const label = `TOOL RESULT (${item.name || "tool"}, id=${item.tool_call_id || ""})`;
+        lines.push(`${label}: ${content || "<empty>"}`);
+        continue;
+      }
+      const toolCallText = formatNativeToolCalls(item?.tool_calls);
+      const combined = [content, toolCallText].filter(Boolean).join("\n");
+      if (!combined) {
         continue;
       }
-      lines.push(`${role}: ${content}`);
+      lines.push(`${role}: ${combined}`);
     }
     if (lines.length > 0) {
-      return [{ type: "text", content: lines.join("\n\n") }];
+      return [
+        { type: "text", content: lines.join("\n\n") },
+        ...images.map((url) => ({ type: "image", data_url: url }))
+      ];
     }
   }
 
@@ -167,11 +399,73 @@ function buildNativeInput(messages, { systemPrompt, userPrompt } = {}) {
   return [{ type: "text", content: fallback || "Hello." }];
 }
 
+function collectNativeToolCall(toolCallsByKey, eventName, payload) {
+  const evt = String(eventName || "").toLowerCase();
+  const p = payload && typeof payload === "object" ? payload : null;
+  if (!p) {
+    return;
+  }
+
+  // chat.end carries the final output list; tool calls there are authoritative
+  // and replace the streamed ones, which may have been keyed differently.
+  const resultOut = p.result && Array.isArray(p.result.output) ? p.result.output : [];
+  const finalCalls = resultOut.filter(
+    (item) => item && String(item.type || "").toLowerCase() === "tool_call"
+  );
+  if (finalCalls.length > 0) {
+    toolCallsByKey.clear();
+    for (const item of finalCalls) {
+      collectNativeToolCall(toolCallsByKey, "tool_call.end", item);
+    }
+    return;
+  }
+  if (!evt.includes("tool_call")) {
+    return;
+  }
+
+  const source = p.tool_call && typeof p.tool_call === "object" ? p.tool_call : p;
+  let key = String(source.id || source.tool_call_id || source.call_id || (source.index ?? ""));
+  if (!key && evt.endsWith(".delta")) {
+    // Argument deltas that name no call continue the most recent open one.
+    const open = [...toolCallsByKey.entries()].reverse().find(([, call]) => !call.argumentsComplete);
+    key = open ? open[0] : "";
+  }
+  key = key || String(toolCallsByKey.size);
+  const existing = toolCallsByKey.get(key) || {
+    id: String(source.id || source.tool_call_id || source.call_id || `call_${key}`),
+    type: "function",
+    function: { name: "", arguments: "" },
+    argumentsComplete: false
+  };
+
+  const name = source.name || source.tool || (source.function && source.function.name);
+  if (typeof name === "string" && name) {
+    existing.function.name = name;
+  }
+
+  const fullArgs =
+    typeof source.arguments !== "undefined"
+      ? source.arguments
+      : source.function && source.function.arguments;
+  if (typeof fullArgs !== "undefined" && fullArgs !== null && !evt.endsWith(".delta")) {
+    existing.function.arguments =
+      typeof fullArgs === "string" ? fullArgs : JSON.stringify(fullArgs);
+    existing.argumentsComplete = true;
+  } else if (!existing.argumentsComplete) {
+    const delta = typeof source.delta === "string" ? source.delta : fullArgs;
+    if (typeof delta === "string") {
+      existing.function.arguments += delta;
+    }
+  }
+
+  toolCallsByKey.set(key, existing);
+}
+
 function extractTextDeltaFromNativeEvent(eventName, payload, rawText) {
   const evt = String(eventName || "").toLowerCase();
   const p = payload && typeof payload === "object" ? payload : null;
 
-  if (evt.startsWith("reasoning.")) {
+  if (evt.startsWith("reasoning.") || evt.includes("tool_call")) {
     return "";
   }
 
@@ -249,7 +543,9 @@ async function createNativeStreamingChat({
   userPrompt,
   temperature,
   maxTokens,
-  onEvent
+  tools,
+  onEvent,
+  signal
 }) {
   const normalizedNativeBase = normalizeBaseUrl(nativeBaseUrl || inferNativeBaseUrl(baseUrl));
   if (!normalizedNativeBase) {
@@ -268,11 +564,15 @@ async function createNativeStreamingChat({
   if (Number.isFinite(maxTokens)) {
     payload.max_output_tokens = maxTokens;
   }
+  if (Array.isArray(tools) && tools.length > 0) {
+    payload.tools = tools;
+  }
 
   const res = await fetch(endpoint, {
     method: "POST",
     headers: buildHeaders(apiKey),
-    body: JSON.stringify(payload)
+    body: JSON.stringify(payload),
+    signal
   });
 
   if (!res.ok) {
@@ -283,13 +583,10 @@ async function createNativeStreamingChat({
     throw new Error("Native streaming response body is unavailable.");
   }
 
-  const reader = res.body.getReader();
-  const decoder = new TextDecoder("utf-8");
-
-  let buffer = "";
   let assistantText = "";
   let sawMessageDelta = false;
   const events = [];
+  const toolCallsByKey = new Map();
 
   function emitEvent(eventName, dataRaw) {
     if (!eventName) {
@@ -298,6 +595,7 @@ async function createNativeStreamingChat({
 
     const maybeJson = parseMaybeJson(dataRaw);
     const data = maybeJson || dataRaw;
+    collectNativeToolCall(toolCallsByKey, eventName, maybeJson);
     let deltaText = extractTextDeltaFromNativeEvent(eventName, maybeJson, dataRaw);
     const loweredEvent = String(eventName || "").toLowerCase();
     if (loweredEvent === "message.delta" && deltaText) {
@@ -322,8 +620,7 @@ async function createNativeStreamingChat({
     }
   }
 
-  function consumeFrame(rawFrame) {
-    const frame = normalizeSseFrame(rawFrame);
+  function consumeFrame(frame) {
     if (!frame.dataRaw) {
       return;
     }
@@ -335,31 +632,22 @@ async function createNativeStreamingChat({
     emitEvent(frame.event, frame.dataRaw);
   }
 
-  while (true) {
-    const { value, done } = await reader.read();
-    if (done) {
-      break;
-    }
-    buffer += decoder.decode(value, { stream: true });
-    while (true) {
-      const boundaryIndex = buffer.indexOf("\n\n");
-      if (boundaryIndex < 0) {
-        break;
-      }
-      const rawFrame = buffer.slice(0, boundaryIndex);
-      buffer = buffer.slice(boundaryIndex + 2);
-      consumeFrame(rawFrame);
-    }
-  }
+  await readSseStream(res.body, consumeFrame);
 
-  buffer += decoder.decode();
-  if (buffer.trim()) {
-    consumeFrame(buffer);
-  }
+  const toolCalls = [...toolCallsByKey.values()]
+    .filter((call) => call.function.name)
+    .map(({ argumentsComplete, ...call }) => ({
+      ...call,
+      function: {
+        name: call.function.name,
+        arguments: call.function.arguments || "{}"
+      }
+    }));
 
   return {
     endpoint,
     events,
+    toolCalls,
     text: assistantText.trim() || ""
   };
 }
@@ -368,6 +656,8 @@ module.exports = {
   normalizeBaseUrl,
   inferNativeBaseUrl,
   listModels,
+  getModelContextLength,
   createChatCompletion,
+  createStreamingChatCompletion,
   createNativeStreamingChat
 };
@@ -158,7 +158,8 @@ async function runLocalShellToolCall(
     maxTimeoutSeconds = 300,
     defaultMaxOutputChars = 12000,
     maxOutputCharsCap = 50000,
-    mirror = null
+    mirror = null,
+    signal = null
   } = {}
 ) {
   const command = String(input && input.command ? input.command : "").trim();
@@ -180,6 +181,10 @@ async function runLocalShellToolCall(
     Math.max(256, asInt(defaultMaxOutputChars, 12000))
   );
 
+  if (signal && signal.aborted) {
+    throw new Error("Local shell command cancelled before start.");
+  }
+
   const shell = pickShell(command);
   const startedAt = Date.now();
 
@@ -205,6 +210,7 @@ async function runLocalShellToolCall(
     const stderrState = { text: "", truncated: false };
     let spawnError = null;
     let timedOut = false;
+    let cancelled = false;
     let timeoutHandle = null;
 
     function clearTimer() {
@@ -212,10 +218,12 @@ async function runLocalShellToolCall(
         clearTimeout(timeoutHandle);
         timeoutHandle = null;
       }
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
     }
 
-    timeoutHandle = setTimeout(() => {
-      timedOut = true;
+    function terminateChild() {
       try {
         child.kill("SIGTERM");
       } catch {
@@ -230,7 +238,20 @@ async function runLocalShellToolCall(
           }
         }
       }, 1000);
+    }
+
+    function onAbort() {
+      cancelled = true;
+      terminateChild();
+    }
+
+    timeoutHandle = setTimeout(() => {
+      timedOut = true;
+      terminateChild();
     }, timeoutSeconds * 1000);
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
 
     child.stdout.on("data", (chunk) => {
       const text = chunk.toString("utf8");
@@ -273,6 +294,7 @@ async function runLocalShellToolCall(
         exit_code: exitCode,
         signal,
         timed_out: timedOut,
+        cancelled,
         stdout: stdoutTrunc.text,
         stderr: stderrTrunc.text,
         stdout_truncated: stdoutTrunc.truncated,
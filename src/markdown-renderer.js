@@ -0,0 +1,382 @@
+"use strict";
+
+// Minimal markdown -> HTML renderer for the session webview. All source text is
+// escaped; the only markup in the output is what this module emits, so the
+// result is safe to assign to innerHTML under the webview CSP.
+
+const KEYWORDS = {
+  js: [
+    "async", "await", "break", "case", "catch", "class", "const", "continue", "default",
+    "delete", "do", "else", "export", "extends", "false", "finally", "for", "from",
+    "function", "if", "import", "in", "instanceof", "interface", "let", "new", "null",
+    "of", "return", "static", "super", "switch", "this", "throw", "true", "try", "type",
+    "typeof", "undefined", "var", "void", "while", "yield"
+  ],
+  py: [
+    "and", "as", "assert", "async", "await", "break", "class", "continue", "def", "del",
+    "elif", "else", "except", "False", "finally", "for", "from", "if", "import", "in",
+    "is", "lambda", "None", "not", "or", "pass", "raise", "return", "self", "True", "try",
+    "while", "with", "yield"
+  ],
+  sh: [
+    "case", "do", "done", "echo", "elif", "else", "esac", "exit", "export", "fi", "for",
+    "function", "if", "in", "local", "return", "then", "until", "while"
+  ],
+  go: [
+    "break", "case", "chan", "const", "continue", "default", "defer", "else", "false",
+    "for", "func", "go", "if", "import", "interface", "map", "nil", "package", "range",
+    "return", "select", "struct", "switch", "true", "type", "var"
+  ],
+  rust: [
+    "as", "async", "await", "break", "const", "continue", "crate", "else", "enum", "false",
+    "fn", "for", "if", "impl", "in", "let", "loop", "match", "mod", "move", "mut", "pub",
+    "ref", "return", "self", "Self", "static", "struct", "trait", "true", "type", "use",
+    "where", "while"
+  ],
+  json: ["true", "false", "null"]
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: "js",
+  jsx: "js",
+  ts: "js",
+  typescript: "js",
+  tsx: "js",
+  mjs: "js",
+  cjs: "js",
+  java: "js",
+  c: "js",
+  cpp: "js",
+  csharp: "js",
+  cs: "js",
+  python: "py",
+  bash: "sh",
+  shell: "sh",
+  zsh: "sh",
+  console: "sh",
+  golang: "go",
+  rs: "rust",
+  jsonc: "json"
+};
+
+const HASH_COMMENT_FAMILIES = new Set(["py", "sh"]);
+const SAFE_LINK_PATTERN = /^(https?:|mailto:)/i;
+
+function escapeHtml(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function languageFamily(lang) {
+  const lowered = String(lang || "").trim().toLowerCase();
+  return LANGUAGE_ALIASES[lowered] || lowered;
+}
+
+function isDiffLanguage(lang) {
+  return ["diff", "patch", "udiff"].includes(String(lang || "").trim().toLowerCase());
+}
+
+function highlightDiff(code) {
+  return code
+    .split("\n")
+    .map((line) => {
+      const escaped = escapeHtml(line);
+      if (line.startsWith("+++") || line.startsWith("---")) {
+        return `<span class="tok-diff-header">${escaped}</span>`;
+      }
+      if (line.startsWith("@@")) {
+        return `<span class="tok-diff-hunk">${escaped}</span>`;
+      }
+      if (line.startsWith("+")) {
+        return `<span class="tok-diff-add">${escaped}</span>`;
+      }
+      if (line.startsWith("-")) {
+        return `<span class="tok-diff-del">${escaped}</span>`;
+      }
+      return escaped;
+    })
+    .join("\n");
+}
+
+function highlightCode(code, lang) {
+  if (isDiffLanguage(lang)) {
+    return highlightDiff(code);
+  }
+  const family = languageFamily(lang);
+  const keywords = new Set(KEYWORDS[family] || []);
+  if (!keywords.size) {
+    return escapeHtml(code);
+  }
+
+  const hashComments = HASH_COMMENT_FAMILIES.has(family);
+  const tokenPattern = hashComments
+    ? /(#[^\n]*)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g
+    : /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g;
+
+  let html = "";
+  let lastIndex = 0;
+  let match;
+  while ((match = tokenPattern.exec(code)) !== null) {
+    html += escapeHtml(code.slice(lastIndex, match.index));
+    const [token, comment, string, number, word] = match;
+    if (comment) {
+      html += `<span class="tok-comment">${escapeHtml(token)}</span>`;
+    } else if (string) {
+      html += `<span class="tok-string">${escapeHtml(token)}</span>`;
+    } else if (number) {
+      html += `<span class="tok-number">${escapeHtml(token)}</span>`;
+    } else if (word && keywords.has(word)) {
+      html += `<span class="tok-keyword">${escapeHtml(token)}</span>`;
+    } else {
+      html += escapeHtml(token);
+    }
+    lastIndex = match.index + token.length;
+  }
+  html += escapeHtml(code.slice(lastIndex));
+  return html;
+}
+
+function renderCodeBlock(code, lang) {
+  const label = String(lang || "").trim() || "text";
+  return (
+    `<div class="code-block" data-lang="${escapeHtml(label)}">` +
+    '<div class="code-toolbar">' +
+    `<span class="code-lang">${escapeHtml(label)}</span>` +
+    '<button class="secondary" data-code-action="copy">Copy</button>' +
+    '<button class="secondary" data-code-action="insert">Insert at Cursor</button>' +
+    '<button class="secondary" data-code-action="apply">Apply as Diff</button>' +
+    "</div>" +
+    `<pre><code>${highlightCode(code, lang)}</code></pre>` +
+    "</div>"
+  );
+}
+
+// Code spans and links are swapped for \u0000N\u0000 / \u0001N\u0001 placeholders
+// while emphasis is applied; model text may not contain those characters.
+function renderInline(text) {
+  const codeSpans = [];
+  const source = String(text || "")
+    .replace(/[\u0000\u0001]/g, "")
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_m, _ticks, code) => {
+      codeSpans.push(`<code>${escapeHtml(code.trim())}</code>`);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+  return renderInlineFormatting(source).replace(
+    /\u0000(\d+)\u0000/g,
+    (_m, index) => codeSpans[Number(index)] || ""
+  );
+}
+
+// Links and emphasis; code span placeholders pass through, so link labels
+// keep their code spans for renderInline to restore.
+function renderInlineFormatting(source) {
+  const links = [];
+  const text = source.replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) => {
+    if (!SAFE_LINK_PATTERN.test(url)) {
+      return match;
+    }
+    links.push({ label, url });
+    return `\u0001${links.length - 1}\u0001`;
+  });
+
+  const html = escapeHtml(text)
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/__([^_]+)__/g, "<strong>$1</strong>")
+    .replace(/~~([^~]+)~~/g, "<del>$1</del>")
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\w)/g, "$1<em>$2</em>")
+    .replace(/(^|[^_\w])_([^_\s][^_]*?)_(?!\w)/g, "$1<em>$2</em>");
+
+  return html.replace(/\u0001(\d+)\u0001/g, (_m, index) => {
+    const link = links[Number(index)];
+    return link ? `<a href="${escapeHtml(link.url)}">${renderInlineFormatting(link.label)}</a>` : "";
+  });
+}
+
+function splitTableRow(line) {
+  let trimmed = line.trim();
+  if (trimmed.startsWith("|")) {
+    trimmed = trimmed.slice(1);
+  }
+  if (trimmed.endsWith("|")) {
+    trimmed = trimmed.slice(0, -1);
+  }
+  return trimmed.split("|").map((cell) => cell.trim());
+}
+
+function isTableSeparator(line) {
+  return /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line || "") && line.includes("-");
+}
+
+function renderTable(headerLine, separatorLine, rows) {
+  const alignments = splitTableRow(separatorLine).map((cell) => {
+    if (cell.startsWith(":") && cell.endsWith(":")) {
+      return "center";
+    }
+    if (cell.endsWith(":")) {
+      return "right";
+    }
+    return "";
+  });
+  const cell = (tag, value, index) => {
+    const align = alignments[index] ? ` style="text-align:${alignments[index]}"` : "";
+    return `<${tag}${align}>${renderInline(value)}</${tag}>`;
+  };
+  const head = splitTableRow(headerLine).map((value, i) => cell("th", value, i)).join("");
+  const body = rows
+    .map((row) => `<tr>${splitTableRow(row).map((value, i) => cell("td", value, i)).join("")}</tr>`)
+    .join("");
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*([\w#+.-]*)/;
+
+function renderList(lines, start) {
+  const first = LIST_ITEM_PATTERN.exec(lines[start]);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = LIST_ITEM_PATTERN.exec(lines[i]);
+    if (!match || match[1].length !== baseIndent || /\d/.test(match[2]) !== ordered) {
+      break;
+    }
+    const contentIndent = match[1].length + match[2].length + 1;
+    const itemLines = [match[3]];
+    i += 1;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        const next = lines[i + 1] || "";
+        if (next.trim() && next.search(/\S/) > baseIndent) {
+          itemLines.push("");
+          i += 1;
+          continue;
+        }
+        break;
+      }
+      const indent = line.search(/\S/);
+      if (indent <= baseIndent) {
+        break;
+      }
+      itemLines.push(line.slice(Math.min(indent, contentIndent)));
+      i += 1;
+    }
+    items.push(itemLines);
+  }
+
+  const tag = ordered ? "ol" : "ul";
+  const startNumber = ordered ? Number.parseInt(first[2], 10) : 1;
+  const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : "";
+  const html = items
+    .map((itemLines) => {
+      const inner = itemLines.length === 1
+        ? renderInline(itemLines[0])
+        : renderBlocks(itemLines).replace(/^<p>([\s\S]*?)<\/p>/, "$1");
+      return `<li>${inner}</li>`;
+    })
+    .join("");
+  return { html: `<${tag}${startAttr}>${html}</${tag}>`, next: i };
+}
+
+function renderBlocks(lines) {
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const fence = FENCE_PATTERN.exec(line);
+    if (fence) {
+      const marker = fence[1];
+      const codeLines = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+        codeLines.push(lines[i]);
+        i += 1;
+      }
+      i += 1;
+      out.push(renderCodeBlock(codeLines.join("\n"), fence[2]));
+      continue;
+    }
+
+    const heading = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      out.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i += 1;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push("<hr />");
+      i += 1;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s*>\s?/, ""));
+        i += 1;
+      }
+      out.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+      continue;
+    }
+
+    if (line.includes("|") && isTableSeparator(lines[i + 1])) {
+      const rows = [];
+      let j = i + 2;
+      while (j < lines.length && lines[j].includes("|") && lines[j].trim()) {
+        rows.push(lines[j]);
+        j += 1;
+      }
+      out.push(renderTable(line, lines[i + 1], rows));
+      i = j;
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const list = renderList(lines, i);
+      out.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !FENCE_PATTERN.test(lines[i]) &&
+      !/^\s*(#{1,6})\s+/.test(lines[i]) &&
+      !/^\s*>/.test(lines[i]) &&
+      !(paragraph.length && LIST_ITEM_PATTERN.test(lines[i]))
+    ) {
+      paragraph.push(lines[i].trim());
+      i += 1;
+    }
+    out.push(`<p>${paragraph.map(renderInline).join("<br />")}</p>`);
+  }
+
+  return out.join("");
+}
+
+function renderMarkdown(text) {
+  return renderBlocks(String(text || "").replace(/\r\n?/g, "\n").split("\n"));
+}
+
+module.exports = {
+  escapeHtml,
+  renderMarkdown
+};
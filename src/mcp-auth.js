@@ -0,0 +1,621 @@
+"use strict";
+
+const crypto = require("crypto");
+const http = require("http");
+
+// SecretStorage keys; the suffix is the server name from joshgpt.mcp.servers.
+const CREDENTIALS_KEY_PREFIX = "joshgpt.mcp.credentials.";
+const OAUTH_KEY_PREFIX = "joshgpt.mcp.oauth.";
+// Tokens are refreshed this long before they expire so a request never races expiry.
+const EXPIRY_SKEW_MS = 60 * 1000;
+const SIGN_IN_TIMEOUT_MS = 5 * 60 * 1000;
+const CLIENT_NAME = "JoshGPT for VS Code";
+
+function errorMessage(err) {
+  return err instanceof Error ? err.message : String(err);
+}
+
+function base64Url(buffer) {
+  return buffer.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * PKCE pair for the authorization code flow (RFC 7636, S256 only).
+ */
+function createPkcePair() {
+  const verifier = base64Url(crypto.randomBytes(32));
+  const challenge = base64Url(crypto.createHash("sha256").update(verifier).digest());
+  return { verifier, challenge, method: "S256" };
+}
+
+/**
+ * Parses a `WWW-Authenticate` header such as
+ * `Bearer resource_metadata="https://...", scope="a b"`. Parameter names are
+ * lower-cased; returns `{ scheme: "", params: {} }` for an empty header.
+ */
+function parseWwwAuthenticate(header) {
+  const text = String(header || "").trim();
+  const match = /^([A-Za-z][\w-]*)\s*(.*)$/.exec(text);
+  if (!match) {
+    return { scheme: "", params: {} };
+  }
+  const params = {};
+  const pattern = /([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+  let param;
+  while ((param = pattern.exec(match[2]))) {
+    params[param[1].toLowerCase()] =
+      param[2] !== undefined ? param[2].replace(/\\(.)/g, "$1") : param[3];
+  }
+  return { scheme: match[1].toLowerCase(), params };
+}
+
+// RFC 8414 / RFC 9728 well-known locations: the suffix goes between the host
+// and the path, then the root location is tried as a fallback.
+function wellKnownUrls(base, suffix) {
+  const url = new URL(base);
+  const path = url.pathname.replace(/\/+$/, "");
+  const urls = [];
+  if (path) {
+    urls.push(`${url.origin}/.well-known/${suffix}${path}`);
+  }
+  urls.push(`${url.origin}/.well-known/${suffix}`);
+  return urls;
+}
+
+async function fetchJson(url, { signal = null, fetchImpl = fetch } = {}) {
+  let response;
+  try {
+    response = await fetchImpl(url, { headers: { Accept: "application/json" }, signal });
+  } catch (err) {
+    if (err && err.name === "AbortError") {
+      throw err;
+    }
+    const reason = err && err.cause && err.cause.message ? err.cause.message : errorMessage(err);
+    throw new Error(`Could not reach ${url}: ${reason}`);
+  }
+  if (!response.ok) {
+    if (response.body) {
+      await response.body.cancel().catch(() => {});
+    }
+    return null;
+  }
+  try {
+    const parsed = await response.json();
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+async function firstJson(urls, options) {
+  for (const url of urls) {
+    const found = await fetchJson(url, options);
+    if (found) {
+      return { url, document: found };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the authorization server for an MCP server URL, following the MCP
+ * authorization spec: protected resource metadata (from the 401
+ * `resource_metadata` hint or its well-known location), then the
+ * authorization server metadata. Servers without any metadata get the
+ * default `/authorize`, `/token` and `/register` endpoints on their origin.
+ */
+async function discoverAuthorization(serverUrl, { resourceMetadataUrl = "", signal = null, fetchImpl = fetch } = {}) {
+  const options = { signal, fetchImpl };
+  const resourceMetadata = await firstJson(
+    resourceMetadataUrl
+      ? [resourceMetadataUrl]
+      : wellKnownUrls(serverUrl, "oauth-protected-resource"),
+    options
+  );
+  const resourceDoc = resourceMetadata ? resourceMetadata.document : {};
+  const servers = Array.isArray(resourceDoc.authorization_servers)
+    ? resourceDoc.authorization_servers.filter((item) => typeof item === "string" && item)
+    : [];
+  const issuer = servers[0] || new URL(serverUrl).origin;
+
+  const issuerUrl = new URL(issuer);
+  const issuerPath = issuerUrl.pathname.replace(/\/+$/, "");
+  const candidates = [
+    ...wellKnownUrls(issuer, "oauth-authorization-server"),
+    ...wellKnownUrls(issuer, "openid-configuration")
+  ];
+  if (issuerPath) {
+    candidates.push(`${issuerUrl.origin}${issuerPath}/.well-known/openid-configuration`);
+  }
+  const found = await firstJson(candidates, options);
+  const metadata = found
+    ? found.document
+    : {
+        issuer,
+        authorization_endpoint: `${issuerUrl.origin}/authorize`,
+        token_endpoint: `${issuerUrl.origin}/token`,
+        registration_endpoint: `${issuerUrl.origin}/register`
+      };
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint) {
+    throw new Error(`Authorization server ${issuer} does not advertise authorization and token endpoints.`);
+  }
+  const methods = metadata.code_challenge_methods_supported;
+  if (Array.isArray(methods) && methods.length && !methods.includes("S256")) {
+    throw new Error(`Authorization server ${issuer} does not support PKCE with S256.`);
+  }
+  return {
+    issuer,
+    resource: String(resourceDoc.resource || serverUrl),
+    scopesSupported: Array.isArray(resourceDoc.scopes_supported) ? resourceDoc.scopes_supported : [],
+    metadata
+  };
+}
+
+async function postForm(url, params, { signal = null, fetchImpl = fetch } = {}) {
+  const body = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") {
+      body.set(key, String(value));
+    }
+  }
+  const response = await fetchImpl(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json"
+    },
+    body: body.toString(),
+    signal
+  });
+  const text = await response.text();
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    parsed = null;
+  }
+  if (!response.ok || !parsed || !parsed.access_token) {
+    const detail = parsed && parsed.error
+      ? `${parsed.error}${parsed.error_description ? `: ${parsed.error_description}` : ""}`
+      : text.slice(0, 300);
+    throw new Error(`Token request failed (HTTP ${response.status}): ${detail}`);
+  }
+  return parsed;
+}
+
+/**
+ * Dynamic client registration (RFC 7591) as a public client with the given
+ * loopback redirect URI. Returns `{ clientId, clientSecret }`.
+ */
+async function registerClient(metadata, { redirectUri, signal = null, fetchImpl = fetch }) {
+  if (!metadata.registration_endpoint) {
+    throw new Error(
+      'The authorization server does not support dynamic client registration; set "oauth.clientId" on the server entry.'
+    );
+  }
+  const response = await fetchImpl(metadata.registration_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json" },
+    body: JSON.stringify({
+      client_name: CLIENT_NAME,
+      redirect_uris: [redirectUri],
+      grant_types: ["authorization_code", "refresh_token"],
+      response_types: ["code"],
+      token_endpoint_auth_method: "none"
+    }),
+    signal
+  });
+  const text = await response.text();
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    parsed = null;
+  }
+  if (!response.ok || !parsed || !parsed.client_id) {
+    throw new Error(`Client registration failed (HTTP ${response.status}): ${text.slice(0, 300)}`);
+  }
+  return { clientId: String(parsed.client_id), clientSecret: String(parsed.client_secret || "") };
+}
+
+function toTokenRecord(token, base, now = Date.now()) {
+  const expiresIn = Number(token.expires_in);
+  return {
+    ...base,
+    accessToken: String(token.access_token),
+    // Refresh responses may omit the refresh token; the old one stays valid then.
+    refreshToken: String(token.refresh_token || base.refreshToken || ""),
+    expiresAt: Number.isFinite(expiresIn) && expiresIn > 0 ? now + expiresIn * 1000 : 0,
+    scope: String(token.scope || base.scope || "")
+  };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+}
+
+function callbackPage(title, detail) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>` +
+    `<body style="font-family: sans-serif"><h2>${escapeHtml(title)}</h2><p>${escapeHtml(detail)}</p></body></html>`;
+}
+
+/**
+ * Loopback redirect receiver (RFC 8252). Listens on 127.0.0.1 until the
+ * browser returns to `/callback` with the expected `state`. Returns
+ * `{ redirectUri, code, close }`; `code` rejects on an authorization error,
+ * timeout or abort.
+ */
+async function startLoopbackReceiver({ state, serverName, timeoutMs = SIGN_IN_TIMEOUT_MS, signal = null }) {
+  let settle;
+  const code = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url || "/", "http://127.0.0.1");
+    if (url.pathname !== "/callback") {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const error = url.searchParams.get("error");
+    const returnedState = url.searchParams.get("state");
+    const returnedCode = url.searchParams.get("code");
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    if (returnedState !== state) {
+      res.end(callbackPage("Sign-in failed", "The response did not match this sign-in attempt."));
+      return;
+    }
+    if (error || !returnedCode) {
+      const description = url.searchParams.get("error_description");
+      res.end(callbackPage("Sign-in failed", description || error || "No authorization code was returned."));
+      settle.reject(new Error(`Authorization was denied: ${error || "no code"}${description ? ` (${description})` : ""}`));
+      return;
+    }
+    res.end(callbackPage("Signed in", `JoshGPT can now use MCP server "${serverName}". You can close this tab.`));
+    settle.resolve(returnedCode);
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+
+  const timer = setTimeout(
+    () => settle.reject(new Error(`Sign-in timed out after ${Math.round(timeoutMs / 1000)}s.`)),
+    timeoutMs
+  );
+  const onAbort = () => settle.reject(new Error("Sign-in cancelled."));
+  if (signal) {
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+  let closed = false;
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener("abort", onAbort);
+    }
+    server.close();
+    server.closeAllConnections();
+  };
+  // The redirect arrives once; later requests (favicon, reloads) are not needed.
+  code.then(close, close);
+  return { redirectUri: `http://127.0.0.1:${server.address().port}/callback`, code, close };
+}
+
+/**
+ * Credentials for one HTTP MCP server, kept in VS Code `SecretStorage`
+ * (`secrets` is anything with async `get`, `store` and `delete`).
+ *
+ * Two independent records are used: static credentials (`bearerToken` and
+ * extra `headers`) entered by the user, and OAuth tokens from `signIn`. A
+ * static bearer token wins over an OAuth token. Both records remember the
+ * server URL and are only sent to that URL.
+ */
+class McpAuth {
+  constructor({ server, secrets, fetchImpl = fetch, output = null, onSignInRequired = null }) {
+    this.server = server;
+    this.secrets = secrets;
+    this.fetchImpl = fetchImpl;
+    this.output = output;
+    this.onSignInRequired = onSignInRequired;
+    this.resourceMetadataUrl = "";
+    this.refreshing = null;
+    this.warnedCredentialsUrl = false;
+  }
+
+  _log(message) {
+    if (this.output) {
+      this.output.appendLine(`[joshgpt] MCP ${this.server.name} auth: ${message}`);
+    }
+  }
+
+  async _read(key) {
+    const raw = await this.secrets.get(key);
+    if (!raw) {
+      return null;
+    }
+    try {
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === "object" ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Static credentials saved for another URL (or before URLs were recorded) are
+  // withheld: a server entry that keeps the name but changes the URL must not
+  // receive them.
+  async getCredentials() {
+    let stored = (await this._read(`${CREDENTIALS_KEY_PREFIX}${this.server.name}`)) || {};
+    if (Object.keys(stored).length && stored.serverUrl !== this.server.url) {
+      if (!this.warnedCredentialsUrl) {
+        this.warnedCredentialsUrl = true;
+        this._log(
+          `stored credentials were saved for ${stored.serverUrl || "an unknown URL"}, not ${this.server.url}; not sending them`
+        );
+      }
+      stored = {};
+    }
+    return {
+      bearerToken: String(stored.bearerToken || ""),
+      headers: stored.headers && typeof stored.headers === "object" ? { ...stored.headers } : {}
+    };
+  }
+
+  /**
+   * Merges `changes` into the static credentials. An empty `bearerToken` or
+   * header value removes it.
+   */
+  async setCredentials({ bearerToken, headers = {} } = {}) {
+    const current = await this.getCredentials();
+    if (bearerToken !== undefined) {
+      current.bearerToken = String(bearerToken || "").trim();
+    }
+    for (const [name, value] of Object.entries(headers)) {
+      if (value === undefined || value === null || value === "") {
+        delete current.headers[name];
+      } else {
+        current.headers[name] = String(value);
+      }
+    }
+    const key = `${CREDENTIALS_KEY_PREFIX}${this.server.name}`;
+    if (!current.bearerToken && !Object.keys(current.headers).length) {
+      await this.secrets.delete(key);
+    } else {
+      await this.secrets.store(key, JSON.stringify({ ...current, serverUrl: this.server.url }));
+    }
+  }
+
+  // OAuth tokens are tied to the URL they were issued for.
+  async getTokens() {
+    const record = await this._read(`${OAUTH_KEY_PREFIX}${this.server.name}`);
+    return record && record.serverUrl === this.server.url && record.accessToken ? record : null;
+  }
+
+  async _storeTokens(record) {
+    await this.secrets.store(`${OAUTH_KEY_PREFIX}${this.server.name}`, JSON.stringify(record));
+  }
+
+  /**
+   * Removes the OAuth tokens and static credentials for this server.
+   */
+  async signOut() {
+    await this.secrets.delete(`${OAUTH_KEY_PREFIX}${this.server.name}`);
+    await this.secrets.delete(`${CREDENTIALS_KEY_PREFIX}${this.server.name}`);
+  }
+
+  /**
+   * One-line state for pickers, e.g. "signed in (OAuth)" or "bearer token, 1 header".
+   */
+  async describe() {
+    const [credentials, tokens, stored] = await Promise.all([
+      this.getCredentials(),
+      this.getTokens(),
+      this._read(`${CREDENTIALS_KEY_PREFIX}${this.server.name}`)
+    ]);
+    const parts = [];
+    if (stored && stored.serverUrl !== this.server.url) {
+      parts.push("credentials saved for another URL");
+    }
+    if (credentials.bearerToken) {
+      parts.push("bearer token");
+    } else if (tokens) {
+      parts.push(tokens.expiresAt && tokens.expiresAt <= Date.now() && !tokens.refreshToken
+        ? "OAuth token expired"
+        : "signed in (OAuth)");
+    }
+    const headerCount = Object.keys(credentials.headers).length;
+    if (headerCount) {
+      parts.push(`${headerCount} secret header(s)`);
+    }
+    return parts.join(", ") || "no credentials";
+  }
+
+  /**
+   * Headers to add to every MCP request. Refreshes an OAuth token that is
+   * about to expire; a failed refresh drops the token so the server's 401
+   * leads to a new sign-in.
+   */
+  async getHeaders({ signal = null } = {}) {
+    const credentials = await this.getCredentials();
+    const headers = { ...credentials.headers };
+    if (credentials.bearerToken) {
+      headers.Authorization = `Bearer ${credentials.bearerToken}`;
+      return headers;
+    }
+    let tokens = await this.getTokens();
+    if (tokens && tokens.expiresAt && tokens.expiresAt - EXPIRY_SKEW_MS <= Date.now()) {
+      tokens = tokens.refreshToken ? await this._refresh(tokens, { signal }) : null;
+    }
+    if (tokens) {
+      headers.Authorization = `Bearer ${tokens.accessToken}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Called by the HTTP client after a 401. Returns true when new credentials
+   * are available and the request should be retried once.
+   */
+  async onUnauthorized({ wwwAuthenticate = "", signal = null } = {}) {
+    const challenge = parseWwwAuthenticate(wwwAuthenticate);
+    if (challenge.params.resource_metadata) {
+      this.resourceMetadataUrl = challenge.params.resource_metadata;
+    }
+    const credentials = await this.getCredentials();
+    if (!credentials.bearerToken) {
+      const tokens = await this.getTokens();
+      if (tokens && tokens.refreshToken && (await this._refresh(tokens, { signal }))) {
+        return true;
+      }
+    }
+    if (typeof this.onSignInRequired === "function") {
+      this.onSignInRequired(this.server);
+    }
+    return false;
+  }
+
+  _refresh(tokens, { signal = null } = {}) {
+    // Parallel requests share one refresh; refresh tokens may be single-use.
+    if (!this.refreshing) {
+      this.refreshing = (async () => {
+        try {
+          const token = await postForm(
+            tokens.tokenEndpoint,
+            {
+              grant_type: "refresh_token",
+              refresh_token: tokens.refreshToken,
+              client_id: tokens.clientId,
+              client_secret: tokens.clientSecret,
+              resource: tokens.resource
+            },
+            { signal, fetchImpl: this.fetchImpl }
+          );
+          const record = toTokenRecord(token, tokens);
+          await this._storeTokens(record);
+          this._log("access token refreshed");
+          return record;
+        } catch (err) {
+          if (signal && signal.aborted) {
+            throw err;
+          }
+          this._log(`token refresh failed: ${errorMessage(err)}`);
+          await this.secrets.delete(`${OAUTH_KEY_PREFIX}${this.server.name}`);
+          return null;
+        } finally {
+          this.refreshing = null;
+        }
+      })();
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Interactive authorization code flow with PKCE: discovery, dynamic client
+   * registration when no `oauth.clientId` is configured, a loopback redirect
+   * and the token exchange. `openBrowser(url)` shows the authorization page.
+   */
+  async signIn({ openBrowser, signal = null, timeoutMs = SIGN_IN_TIMEOUT_MS }) {
+    if (this.server.transport !== "http" || !this.server.url) {
+      throw new Error(`MCP server "${this.server.name}" is not an HTTP server.`);
+    }
+    const oauth = this.server.oauth || {};
+    const discovery = await discoverAuthorization(this.server.url, {
+      resourceMetadataUrl: this.resourceMetadataUrl,
+      signal,
+      fetchImpl: this.fetchImpl
+    });
+    this._log(`authorization server ${discovery.issuer}`);
+
+    const state = base64Url(crypto.randomBytes(16));
+    const pkce = createPkcePair();
+    const receiver = await startLoopbackReceiver({ state, serverName: this.server.name, timeoutMs, signal });
+    try {
+      const client = oauth.clientId
+        ? { clientId: oauth.clientId, clientSecret: "" }
+        : await registerClient(discovery.metadata, {
+            redirectUri: receiver.redirectUri,
+            signal,
+            fetchImpl: this.fetchImpl
+          });
+      const scopes = oauth.scopes && oauth.scopes.length ? oauth.scopes : discovery.scopesSupported;
+      const authorizeUrl = new URL(discovery.metadata.authorization_endpoint);
+      const params = {
+        response_type: "code",
+        client_id: client.clientId,
+        redirect_uri: receiver.redirectUri,
+        state,
+        code_challenge: pkce.challenge,
+        code_challenge_method: pkce.method,
+        resource: discovery.resource,
+        scope: scopes.join(" ")
+      };
+      for (const [key, value] of Object.entries(params)) {
+        if (value) {
+          authorizeUrl.searchParams.set(key, value);
+        }
+      }
+      await openBrowser(authorizeUrl.toString());
+      const code = await receiver.code;
+
+      const token = await postForm(
+        discovery.metadata.token_endpoint,
+        {
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: receiver.redirectUri,
+          client_id: client.clientId,
+          client_secret: client.clientSecret,
+          code_verifier: pkce.verifier,
+          resource: discovery.resource
+        },
+        { signal, fetchImpl: this.fetchImpl }
+      );
+      const record = toTokenRecord(token, {
+        serverUrl: this.server.url,
+        tokenEndpoint: discovery.metadata.token_endpoint,
+        clientId: client.clientId,
+        clientSecret: client.clientSecret,
+        resource: discovery.resource
+      });
+      await this._storeTokens(record);
+      this._log("signed in");
+      return record;
+    } finally {
+      receiver.close();
+    }
+  }
+}
+
+/**
+ * Returns `authFor(server)`, which hands out one `McpAuth` per HTTP server
+ * (stdio servers get null) so every client of a server sees the same tokens.
+ */
+function createMcpAuthRegistry({ secrets, output = null, fetchImpl = fetch, onSignInRequired = null }) {
+  const entries = new Map();
+  return function authFor(server) {
+    if (!server || server.transport !== "http") {
+      return null;
+    }
+    const existing = entries.get(server.name);
+    if (existing && existing.server.url === server.url) {
+      // Settings are re-read per prompt; keep the instance (and any refresh in flight).
+      existing.server = server;
+      return existing;
+    }
+    const auth = new McpAuth({ server, secrets, fetchImpl, output, onSignInRequired });
+    entries.set(server.name, auth);
+    return auth;
+  };
+}
+
+module.exports = {
+  createPkcePair,
+  parseWwwAuthenticate,
+  discoverAuthorization,
+  McpAuth,
+  createMcpAuthRegistry
+};
@@ -1,178 +1,222 @@
 "use strict";
 
-class McpHttpClient {
-  constructor({ baseUrl, timeoutMs = 15000, output = null }) {
+const { McpJsonRpcClient, connectError, sessionExpiredError } = require("./mcp-jsonrpc");
+const { readSseStream } = require("./sse");
+
+/**
+ * MCP client for the streamable HTTP transport. Each message is a POST; the
+ * reply is either plain JSON or an event stream that is read incrementally
+ * until the matching response arrives. The session id from `initialize` is
+ * sent on every later request and closed with DELETE on dispose.
+ *
+ * `auth` (an `McpAuth` from mcp-auth.js) adds stored credentials to each
+ * request; after a 401 it may refresh them, and the request is sent once more.
+ */
+class McpHttpClient extends McpJsonRpcClient {
+  constructor({ baseUrl, timeoutMs = 15000, output = null, name = "", headers = {}, auth = null }) {
+    super({ name, timeoutMs, output });
     this.baseUrl = String(baseUrl || "").trim().replace(/\/+$/, "");
-    this.timeoutMs = Number.isFinite(timeoutMs) ? timeoutMs : 15000;
-    this.output = output;
+    this.headers = headers && typeof headers === "object" ? { ...headers } : {};
+    this.auth = auth;
+    this.authHeaders = {};
     this.sessionId = "";
-    this.initialized = false;
   }
 
-  _log(message) {
-    if (this.output && typeof this.output.appendLine === "function") {
-      this.output.appendLine(`[joshgpt:mcp] ${message}`);
-    }
+  describeTarget() {
+    return this.baseUrl;
   }
 
-  _parseMcpBody(rawBody) {
-    const text = String(rawBody || "").trim();
-    if (!text) {
-      throw new Error("MCP response body is empty.");
-    }
-
-    const trimmed = text.trim();
-    if (trimmed.startsWith("{")) {
-      return JSON.parse(trimmed);
+  _requestHeaders(message) {
+    const headers = {
+      ...this.headers,
+      ...this.authHeaders,
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream"
+    };
+    if (this.sessionId) {
+      headers["Mcp-Session-Id"] = this.sessionId;
     }
-
-    const dataLines = [];
-    for (const line of trimmed.split(/\r?\n/)) {
-      if (line.startsWith("data:")) {
-        dataLines.push(line.slice("data:".length).trim());
-      }
+    if (this.initialized && message.method !== "initialize") {
+      headers["MCP-Protocol-Version"] = this.protocolVersion;
     }
+    return headers;
+  }
 
-    if (!dataLines.length) {
-      throw new Error(`Unexpected MCP response format: ${trimmed.slice(0, 200)}`);
-    }
+  _resetSession() {
+    super._resetSession();
+    this.sessionId = "";
+  }
 
-    for (let i = dataLines.length - 1; i >= 0; i -= 1) {
-      const candidate = dataLines[i];
-      if (!candidate) {
-        continue;
-      }
-      try {
-        return JSON.parse(candidate);
-      } catch {
-        continue;
-      }
+  _parseJsonPayload(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      this._log(`ignoring unparseable MCP payload: ${String(raw).slice(0, 200)}`);
+      return null;
     }
-
-    throw new Error("Unable to parse MCP JSON payload from response.");
   }
 
-  async _post(payload, { allowWithoutSession = false } = {}) {
+  async _transmit(message, { signal = null } = {}) {
     if (!this.baseUrl) {
-      throw new Error("joshgpt.mcp.baseUrl is empty.");
+      throw new Error(
+        this.name ? `MCP server "${this.name}" has no URL.` : "joshgpt.mcp.baseUrl is empty."
+      );
     }
-
-    const headers = {
-      "Content-Type": "application/json",
-      Accept: "application/json, text/event-stream"
-    };
-
-    if (this.sessionId) {
-      headers["Mcp-Session-Id"] = this.sessionId;
-    } else if (!allowWithoutSession) {
-      throw new Error("MCP session is not initialized.");
+    if (signal && signal.aborted) {
+      throw new Error("MCP request cancelled.");
     }
 
+    const isRequest = Boolean(message.method) && Object.prototype.hasOwnProperty.call(message, "id");
+    const sentSessionId = this.sessionId;
     const controller = new AbortController();
-    const timeoutHandle = setTimeout(() => controller.abort(), this.timeoutMs);
-    let response;
+    const onAbort = () => controller.abort();
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+    // Requests are timed by _request; notifications and replies get their own limit.
+    const timeoutHandle = isRequest ? null : setTimeout(() => controller.abort(), this.timeoutMs);
 
     try {
-      response = await fetch(this.baseUrl, {
-        method: "POST",
-        headers,
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      });
+      let response;
+      for (let attempt = 0; ; attempt += 1) {
+        if (this.auth) {
+          this.authHeaders = await this.auth.getHeaders({ signal: controller.signal });
+        }
+        try {
+          response = await fetch(this.baseUrl, {
+            method: "POST",
+            headers: this._requestHeaders(message),
+            body: JSON.stringify(message),
+            signal: controller.signal
+          });
+        } catch (err) {
+          if (err && err.name === "AbortError") {
+            throw err;
+          }
+          // undici reports the socket-level reason (ECONNREFUSED, ENOTFOUND) as the cause.
+          const reason = err && err.cause && err.cause.message ? err.cause.message : String(err && err.message);
+          throw connectError(`Could not reach MCP server at ${this.baseUrl}: ${reason}`);
+        }
+        if (response.status !== 401 || !this.auth) {
+          break;
+        }
+        await discardBody(response);
+        const retry =
+          attempt === 0 &&
+          (await this.auth.onUnauthorized({
+            wwwAuthenticate: response.headers.get("www-authenticate") || "",
+            signal: controller.signal
+          }));
+        if (!retry) {
+          throw new Error(
+            `MCP server "${this.name || this.baseUrl}" requires authorization (HTTP 401). ` +
+              'Run "JoshGPT: Manage MCP Credentials" to sign in or add a token.'
+          );
+        }
+      }
+
+      const returnedSessionId = response.headers.get("mcp-session-id");
+      if (returnedSessionId) {
+        this.sessionId = returnedSessionId;
+      }
+
+      if (response.status === 404 && sentSessionId && message.method !== "initialize") {
+        await discardBody(response);
+        this._resetSession();
+        throw sessionExpiredError(`MCP session ${sentSessionId} expired (HTTP 404).`);
+      }
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`MCP HTTP ${response.status}: ${body.slice(0, 400)}`);
+      }
+      if (!isRequest) {
+        await discardBody(response);
+        return;
+      }
+
+      const contentType = String(response.headers.get("content-type") || "");
+      if (contentType.includes("text/event-stream") && response.body) {
+        await readSseStream(response.body, (frame) => {
+          if (!frame.dataRaw) {
+            return false;
+          }
+          const parsed = this._parseJsonPayload(frame.dataRaw);
+          if (parsed) {
+            this._handleMessage(parsed);
+          }
+          return !this.pending.has(message.id);
+        });
+      } else {
+        const text = (await response.text()).trim();
+        if (text) {
+          const parsed = this._parseJsonPayload(text);
+          if (!parsed) {
+            throw new Error(`Unexpected MCP response format: ${text.slice(0, 200)}`);
+          }
+          this._handleMessage(parsed);
+        }
+      }
+
+      if (this.pending.has(message.id)) {
+        throw new Error(`MCP server sent no response to ${message.method}.`);
+      }
     } catch (err) {
       if (err && err.name === "AbortError") {
-        throw new Error(`MCP request timed out after ${this.timeoutMs}ms.`);
+        throw new Error(
+          signal && signal.aborted
+            ? "MCP request cancelled."
+            : `MCP request timed out after ${this.timeoutMs}ms.`
+        );
       }
       throw err;
     } finally {
       clearTimeout(timeoutHandle);
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
     }
-
-    const body = await response.text();
-    const returnedSessionId = response.headers.get("mcp-session-id");
-    if (returnedSessionId) {
-      this.sessionId = returnedSessionId;
-    }
-
-    if (!response.ok) {
-      throw new Error(`MCP HTTP ${response.status}: ${body.slice(0, 400)}`);
-    }
-
-    const parsed = this._parseMcpBody(body);
-    if (parsed && parsed.error) {
-      const message = parsed.error.message || "Unknown MCP error";
-      throw new Error(`MCP error: ${message}`);
-    }
-    return parsed;
   }
 
-  async initialize() {
-    if (this.initialized) {
-      return;
+  /**
+   * Rejects in-flight requests and ends the server session with DELETE. The
+   * returned promise always resolves; callers may ignore it.
+   */
+  dispose() {
+    const sessionId = this.sessionId;
+    const protocolVersion = this.protocolVersion;
+    this._rejectAll(new Error(`MCP server "${this.name || this.baseUrl}" client was disposed.`));
+    this._resetSession();
+    if (!sessionId || !this.baseUrl) {
+      return Promise.resolve();
     }
 
-    this._log(`initialize -> ${this.baseUrl}`);
-    await this._post(
-      {
-        jsonrpc: "2.0",
-        id: 1,
-        method: "initialize",
-        params: {
-          protocolVersion: "2024-11-05",
-          capabilities: {},
-          clientInfo: {
-            name: "joshgpt-vscode",
-            version: "0.0.1"
-          }
-        }
+    const controller = new AbortController();
+    const timeoutHandle = setTimeout(() => controller.abort(), this.timeoutMs);
+    return fetch(this.baseUrl, {
+      method: "DELETE",
+      headers: {
+        ...this.headers,
+        ...this.authHeaders,
+        "Mcp-Session-Id": sessionId,
+        "MCP-Protocol-Version": protocolVersion
       },
-      { allowWithoutSession: true }
-    );
-
-    try {
-      await this._post(
-        {
-          jsonrpc: "2.0",
-          method: "notifications/initialized",
-          params: {}
-        },
-        { allowWithoutSession: false }
-      );
-    } catch {
-      // Some servers ignore this notification path; keep compatibility.
-    }
-
-    this.initialized = true;
-  }
-
-  async listTools() {
-    await this.initialize();
-    const response = await this._post({
-      jsonrpc: "2.0",
-      id: 2,
-      method: "tools/list",
-      params: {}
-    });
-    const tools = response && response.result && Array.isArray(response.result.tools)
-      ? response.result.tools
-      : [];
-    this._log(`tools/list -> ${tools.length} tool(s)`);
-    return tools;
+      signal: controller.signal
+    })
+      .then(async (response) => {
+        await discardBody(response);
+        // 405 means the server does not support client-initiated termination.
+        this._log(`session ${sessionId} closed (HTTP ${response.status})`);
+      })
+      .catch((err) => {
+        this._log(`session close failed: ${err instanceof Error ? err.message : String(err)}`);
+      })
+      .finally(() => clearTimeout(timeoutHandle));
   }
+}
 
-  async callTool(name, args) {
-    await this.initialize();
-    this._log(`tools/call -> ${name}`);
-    const response = await this._post({
-      jsonrpc: "2.0",
-      id: Date.now(),
-      method: "tools/call",
-      params: {
-        name,
-        arguments: args || {}
-      }
-    });
-    return response && response.result ? response.result : {};
+async function discardBody(response) {
+  if (response.body) {
+    await response.body.cancel().catch(() => {});
   }
 }
 
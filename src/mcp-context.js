@@ -0,0 +1,191 @@
+"use strict";
+
+const vscode = require("vscode");
+const { createResourceAttachment } = require("./attachments");
+
+function reportFailures(output, failures, what) {
+  for (const failure of failures) {
+    output.appendLine(`[joshgpt] MCP ${failure.server} ${what} failed: ${failure.message}`);
+  }
+}
+
+// Variable names of an RFC 6570 template, e.g. "file:///{+path}{?rev}" -> path, rev.
+function templateVariables(template) {
+  const names = [];
+  for (const match of String(template || "").matchAll(/\{([+#./;?&]?)([^}]+)\}/g)) {
+    for (const raw of match[2].split(",")) {
+      const name = raw.replace(/[*]$|:\d+$/, "").trim();
+      if (name && !names.includes(name)) {
+        names.push(name);
+      }
+    }
+  }
+  return names;
+}
+
+// Simple and reserved (`+`) expansion plus query (`?`) expressions; enough
+// for the templates MCP servers publish in practice.
+function expandUriTemplate(template, values) {
+  return String(template || "").replace(/\{([+#./;?&]?)([^}]+)\}/g, (_, operator, body) => {
+    const names = body.split(",").map((raw) => raw.replace(/[*]$|:\d+$/, "").trim());
+    const encode = operator === "+" || operator === "#" ? encodeURI : encodeURIComponent;
+    if (operator === "?" || operator === "&") {
+      const pairs = names
+        .filter((name) => values[name])
+        .map((name) => `${name}=${encodeURIComponent(values[name])}`);
+      return pairs.length ? `${operator}${pairs.join("&")}` : "";
+    }
+    const expanded = names.map((name) => encode(values[name] || "")).join(",");
+    return operator && operator !== "+" ? `${operator}${expanded}` : expanded;
+  });
+}
+
+/**
+ * Quick pick over every resource and resource template the MCP servers
+ * expose. Templates ask for their variables; the chosen resource is read and
+ * returned as an attachment, or null when the user cancels.
+ */
+async function pickMcpResourceAttachment(router, { maxChars, output }) {
+  const [resources, templates] = await Promise.all([
+    router.listFromServers("listResources"),
+    router.listFromServers("listResourceTemplates")
+  ]);
+  reportFailures(output, resources.failures, "resources/list");
+  reportFailures(output, templates.failures, "resources/templates/list");
+
+  const items = [
+    ...resources.items.map((resource) => ({
+      label: resource.name || resource.uri,
+      description: `${resource.server} · ${resource.uri}`,
+      detail: resource.description || undefined,
+      resource
+    })),
+    ...templates.items.map((template) => ({
+      label: `$(symbol-parameter) ${template.name || template.uriTemplate}`,
+      description: `${template.server} · ${template.uriTemplate}`,
+      detail: template.description || undefined,
+      template
+    }))
+  ];
+  if (!items.length) {
+    const failed = resources.failures.length + templates.failures.length;
+    vscode.window.showInformationMessage(
+      failed
+        ? "JoshGPT: no MCP resources available (some servers failed; see the JoshGPT output)."
+        : "JoshGPT: the connected MCP servers expose no resources."
+    );
+    return null;
+  }
+
+  const picked = await vscode.window.showQuickPick(items, {
+    title: "Attach MCP resource",
+    placeHolder: "Resources and templates from the connected MCP servers",
+    matchOnDescription: true,
+    matchOnDetail: true
+  });
+  if (!picked) {
+    return null;
+  }
+
+  let server;
+  let uri;
+  let mimeType;
+  if (picked.template) {
+    const values = {};
+    for (const name of templateVariables(picked.template.uriTemplate)) {
+      const value = await vscode.window.showInputBox({
+        title: picked.template.name || picked.template.uriTemplate,
+        prompt: `Value for {${name}} in ${picked.template.uriTemplate}`,
+        ignoreFocusOut: true
+      });
+      if (value === undefined) {
+        return null;
+      }
+      values[name] = value;
+    }
+    server = picked.template.server;
+    uri = expandUriTemplate(picked.template.uriTemplate, values);
+    mimeType = picked.template.mimeType;
+  } else {
+    server = picked.resource.server;
+    uri = picked.resource.uri;
+    mimeType = picked.resource.mimeType;
+  }
+
+  const contents = await router.readResource(server, uri);
+  return createResourceAttachment({ server, uri, mimeType, contents, maxChars });
+}
+
+/**
+ * Asks for each declared prompt argument. Returns null when the user
+ * cancels; required arguments must not be left empty.
+ */
+async function collectPromptArguments(prompt) {
+  const values = {};
+  for (const argument of Array.isArray(prompt.arguments) ? prompt.arguments : []) {
+    if (!argument || !argument.name) {
+      continue;
+    }
+    const value = await vscode.window.showInputBox({
+      title: `/${prompt.name}`,
+      prompt: argument.description || argument.name,
+      placeHolder: argument.required ? `${argument.name} (required)` : `${argument.name} (optional)`,
+      ignoreFocusOut: true,
+      validateInput: (text) =>
+        argument.required && !String(text).trim() ? `${argument.name} is required.` : null
+    });
+    if (value === undefined) {
+      return null;
+    }
+    if (value !== "") {
+      values[argument.name] = value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Flattens `prompts/get` messages into composer text. Text from non-user
+ * messages is labelled with its role; embedded resources become
+ * attachments.
+ */
+function promptToComposer(messages, { server, maxChars }) {
+  const parts = [];
+  const attachments = [];
+  for (const message of Array.isArray(messages) ? messages : []) {
+    const role = String((message && message.role) || "user");
+    const contents = Array.isArray(message && message.content)
+      ? message.content
+      : [message && message.content];
+    for (const content of contents) {
+      if (!content || typeof content !== "object") {
+        continue;
+      }
+      if (content.type === "text") {
+        const label = role === "user" ? "" : `${role[0].toUpperCase()}${role.slice(1)}: `;
+        parts.push(`${label}${content.text}`);
+      } else if (content.type === "resource" && content.resource) {
+        attachments.push(
+          createResourceAttachment({
+            server,
+            uri: String(content.resource.uri || ""),
+            mimeType: content.resource.mimeType,
+            contents: [content.resource],
+            maxChars
+          })
+        );
+      } else {
+        parts.push(`[${content.type || "unknown"} content omitted]`);
+      }
+    }
+  }
+  return { text: parts.join("\n\n"), attachments };
+}
+
+module.exports = {
+  templateVariables,
+  expandUriTemplate,
+  pickMcpResourceAttachment,
+  collectPromptArguments,
+  promptToComposer
+};
@@ -0,0 +1,275 @@
+"use strict";
+
+const { PROTOCOL_VERSION, isConnectError } = require("./mcp-jsonrpc");
+const {
+  MCP_TOOL_SEPARATOR,
+  createMcpClient,
+  describeServerTarget,
+  isServerUsable
+} = require("./mcp-registry");
+
+// OpenAI-compatible servers reject function names outside this pattern.
+const FUNCTION_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function errorMessage(err) {
+  return err instanceof Error ? err.message : String(err);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Structural checks on one `tools/list` entry as the model will see it.
+ * Returns `{ errors, warnings }`; a tool with errors is likely to be rejected
+ * by the chat endpoint or called with unusable arguments.
+ */
+function checkToolDefinition(tool, exposedName) {
+  const errors = [];
+  const warnings = [];
+  if (!FUNCTION_NAME_PATTERN.test(exposedName)) {
+    errors.push(`name "${exposedName}" is not a valid function name (letters, digits, _ and -, at most 64)`);
+  }
+  if (!String(tool.description || "").trim()) {
+    warnings.push("no description");
+  }
+
+  const schema = tool.inputSchema;
+  if (schema === undefined) {
+    errors.push("inputSchema is missing");
+    return { errors, warnings };
+  }
+  if (!isPlainObject(schema)) {
+    errors.push("inputSchema is not an object");
+    return { errors, warnings };
+  }
+  if (schema.type === undefined) {
+    errors.push('inputSchema.type is missing, expected "object"');
+  } else if (schema.type !== "object") {
+    errors.push(`inputSchema.type is ${JSON.stringify(schema.type)}, expected "object"`);
+  }
+
+  const properties = schema.properties === undefined ? {} : schema.properties;
+  if (!isPlainObject(properties)) {
+    errors.push("inputSchema.properties is not an object");
+  } else {
+    for (const [key, value] of Object.entries(properties)) {
+      if (!isPlainObject(value) && typeof value !== "boolean") {
+        errors.push(`property "${key}" has no schema object`);
+      }
+    }
+  }
+
+  if (schema.required !== undefined) {
+    if (!Array.isArray(schema.required) || schema.required.some((key) => typeof key !== "string")) {
+      errors.push("inputSchema.required is not a list of property names");
+    } else if (isPlainObject(properties)) {
+      for (const key of schema.required) {
+        if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+          errors.push(`required property "${key}" is not declared`);
+        }
+      }
+    }
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Runs initialize, ping and tools/list against one server with a fresh
+ * client, so the pooled sessions used by chat are left alone. `stage` names
+ * the step that failed: connect, initialize or list. A failed ping is only
+ * recorded; not every server implements it.
+ */
+async function diagnoseServer(server, { timeoutMs, output, signal, auth }) {
+  const report = {
+    name: server.name,
+    transport: server.transport,
+    target: describeServerTarget(server) || "",
+    enabled: Boolean(server.enabled),
+    ok: false,
+    stage: "",
+    error: "",
+    protocolVersion: "",
+    serverInfo: null,
+    capabilities: {},
+    sessionId: "",
+    timings: {},
+    pingError: "",
+    tools: []
+  };
+  if (!isServerUsable(server)) {
+    report.stage = server.enabled ? "connect" : "";
+    report.error = server.enabled
+      ? `No ${server.transport === "stdio" ? "command" : "URL"} configured.`
+      : "";
+    return report;
+  }
+
+  const client = createMcpClient(server, { timeoutMs, output, auth });
+  try {
+    let started = Date.now();
+    try {
+      await client.initialize({ signal });
+    } catch (err) {
+      report.stage = isConnectError(err) ? "connect" : "initialize";
+      report.error = errorMessage(err);
+      return report;
+    }
+    report.timings.initializeMs = Date.now() - started;
+    report.protocolVersion = client.protocolVersion;
+    report.serverInfo = client.serverInfo;
+    report.capabilities = client.serverCapabilities || {};
+    report.sessionId = client.sessionId || "";
+
+    try {
+      report.timings.pingMs = await client.ping({ signal });
+    } catch (err) {
+      report.pingError = errorMessage(err);
+    }
+
+    let tools;
+    started = Date.now();
+    try {
+      tools = await client.listTools({ signal });
+    } catch (err) {
+      report.stage = "list";
+      report.error = errorMessage(err);
+      return report;
+    }
+    report.timings.listMs = Date.now() - started;
+    report.tools = tools
+      .filter((tool) => tool && tool.name)
+      .map((tool) => {
+        const name = server.namespaced
+          ? `${server.name}${MCP_TOOL_SEPARATOR}${tool.name}`
+          : String(tool.name);
+        return { name, ...checkToolDefinition(tool, name) };
+      });
+    report.ok = true;
+    return report;
+  } finally {
+    await client.dispose();
+  }
+}
+
+/**
+ * Diagnoses every configured server (disabled ones are listed but not
+ * contacted). Servers are checked in parallel; the result keeps their order.
+ */
+async function diagnoseMcpServers(
+  servers,
+  { timeoutMs = 15000, output = null, signal = null, auth = null } = {}
+) {
+  const list = Array.isArray(servers) ? servers : [];
+  return Promise.all(list.map((server) => diagnoseServer(server, { timeoutMs, output, signal, auth })));
+}
+
+function describeCapabilities(capabilities) {
+  const names = Object.keys(capabilities || {});
+  if (!names.length) {
+    return "none";
+  }
+  return names
+    .map((name) => {
+      const value = capabilities[name];
+      const flags = isPlainObject(value)
+        ? Object.keys(value).filter((flag) => value[flag] === true)
+        : [];
+      return flags.length ? `${name} (${flags.join(", ")})` : name;
+    })
+    .join(", ");
+}
+
+function formatTimings(report) {
+  const parts = [];
+  if (report.timings.initializeMs !== undefined) {
+    parts.push(`initialize ${report.timings.initializeMs} ms`);
+  }
+  if (report.timings.pingMs !== undefined) {
+    parts.push(`ping ${report.timings.pingMs} ms`);
+  } else if (report.pingError) {
+    parts.push(`ping failed (${report.pingError})`);
+  }
+  if (report.timings.listMs !== undefined) {
+    parts.push(`tools/list ${report.timings.listMs} ms`);
+  }
+  return parts.join(", ");
+}
+
+function tableCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function formatServerSection(report) {
+  const lines = [`## ${report.name} (${report.transport})`, ""];
+  lines.push(`- Target: \`${report.target || "<none>"}\``);
+  if (!report.enabled) {
+    lines.push("- Status: disabled (`enabled: false`)");
+    return lines;
+  }
+  lines.push(
+    report.ok ? "- Status: connected" : `- Status: failed at **${report.stage}**: ${report.error}`
+  );
+  if (report.serverInfo) {
+    const info = report.serverInfo;
+    lines.push(`- Server: ${[info.name, info.version].filter(Boolean).join(" ") || "<unnamed>"}`);
+  }
+  if (report.protocolVersion) {
+    lines.push(`- Protocol version: ${report.protocolVersion} (requested ${PROTOCOL_VERSION})`);
+    lines.push(`- Capabilities: ${describeCapabilities(report.capabilities)}`);
+  }
+  if (report.transport === "http" && report.protocolVersion) {
+    lines.push(`- Session id: ${report.sessionId ? `\`${report.sessionId}\`` : "none (stateless server)"}`);
+  }
+  const timings = formatTimings(report);
+  if (timings) {
+    lines.push(`- Latency: ${timings}`);
+  }
+  if (!report.ok) {
+    return lines;
+  }
+
+  const invalid = report.tools.filter((tool) => tool.errors.length).length;
+  lines.push(
+    `- Tools: ${report.tools.length}${invalid ? ` (${invalid} with schema problems)` : ""}`
+  );
+  if (report.tools.length) {
+    lines.push("", "| Tool | Schema | Notes |", "| --- | --- | --- |");
+    for (const tool of report.tools) {
+      const notes = [...tool.errors, ...tool.warnings].join("; ");
+      lines.push(
+        `| \`${tableCell(tool.name)}\` | ${tool.errors.length ? "invalid" : "valid"} | ${tableCell(notes)} |`
+      );
+    }
+  }
+  return lines;
+}
+
+/**
+ * Markdown report for `JoshGPT: MCP Status`.
+ */
+function formatDiagnosticsReport(reports, { generatedAt = new Date() } = {}) {
+  const enabled = reports.filter((report) => report.enabled);
+  const connected = reports.filter((report) => report.ok);
+  const lines = [
+    "# JoshGPT MCP diagnostics",
+    "",
+    `- Generated: ${generatedAt.toISOString()}`,
+    `- Client protocol version: ${PROTOCOL_VERSION}`,
+    `- Servers: ${connected.length}/${enabled.length} enabled server(s) connected` +
+      (reports.length > enabled.length ? `, ${reports.length - enabled.length} disabled` : "")
+  ];
+  if (!reports.length) {
+    lines.push("", "No MCP servers configured: set `joshgpt.mcp.servers` or `joshgpt.mcp.baseUrl`.");
+  }
+  for (const report of reports) {
+    lines.push("", ...formatServerSection(report));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  checkToolDefinition,
+  diagnoseMcpServers,
+  formatDiagnosticsReport
+};
@@ -0,0 +1,418 @@
+"use strict";
+
+const PROTOCOL_VERSION = "2024-11-05";
+const CLIENT_INFO = {
+  name: "joshgpt-vscode",
+  version: "0.0.1"
+};
+const SESSION_EXPIRED = "MCP_SESSION_EXPIRED";
+const CONNECT_FAILED = "MCP_CONNECT_FAILED";
+// Guards against servers that keep returning a cursor.
+const MAX_LIST_PAGES = 20;
+
+function sessionExpiredError(message) {
+  const err = new Error(message);
+  err.code = SESSION_EXPIRED;
+  return err;
+}
+
+// The server could not be reached at all (refused, DNS, spawn failure), as
+// opposed to reaching it and getting an error back.
+function connectError(message) {
+  const err = new Error(message);
+  err.code = CONNECT_FAILED;
+  return err;
+}
+
+function isConnectError(err) {
+  return Boolean(err && err.code === CONNECT_FAILED);
+}
+
+/**
+ * JSON-RPC session shared by the MCP transports. Requests get monotonic ids
+ * and are matched to responses through `pending`; progress notifications are
+ * routed by token and `tools/list_changed` drops the cached tool list.
+ *
+ * Subclasses implement `_transmit(message, { signal })`, which delivers one
+ * outgoing message and feeds whatever the server sends back (responses,
+ * notifications, server requests) into `_handleMessage`.
+ */
+class McpJsonRpcClient {
+  constructor({ name = "", timeoutMs = 15000, output = null }) {
+    this.name = String(name || "");
+    this.timeoutMs = Number.isFinite(timeoutMs) ? timeoutMs : 15000;
+    this.output = output;
+    this.nextId = 0;
+    this.pending = new Map();
+    this.progressHandlers = new Map();
+    this.initialized = false;
+    this.initializing = null;
+    this.protocolVersion = PROTOCOL_VERSION;
+    this.serverCapabilities = {};
+    this.serverInfo = null;
+    this.cachedTools = null;
+  }
+
+  _log(message) {
+    if (this.output && typeof this.output.appendLine === "function") {
+      const prefix = this.name ? `[joshgpt:mcp:${this.name}]` : "[joshgpt:mcp]";
+      this.output.appendLine(`${prefix} ${message}`);
+    }
+  }
+
+  _transmit() {
+    throw new Error("MCP transport does not implement _transmit.");
+  }
+
+  _rejectAll(err) {
+    for (const entry of [...this.pending.values()]) {
+      entry.reject(err);
+    }
+    this.pending.clear();
+    this.progressHandlers.clear();
+  }
+
+  // Forgets the negotiated session so the next request initializes again.
+  _resetSession() {
+    this.initialized = false;
+    this.initializing = null;
+    this.serverCapabilities = {};
+    this.serverInfo = null;
+    this.cachedTools = null;
+  }
+
+  _handleMessage(message) {
+    if (Array.isArray(message)) {
+      message.forEach((item) => this._handleMessage(item));
+      return;
+    }
+    if (!message || typeof message !== "object") {
+      return;
+    }
+    const hasId = Object.prototype.hasOwnProperty.call(message, "id");
+    if (message.method && hasId) {
+      this._answerServerRequest(message);
+      return;
+    }
+    if (message.method) {
+      this._handleNotification(message);
+      return;
+    }
+    if (!hasId) {
+      return;
+    }
+
+    const entry = this.pending.get(message.id);
+    if (!entry) {
+      return;
+    }
+    if (message.error) {
+      entry.reject(new Error(`MCP error: ${message.error.message || "Unknown MCP error"}`));
+    } else {
+      entry.resolve(message);
+    }
+  }
+
+  _handleNotification(message) {
+    const params = message.params || {};
+    switch (message.method) {
+      case "notifications/progress": {
+        const handler = this.progressHandlers.get(params.progressToken);
+        if (handler) {
+          handler(params);
+        }
+        break;
+      }
+      case "notifications/tools/list_changed":
+        this._log("tools/list_changed");
+        this.cachedTools = null;
+        break;
+      case "notifications/message":
+        this._log(`server ${params.level || "info"}: ${formatLogData(params.data)}`);
+        break;
+      default:
+        break;
+    }
+  }
+
+  _answerServerRequest(message) {
+    const reply =
+      message.method === "ping"
+        ? { jsonrpc: "2.0", id: message.id, result: {} }
+        : {
+            jsonrpc: "2.0",
+            id: message.id,
+            error: { code: -32601, message: `Method not supported by client: ${message.method}` }
+          };
+    Promise.resolve()
+      .then(() => this._transmit(reply, {}))
+      .catch((err) => {
+        this._log(`reply to ${message.method} failed: ${err instanceof Error ? err.message : String(err)}`);
+      });
+  }
+
+  async _notify(method, params = {}, { signal = null } = {}) {
+    await this._transmit({ jsonrpc: "2.0", method, params }, { signal });
+  }
+
+  /**
+   * Sends one request and resolves with the full response message. The
+   * timeout restarts on every progress notification for the request.
+   */
+  _request(method, params = {}, { signal = null, onProgress = null } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new Error("MCP request cancelled."));
+    }
+    this.nextId += 1;
+    const id = this.nextId;
+    const message = { jsonrpc: "2.0", id, method, params: params || {} };
+    const progressToken = typeof onProgress === "function" ? `${this.name || "mcp"}-${id}` : null;
+    if (progressToken !== null) {
+      message.params = {
+        ...message.params,
+        _meta: { ...(message.params._meta || {}), progressToken }
+      };
+    }
+    // Aborts the transport's own work (e.g. the HTTP fetch) for this request.
+    const transportController = new AbortController();
+
+    return new Promise((resolve, reject) => {
+      let timeoutHandle = null;
+      const finish = (err, response, { cancelled = false } = {}) => {
+        if (!this.pending.has(id)) {
+          return;
+        }
+        this.pending.delete(id);
+        if (progressToken !== null) {
+          this.progressHandlers.delete(progressToken);
+        }
+        clearTimeout(timeoutHandle);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        if (cancelled) {
+          this._notify("notifications/cancelled", { requestId: id, reason: err.message }).catch(() => {
+            // Server already gone; nothing to cancel.
+          });
+          transportController.abort();
+        }
+        if (err) {
+          reject(err);
+        } else {
+          resolve(response);
+        }
+      };
+      const armTimeout = () => {
+        clearTimeout(timeoutHandle);
+        timeoutHandle = setTimeout(
+          () =>
+            finish(new Error(`MCP request timed out after ${this.timeoutMs}ms.`), null, {
+              cancelled: true
+            }),
+          this.timeoutMs
+        );
+      };
+      const onAbort = () => finish(new Error("MCP request cancelled."), null, { cancelled: true });
+
+      this.pending.set(id, {
+        method,
+        resolve: (response) => finish(null, response),
+        reject: (err) => finish(err)
+      });
+      if (progressToken !== null) {
+        this.progressHandlers.set(progressToken, (progress) => {
+          armTimeout();
+          try {
+            onProgress(progress);
+          } catch {
+            // Progress listeners must not break the request.
+          }
+        });
+      }
+      armTimeout();
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+
+      Promise.resolve()
+        .then(() => this._transmit(message, { signal: transportController.signal }))
+        .catch((err) => finish(err));
+    });
+  }
+
+  async initialize({ signal = null } = {}) {
+    if (this.initialized) {
+      return;
+    }
+    if (!this.initializing) {
+      this.initializing = (async () => {
+        this._log(`initialize -> ${this.describeTarget()}`);
+        const response = await this._request(
+          "initialize",
+          {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: CLIENT_INFO
+          },
+          { signal }
+        );
+        const result = (response && response.result) || {};
+        this.protocolVersion = String(result.protocolVersion || PROTOCOL_VERSION);
+        this.serverCapabilities = result.capabilities || {};
+        this.serverInfo = result.serverInfo || null;
+        try {
+          await this._notify("notifications/initialized", {}, { signal });
+        } catch {
+          // Some servers ignore this notification path; keep compatibility.
+        }
+        this.initialized = true;
+      })().finally(() => {
+        this.initializing = null;
+      });
+    }
+    await this.initializing;
+  }
+
+  describeTarget() {
+    return this.name || "server";
+  }
+
+  /**
+   * Initializes on demand and retries once with a fresh session when the
+   * transport reports the previous one as expired.
+   */
+  async _call(method, params, options = {}) {
+    await this.initialize({ signal: options.signal || null });
+    try {
+      return await this._request(method, params, options);
+    } catch (err) {
+      if (!err || err.code !== SESSION_EXPIRED) {
+        throw err;
+      }
+      this._log(`session expired; re-initializing for ${method}`);
+      this._resetSession();
+      await this.initialize({ signal: options.signal || null });
+      return this._request(method, params, options);
+    }
+  }
+
+  // Resolves with the round-trip time of a `ping` request in milliseconds.
+  async ping({ signal = null } = {}) {
+    await this.initialize({ signal });
+    const started = Date.now();
+    await this._call("ping", {}, { signal });
+    return Date.now() - started;
+  }
+
+  async listTools({ signal = null } = {}) {
+    if (this.cachedTools && this.initialized) {
+      return this.cachedTools;
+    }
+    const response = await this._call("tools/list", {}, { signal });
+    const tools = response && response.result && Array.isArray(response.result.tools)
+      ? response.result.tools
+      : [];
+    this._log(`tools/list -> ${tools.length} tool(s)`);
+    // Only servers that announce list changes can be trusted to invalidate.
+    const capabilities = this.serverCapabilities.tools || {};
+    this.cachedTools = capabilities.listChanged ? tools : null;
+    return tools;
+  }
+
+  // Capabilities are only known after initialize; callers initialize first.
+  _supports(capability) {
+    return Boolean(this.serverCapabilities && this.serverCapabilities[capability]);
+  }
+
+  // Follows `nextCursor` for the paginated list methods.
+  async _listAll(method, key, { signal = null } = {}) {
+    const items = [];
+    let cursor;
+    for (let page = 0; page < MAX_LIST_PAGES; page += 1) {
+      const response = await this._call(method, cursor ? { cursor } : {}, { signal });
+      const result = (response && response.result) || {};
+      if (Array.isArray(result[key])) {
+        items.push(...result[key]);
+      }
+      cursor = result.nextCursor;
+      if (!cursor) {
+        break;
+      }
+    }
+    this._log(`${method} -> ${items.length} item(s)`);
+    return items;
+  }
+
+  async listResources({ signal = null } = {}) {
+    await this.initialize({ signal });
+    return this._supports("resources") ? this._listAll("resources/list", "resources", { signal }) : [];
+  }
+
+  async listResourceTemplates({ signal = null } = {}) {
+    await this.initialize({ signal });
+    return this._supports("resources")
+      ? this._listAll("resources/templates/list", "resourceTemplates", { signal })
+      : [];
+  }
+
+  async readResource(uri, { signal = null } = {}) {
+    this._log(`resources/read -> ${uri}`);
+    const response = await this._call("resources/read", { uri }, { signal });
+    const result = (response && response.result) || {};
+    return Array.isArray(result.contents) ? result.contents : [];
+  }
+
+  async listPrompts({ signal = null } = {}) {
+    await this.initialize({ signal });
+    return this._supports("prompts") ? this._listAll("prompts/list", "prompts", { signal }) : [];
+  }
+
+  async getPrompt(name, args, { signal = null } = {}) {
+    this._log(`prompts/get -> ${name}`);
+    const response = await this._call(
+      "prompts/get",
+      {
+        name,
+        arguments: args || {}
+      },
+      { signal }
+    );
+    const result = (response && response.result) || {};
+    return {
+      description: String(result.description || ""),
+      messages: Array.isArray(result.messages) ? result.messages : []
+    };
+  }
+
+  async callTool(name, args, { signal = null, onProgress = null } = {}) {
+    this._log(`tools/call -> ${name}`);
+    const response = await this._call(
+      "tools/call",
+      {
+        name,
+        arguments: args || {}
+      },
+      { signal, onProgress }
+    );
+    return response && response.result ? response.result : {};
+  }
+}
+
+function formatLogData(data) {
+  if (typeof data === "string") {
+    return data.slice(0, 2000);
+  }
+  try {
+    return JSON.stringify(data).slice(0, 2000);
+  } catch {
+    return String(data);
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  McpJsonRpcClient,
+  sessionExpiredError,
+  connectError,
+  isConnectError
+};
@@ -0,0 +1,377 @@
+"use strict";
+
+const { McpHttpClient } = require("./mcp-client");
+const { McpStdioClient } = require("./mcp-stdio-client");
+
+const MCP_TOOL_SEPARATOR = "__";
+const LEGACY_SERVER_NAME = "default";
+
+function sanitizeServerName(value) {
+  const cleaned = String(value || "")
+    .trim()
+    .replace(/[^A-Za-z0-9_-]+/g, "_")
+    .replace(/_{2,}/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return cleaned || "server";
+}
+
+function normalizeStringMap(raw) {
+  const map = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return map;
+  }
+  for (const [key, value] of Object.entries(raw)) {
+    const name = String(key || "").trim();
+    if (name && value !== undefined && value !== null) {
+      map[name] = String(value);
+    }
+  }
+  return map;
+}
+
+// `oauth` on an HTTP server entry: an optional pre-registered client id and
+// scopes. Without a client id, sign-in registers a client dynamically.
+function normalizeOAuth(raw) {
+  const value = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  return {
+    clientId: String(value.clientId || "").trim(),
+    scopes: Array.isArray(value.scopes)
+      ? value.scopes.map((scope) => String(scope || "").trim()).filter(Boolean)
+      : []
+  };
+}
+
+/**
+ * Builds the server list from `joshgpt.mcp.servers`. When that list is empty
+ * the legacy `joshgpt.mcp.baseUrl` becomes a single server whose tools keep
+ * their bare names; servers from the list always get `<name>__` prefixes.
+ */
+function resolveMcpServers(rawServers, legacyBaseUrl) {
+  const list = Array.isArray(rawServers) ? rawServers : [];
+  if (!list.length) {
+    const url = String(legacyBaseUrl || "").trim();
+    return url
+      ? [
+          {
+            name: LEGACY_SERVER_NAME,
+            transport: "http",
+            url,
+            headers: {},
+            oauth: normalizeOAuth(null),
+            enabled: true,
+            namespaced: false
+          }
+        ]
+      : [];
+  }
+
+  const used = new Set();
+  return list
+    .filter((raw) => raw && typeof raw === "object")
+    .map((raw, index) => {
+      const base = sanitizeServerName(raw.name || `server${index + 1}`);
+      let name = base;
+      for (let suffix = 2; used.has(name); suffix += 1) {
+        name = `${base}_${suffix}`;
+      }
+      used.add(name);
+      const enabled = raw.enabled !== false;
+      if (raw.transport === "stdio" || (!raw.transport && raw.command)) {
+        return {
+          name,
+          transport: "stdio",
+          command: String(raw.command || "").trim(),
+          args: Array.isArray(raw.args) ? raw.args.map((arg) => String(arg)) : [],
+          env: normalizeStringMap(raw.env),
+          cwd: String(raw.cwd || "").trim(),
+          enabled,
+          namespaced: true
+        };
+      }
+      return {
+        name,
+        transport: "http",
+        url: String(raw.url || raw.baseUrl || "").trim().replace(/\/+$/, ""),
+        headers: normalizeStringMap(raw.headers),
+        oauth: normalizeOAuth(raw.oauth),
+        enabled,
+        namespaced: true
+      };
+    });
+}
+
+/**
+ * Matches an exposed tool name against a settings pattern: an exact name, or
+ * a pattern with `*` wildcards such as `docs__*`.
+ */
+function matchToolPattern(pattern, name) {
+  const text = String(pattern || "");
+  if (!text.includes("*")) {
+    return text === name;
+  }
+  const source = text
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`).test(String(name));
+}
+
+function describeServerTarget(server) {
+  return server.transport === "stdio"
+    ? [server.command, ...server.args].join(" ")
+    : server.url;
+}
+
+function isServerUsable(server) {
+  return Boolean(server.enabled && (server.transport === "stdio" ? server.command : server.url));
+}
+
+/**
+ * `auth` is an optional `(server) => McpAuth | null` resolver
+ * (mcp-auth.js `createMcpAuthRegistry`); only HTTP clients use it.
+ */
+function createMcpClient(server, { timeoutMs, output, auth = null }) {
+  if (server.transport === "stdio") {
+    return new McpStdioClient({
+      name: server.name,
+      command: server.command,
+      args: server.args,
+      env: server.env,
+      cwd: server.cwd,
+      timeoutMs,
+      output
+    });
+  }
+  return new McpHttpClient({
+    name: server.name,
+    baseUrl: server.url,
+    headers: server.headers,
+    auth: auth ? auth(server) : null,
+    timeoutMs,
+    output
+  });
+}
+
+/**
+ * Keeps MCP clients alive across prompts so stdio servers are spawned once
+ * and HTTP sessions are reused. A client is replaced when its server entry
+ * (or the timeout) changes.
+ */
+class McpClientPool {
+  constructor({ output = null, auth = null } = {}) {
+    this.output = output;
+    this.auth = auth;
+    this.entries = new Map();
+  }
+
+  acquire(server, { timeoutMs }) {
+    const signature = JSON.stringify({ ...server, timeoutMs });
+    const existing = this.entries.get(server.name);
+    if (existing && existing.signature === signature) {
+      return existing.client;
+    }
+    if (existing) {
+      disposeClient(existing.client);
+    }
+    const client = createMcpClient(server, { timeoutMs, output: this.output, auth: this.auth });
+    this.entries.set(server.name, { signature, client });
+    return client;
+  }
+
+  // Drops clients whose server is no longer configured.
+  retain(servers) {
+    const names = new Set(servers.map((server) => server.name));
+    for (const [name, entry] of this.entries) {
+      if (!names.has(name)) {
+        disposeClient(entry.client);
+        this.entries.delete(name);
+      }
+    }
+  }
+
+  dispose() {
+    for (const entry of this.entries.values()) {
+      disposeClient(entry.client);
+    }
+    this.entries.clear();
+  }
+}
+
+function disposeClient(client) {
+  if (client && typeof client.dispose === "function") {
+    client.dispose();
+  }
+}
+
+/**
+ * Fans `tools/list` out to every enabled server and routes `tools/call` back
+ * to the server that advertised the (possibly namespaced) tool name.
+ */
+class McpToolRouter {
+  constructor({ servers, timeoutMs = 15000, output = null, pool = null, readOnlyTools = [] }) {
+    const all = Array.isArray(servers) ? servers : [];
+    this.servers = all.filter(isServerUsable);
+    this.timeoutMs = timeoutMs;
+    this.readOnlyTools = Array.isArray(readOnlyTools) ? readOnlyTools : [];
+    this.output = output;
+    this.pool = pool;
+    this.clients = new Map();
+    this.routes = new Map();
+    if (pool) {
+      pool.retain(all);
+    }
+  }
+
+  _client(server) {
+    if (this.pool) {
+      return this.pool.acquire(server, { timeoutMs: this.timeoutMs });
+    }
+    if (!this.clients.has(server.name)) {
+      this.clients.set(
+        server.name,
+        createMcpClient(server, { timeoutMs: this.timeoutMs, output: this.output })
+      );
+    }
+    return this.clients.get(server.name);
+  }
+
+  /**
+   * Returns `{ tools, failures }`. `tools` carry the exposed `name` plus the
+   * owning `server` and `originalName`; a failing server only lands in
+   * `failures` so the others stay usable. Tools rejected by `include` are
+   * neither returned nor callable.
+   */
+  async listTools({ signal = null, include = null } = {}) {
+    const results = await Promise.allSettled(
+      this.servers.map((server) => this._client(server).listTools({ signal }))
+    );
+
+    this.routes.clear();
+    const tools = [];
+    const failures = [];
+    results.forEach((result, index) => {
+      const server = this.servers[index];
+      if (result.status === "rejected") {
+        const err = result.reason;
+        failures.push({
+          server: server.name,
+          message: err instanceof Error ? err.message : String(err)
+        });
+        return;
+      }
+      for (const tool of result.value) {
+        if (!tool || !tool.name) {
+          continue;
+        }
+        const originalName = String(tool.name);
+        const name = server.namespaced
+          ? `${server.name}${MCP_TOOL_SEPARATOR}${originalName}`
+          : originalName;
+        const entry = { ...tool, name, originalName, server: server.name };
+        if (this.routes.has(name) || (include && !include(entry))) {
+          continue;
+        }
+        // Only an explicit `readOnlyHint` (or a `joshgpt.mcp.readOnlyTools`
+        // entry) counts; the MCP default is "may write".
+        const readOnly =
+          Boolean(tool.annotations && tool.annotations.readOnlyHint === true) ||
+          this.readOnlyTools.some((pattern) => matchToolPattern(pattern, name));
+        this.routes.set(name, { server, originalName, readOnly });
+        tools.push(entry);
+      }
+    });
+    return { tools, failures };
+  }
+
+  has(name) {
+    return this.routes.has(name);
+  }
+
+  isReadOnly(name) {
+    const route = this.routes.get(name);
+    return Boolean(route && route.readOnly);
+  }
+
+  serverOf(name) {
+    const route = this.routes.get(name);
+    return route ? route.server.name : "";
+  }
+
+  originalNameOf(name) {
+    const route = this.routes.get(name);
+    return route ? route.originalName : "";
+  }
+
+  /**
+   * Runs a list method (`listResources`, `listResourceTemplates`,
+   * `listPrompts`) on every server. Items are tagged with their `server`;
+   * failures are collected per server as in `listTools`.
+   */
+  async listFromServers(method, { signal = null } = {}) {
+    const results = await Promise.allSettled(
+      this.servers.map((server) => this._client(server)[method]({ signal }))
+    );
+    const items = [];
+    const failures = [];
+    results.forEach((result, index) => {
+      const server = this.servers[index];
+      if (result.status === "rejected") {
+        const err = result.reason;
+        failures.push({
+          server: server.name,
+          message: err instanceof Error ? err.message : String(err)
+        });
+        return;
+      }
+      for (const item of result.value) {
+        if (item && typeof item === "object") {
+          items.push({ ...item, server: server.name, namespaced: server.namespaced });
+        }
+      }
+    });
+    return { items, failures };
+  }
+
+  _serverNamed(name) {
+    const server = this.servers.find((candidate) => candidate.name === name);
+    if (!server) {
+      throw new Error(`MCP server is not configured or disabled: ${name}`);
+    }
+    return server;
+  }
+
+  async readResource(serverName, uri, { signal = null } = {}) {
+    return this._client(this._serverNamed(serverName)).readResource(uri, { signal });
+  }
+
+  async getPrompt(serverName, name, args, { signal = null } = {}) {
+    return this._client(this._serverNamed(serverName)).getPrompt(name, args, { signal });
+  }
+
+  async callTool(name, args, { signal = null, onProgress = null } = {}) {
+    const route = this.routes.get(name);
+    if (!route) {
+      throw new Error(`No MCP server provides tool: ${name}`);
+    }
+    return this._client(route.server).callTool(route.originalName, args, { signal, onProgress });
+  }
+
+  // Only clients the router created itself; pooled clients outlive it.
+  dispose() {
+    for (const client of this.clients.values()) {
+      disposeClient(client);
+    }
+    this.clients.clear();
+  }
+}
+
+module.exports = {
+  MCP_TOOL_SEPARATOR,
+  resolveMcpServers,
+  matchToolPattern,
+  describeServerTarget,
+  isServerUsable,
+  createMcpClient,
+  McpClientPool,
+  McpToolRouter
+};
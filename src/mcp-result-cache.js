@@ -0,0 +1,93 @@
+"use strict";
+
+const { matchToolPattern } = require("./mcp-registry");
+
+const DEFAULT_TTL_SECONDS = 300;
+// Oldest entries are dropped beyond this, so a long session cannot grow unbounded.
+const MAX_ENTRIES = 200;
+
+// JSON with object keys sorted at every level, so {a, b} and {b, a} share a key.
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Seconds a result of `toolName` (the exposed name) stays fresh: the first
+ * matching entry of `toolTtlSeconds` (exact names before `*` patterns), else
+ * `ttlSeconds`. 0 turns caching off for that tool.
+ */
+function resolveTtlSeconds(toolName, { ttlSeconds = DEFAULT_TTL_SECONDS, toolTtlSeconds = {} } = {}) {
+  const overrides = toolTtlSeconds && typeof toolTtlSeconds === "object" ? toolTtlSeconds : {};
+  const patterns = Object.keys(overrides).sort(
+    (a, b) => Number(a.includes("*")) - Number(b.includes("*"))
+  );
+  const match = patterns.find((pattern) => matchToolPattern(pattern, toolName));
+  const seconds = Number(match === undefined ? ttlSeconds : overrides[match]);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+}
+
+/**
+ * In-memory `tools/call` results for one chat session, keyed by server, tool
+ * and canonical arguments. Only results of read-only tools are stored.
+ */
+class McpResultCache {
+  constructor({ maxEntries = MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  static key(server, toolName, args) {
+    return `${server}\u0000${toolName}\u0000${canonicalJson(args || {})}`;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Returns `{ result, ageMs }` for a fresh entry, or null. Expired entries
+   * are dropped on lookup.
+   */
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return { result: entry.result, ageMs: now - entry.storedAt };
+  }
+
+  set(key, result, ttlSeconds, now = Date.now()) {
+    if (!(ttlSeconds > 0)) {
+      return;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, { result, storedAt: now, expiresAt: now + ttlSeconds * 1000 });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = {
+  canonicalJson,
+  resolveTtlSeconds,
+  McpResultCache
+};
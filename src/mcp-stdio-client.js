@@ -0,0 +1,246 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { McpJsonRpcClient, connectError } = require("./mcp-jsonrpc");
+
+// More crashes than this inside the window stops automatic restarts.
+const MAX_RESTARTS = 3;
+const RESTART_WINDOW_MS = 60000;
+const STDERR_LINE_MAX_CHARS = 2000;
+// Characters cmd.exe treats specially; escaped with ^ for .cmd/.bat launchers.
+const CMD_META_PATTERN = /([()\][%!^"`<>&|;, *?])/g;
+
+function isFile(candidate) {
+  try {
+    return fs.statSync(candidate).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Finds `command` the way cmd.exe would: as given, or on PATH with PATHEXT.
+function findWindowsExecutable(command, env, exists) {
+  const extensions = String(env.PATHEXT || ".COM;.EXE;.BAT;.CMD")
+    .split(";")
+    .filter(Boolean);
+  const names = extensions.map((ext) => command + ext);
+  if (path.win32.extname(command)) {
+    names.unshift(command);
+  }
+  const hasDirectory = /[\\/:]/.test(command);
+  const directories = hasDirectory
+    ? [""]
+    : String(env.PATH || env.Path || "").split(";").filter(Boolean);
+  for (const directory of directories) {
+    for (const name of names) {
+      const candidate = directory ? path.win32.join(directory, name) : name;
+      if (exists(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return "";
+}
+
+// A batch file expands its arguments (%*) and parses them again, so each
+// argument is quoted and then caret-escaped twice.
+function escapeCmdArgument(value) {
+  const quoted = `"${String(value).replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, "$1$1")}"`;
+  return quoted.replace(CMD_META_PATTERN, "^$1").replace(CMD_META_PATTERN, "^$1");
+}
+
+/**
+ * What to pass to `spawn` for a stdio server. Nothing goes through a shell:
+ * on Windows a `.cmd`/`.bat` launcher (npx, uvx shims) is resolved on PATH
+ * and run by cmd.exe with every argument escaped, since Node cannot start
+ * batch files directly.
+ */
+function buildSpawnTarget(command, args, { platform = process.platform, env = process.env, exists = isFile } = {}) {
+  if (platform !== "win32") {
+    return { file: command, args, options: {} };
+  }
+  const resolved = findWindowsExecutable(command, env, exists) || command;
+  if (!/\.(cmd|bat)$/i.test(resolved)) {
+    return { file: resolved, args, options: {} };
+  }
+  const line = [resolved.replace(CMD_META_PATTERN, "^$1"), ...args.map(escapeCmdArgument)].join(" ");
+  return {
+    file: env.ComSpec || env.COMSPEC || "cmd.exe",
+    args: ["/d", "/s", "/c", `"${line}"`],
+    options: { windowsVerbatimArguments: true }
+  };
+}
+
+/**
+ * MCP client for servers launched as a local process. JSON-RPC messages are
+ * newline-delimited JSON on stdin/stdout; stderr goes to the output channel.
+ * A crashed process is respawned (and re-initialized) on the next request.
+ */
+class McpStdioClient extends McpJsonRpcClient {
+  constructor({
+    name = "",
+    command,
+    args = [],
+    env = {},
+    cwd = "",
+    timeoutMs = 15000,
+    output = null
+  }) {
+    super({ name, timeoutMs, output });
+    this.command = String(command || "").trim();
+    this.args = Array.isArray(args) ? args.map((arg) => String(arg)) : [];
+    this.env = env && typeof env === "object" ? { ...env } : {};
+    this.cwd = String(cwd || "").trim();
+    this.child = null;
+    this.stdoutBuffer = "";
+    this.stderrBuffer = "";
+    this.crashTimes = [];
+    this.disposed = false;
+  }
+
+  describeTarget() {
+    return [this.command, ...this.args].join(" ");
+  }
+
+  _spawn() {
+    if (this.disposed) {
+      throw new Error(`MCP server "${this.name}" client is disposed.`);
+    }
+    if (!this.command) {
+      throw new Error(`MCP server "${this.name}" has no command.`);
+    }
+    const now = Date.now();
+    this.crashTimes = this.crashTimes.filter((time) => now - time < RESTART_WINDOW_MS);
+    if (this.crashTimes.length > MAX_RESTARTS) {
+      throw new Error(
+        `MCP server "${this.name}" crashed ${this.crashTimes.length} times in the last minute; not restarting.`
+      );
+    }
+
+    this._log(`spawn -> ${[this.command, ...this.args].join(" ")}`);
+    const env = { ...process.env, ...this.env };
+    const target = buildSpawnTarget(this.command, this.args, { env });
+    const child = spawn(target.file, target.args, {
+      ...target.options,
+      cwd: this.cwd || undefined,
+      env,
+      stdio: ["pipe", "pipe", "pipe"]
+    });
+    this.child = child;
+    this.stdoutBuffer = "";
+    this.stderrBuffer = "";
+
+    child.stdout.setEncoding("utf8");
+    child.stderr.setEncoding("utf8");
+    child.stdout.on("data", (chunk) => this._onStdout(chunk));
+    child.stderr.on("data", (chunk) => this._onStderr(chunk));
+    child.stdin.on("error", () => {
+      // Reported through the exit/error handlers below.
+    });
+    child.on("error", (err) => {
+      if (this.child !== child) {
+        return;
+      }
+      this._log(`process error: ${err.message}`);
+      this._onExit(child, connectError(`MCP server "${this.name}" failed to start: ${err.message}`));
+    });
+    child.on("exit", (code, signal) => {
+      if (this.child !== child) {
+        return;
+      }
+      const reason = signal ? `signal ${signal}` : `code ${code}`;
+      this._log(`process exited (${reason})`);
+      this._onExit(child, new Error(`MCP server "${this.name}" exited (${reason}).`));
+    });
+    return child;
+  }
+
+  _onExit(child, err) {
+    if (this.child !== child) {
+      return;
+    }
+    this.child = null;
+    this._resetSession();
+    if (!this.disposed) {
+      this.crashTimes.push(Date.now());
+    }
+    this._flushStderr();
+    this._rejectAll(err);
+  }
+
+  _onStdout(chunk) {
+    this.stdoutBuffer += chunk;
+    let newline = this.stdoutBuffer.indexOf("\n");
+    while (newline >= 0) {
+      const line = this.stdoutBuffer.slice(0, newline).trim();
+      this.stdoutBuffer = this.stdoutBuffer.slice(newline + 1);
+      if (line) {
+        this._onLine(line);
+      }
+      newline = this.stdoutBuffer.indexOf("\n");
+    }
+  }
+
+  _onStderr(chunk) {
+    this.stderrBuffer += chunk;
+    const lines = this.stderrBuffer.split(/\r?\n/);
+    this.stderrBuffer = lines.pop() || "";
+    for (const line of lines) {
+      if (line.trim()) {
+        this._log(`stderr: ${line.slice(0, STDERR_LINE_MAX_CHARS)}`);
+      }
+    }
+  }
+
+  _flushStderr() {
+    if (this.stderrBuffer.trim()) {
+      this._log(`stderr: ${this.stderrBuffer.slice(0, STDERR_LINE_MAX_CHARS)}`);
+    }
+    this.stderrBuffer = "";
+  }
+
+  _onLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      this._log(`ignoring non-JSON stdout line: ${line.slice(0, 200)}`);
+      return;
+    }
+    this._handleMessage(message);
+  }
+
+  _transmit(message) {
+    // Only a new session may (re)start the process; anything else needs it running.
+    if (!this.child && message.method === "initialize") {
+      this._spawn();
+    }
+    if (!this.child || !this.child.stdin.writable) {
+      throw new Error(`MCP server "${this.name}" is not running.`);
+    }
+    this.child.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  dispose() {
+    this.disposed = true;
+    const child = this.child;
+    this.child = null;
+    this._rejectAll(new Error(`MCP server "${this.name}" client was disposed.`));
+    this._resetSession();
+    if (child) {
+      try {
+        child.stdin.end();
+        child.kill();
+      } catch {
+        // Process already exited.
+      }
+    }
+  }
+}
+
+module.exports = {
+  McpStdioClient,
+  buildSpawnTarget
+};
@@ -0,0 +1,146 @@
+"use strict";
+
+const { randomBytes } = require("crypto");
+const vscode = require("vscode");
+const { countChangedLines } = require("./diff-utils");
+const { createProposedUri } = require("./editor-actions");
+const { resolveToolTarget } = require("./workspace-tools");
+
+function makeEditId() {
+  return `edit-${Date.now()}-${randomBytes(4).toString("hex")}`;
+}
+
+/**
+ * Per-prompt staging area handed to the workspace tools. One entry per file:
+ * repeated apply_edit calls on the same file build on the staged text and
+ * keep the original snapshot from the first call.
+ */
+function createEditStaging() {
+  const byUri = new Map();
+  return {
+    get(uri) {
+      return byUri.get(uri) || null;
+    },
+    stage({ uri, path, original, proposed, created }) {
+      const existing = byUri.get(uri);
+      if (existing) {
+        existing.proposed = proposed;
+        return existing;
+      }
+      const entry = {
+        id: makeEditId(),
+        uri,
+        path,
+        original,
+        proposed,
+        created: Boolean(created),
+        status: "pending",
+        createdAt: new Date().toISOString()
+      };
+      byUri.set(uri, entry);
+      return entry;
+    },
+    list() {
+      return [...byUri.values()].filter((entry) => entry.created || entry.proposed !== entry.original);
+    }
+  };
+}
+
+// Stored edits carry their line counts, since contents are dropped once decided.
+function summarizePendingEdit(edit) {
+  const { added, removed } = Number.isFinite(edit.added)
+    ? edit
+    : countChangedLines(edit.original, edit.proposed);
+  return {
+    id: edit.id,
+    messageId: edit.messageId,
+    path: edit.path,
+    status: edit.status,
+    created: edit.created,
+    added,
+    removed
+  };
+}
+
+async function readCurrentText(uri) {
+  try {
+    return (await vscode.workspace.openTextDocument(uri)).getText();
+  } catch {
+    return null;
+  }
+}
+
+async function openPendingEditDiff(edit) {
+  const uri = vscode.Uri.parse(edit.uri);
+  const left = edit.created ? createProposedUri(uri, "") : uri;
+  const right = createProposedUri(uri, edit.proposed);
+  await vscode.commands.executeCommand(
+    "vscode.diff",
+    left,
+    right,
+    `${edit.path} ↔ JoshGPT (${edit.created ? "new file" : "pending edit"})`,
+    { preview: true }
+  );
+}
+
+/**
+ * Applies every edit in `edits` as one WorkspaceEdit so a single undo reverts
+ * the batch. Files that changed since the edit was staged are refused, and
+ * each target goes through apply_edit's path checks again, since a symlink
+ * may have been swapped in after staging.
+ */
+async function applyPendingEdits(edits) {
+  for (const edit of edits) {
+    try {
+      await resolveToolTarget(vscode.Uri.parse(edit.uri).path, { write: true });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      throw new Error(`Cannot apply the edit to ${edit.path}: ${msg}`);
+    }
+  }
+
+  const conflicts = [];
+  for (const edit of edits) {
+    const current = await readCurrentText(vscode.Uri.parse(edit.uri));
+    if (edit.created ? current !== null : current !== edit.original) {
+      conflicts.push(edit.path);
+    }
+  }
+  if (conflicts.length) {
+    throw new Error(
+      `Files changed since the edits were proposed: ${conflicts.join(", ")}. Reject them or ask again.`
+    );
+  }
+
+  const workspaceEdit = new vscode.WorkspaceEdit();
+  for (const edit of edits) {
+    const uri = vscode.Uri.parse(edit.uri);
+    if (edit.created) {
+      workspaceEdit.createFile(uri, { ignoreIfExists: false });
+      workspaceEdit.insert(uri, new vscode.Position(0, 0), edit.proposed);
+      continue;
+    }
+    const document = await vscode.workspace.openTextDocument(uri);
+    const lastLine = document.lineAt(Math.max(0, document.lineCount - 1));
+    workspaceEdit.replace(
+      uri,
+      new vscode.Range(new vscode.Position(0, 0), lastLine.range.end),
+      edit.proposed
+    );
+  }
+
+  if (!(await vscode.workspace.applyEdit(workspaceEdit))) {
+    throw new Error("VS Code rejected the pending edits.");
+  }
+  for (const edit of edits) {
+    const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(edit.uri));
+    await document.save();
+  }
+}
+
+module.exports = {
+  createEditStaging,
+  summarizePendingEdit,
+  openPendingEditDiff,
+  applyPendingEdits
+};
@@ -0,0 +1,119 @@
+"use strict";
+
+const { inferNativeBaseUrl, normalizeBaseUrl } = require("./lmstudio-client");
+
+const ACTIVE_PROFILE_KEY = "joshgpt.activeProfile.v1";
+// The unnamed profile: the top-level joshgpt.* settings.
+const DEFAULT_PROFILE_NAME = "";
+const CHAT_ENDPOINT_MODES = new Set(["openai-compat", "lmstudio-native-stream"]);
+
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function optionalString(value) {
+  const text = String(value === undefined || value === null ? "" : value).trim();
+  return text || undefined;
+}
+
+/**
+ * Normalizes `joshgpt.profiles`. Entries without a name are dropped, and a
+ * repeated name keeps its first entry. Fields left out fall back to the
+ * top-level settings when the profile is applied.
+ */
+function normalizeProfiles(raw) {
+  const seen = new Set();
+  const profiles = [];
+  for (const entry of Array.isArray(raw) ? raw : []) {
+    if (!entry || typeof entry !== "object") {
+      continue;
+    }
+    const name = String(entry.name || "").trim();
+    if (!name || seen.has(name)) {
+      continue;
+    }
+    seen.add(name);
+    const mode = String(entry.chatEndpointMode || "").trim();
+    profiles.push({
+      name,
+      baseUrl: optionalString(entry.baseUrl),
+      nativeBaseUrl: optionalString(entry.nativeBaseUrl),
+      chatEndpointMode: CHAT_ENDPOINT_MODES.has(mode) ? mode : undefined,
+      model: optionalString(entry.model),
+      systemPrompt: optionalString(entry.systemPrompt),
+      temperature: optionalNumber(entry.temperature),
+      maxTokens: optionalNumber(entry.maxTokens),
+      contextLength: optionalNumber(entry.contextLength)
+    });
+  }
+  return profiles;
+}
+
+/**
+ * Overlays profile `name` on `base` (the config built from the top-level
+ * settings). The default profile, or an unknown name, returns `base` with
+ * `profileName` set; an unknown name also sets `profileError` so callers
+ * that pinned it can refuse to run.
+ */
+function applyProfile(base, profiles, name) {
+  const requested = String(name || "");
+  const profile = requested ? profiles.find((item) => item.name === requested) : null;
+  if (!profile) {
+    return {
+      ...base,
+      profileName: DEFAULT_PROFILE_NAME,
+      profileError: requested
+        ? `Provider profile "${requested}" is not defined in joshgpt.profiles.`
+        : ""
+    };
+  }
+
+  const overrides = {};
+  for (const key of ["chatEndpointMode", "model", "systemPrompt", "temperature", "maxTokens", "contextLength"]) {
+    if (profile[key] !== undefined) {
+      overrides[key] = profile[key];
+    }
+  }
+  if (profile.baseUrl) {
+    overrides.baseUrl = normalizeBaseUrl(profile.baseUrl);
+  }
+  // A profile with its own baseUrl gets the native URL derived from it, not the default one.
+  if (profile.nativeBaseUrl || profile.baseUrl) {
+    overrides.nativeBaseUrl = normalizeBaseUrl(
+      profile.nativeBaseUrl || inferNativeBaseUrl(overrides.baseUrl) || base.nativeBaseUrl
+    );
+  }
+  return {
+    ...base,
+    ...overrides,
+    profileName: profile.name,
+    profileError: ""
+  };
+}
+
+function describeProfile(config) {
+  return `${config.model || "<no model>"} @ ${config.baseUrl || "<no URL>"} (${config.chatEndpointMode})`;
+}
+
+/**
+ * The profile new sessions start with, kept in `globalState` so switching
+ * follows the user across workspaces.
+ */
+function createActiveProfileStore(memento) {
+  return {
+    get: () => String(memento.get(ACTIVE_PROFILE_KEY, DEFAULT_PROFILE_NAME) || ""),
+    set: (name) => memento.update(ACTIVE_PROFILE_KEY, String(name || ""))
+  };
+}
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  normalizeProfiles,
+  applyProfile,
+  describeProfile,
+  createActiveProfileStore
+};
@@ -1,9 +1,24 @@
 "use strict";
 
 const { randomBytes } = require("crypto");
-
-const STORE_KEY = "joshgpt.sessions.v1";
+const { countChangedLines } = require("./diff-utils");
+const {
+  TOOL_ATTACHMENT_HEADING,
+  formatMessageWithAttachments,
+  normalizeAttachments
+} = require("./attachments");
+
+const STORE_KEY = "joshgpt.sessions.v2";
+const LEGACY_STORE_KEY = "joshgpt.sessions.v1";
 const DEFAULT_TITLE = "New Session";
+const MESSAGE_ROLES = new Set(["user", "assistant", "tool"]);
+const PENDING_EDIT_STATUSES = new Set(["pending", "accepted", "rejected", "applied", "expired"]);
+// Only these keep the file contents; the rest are final and keep line counts.
+const OPEN_PENDING_EDIT_STATUSES = new Set(["pending", "accepted"]);
+const TRACE_IMAGE_MIME_TYPES = new Set(["image/png", "image/jpeg", "image/gif", "image/webp"]);
+const TRACE_IMAGE_MAX_CHARS = 1024 * 1024;
+// Image data is kept in memory only, up to this many base64 characters in total.
+const TRACE_IMAGE_MEMORY_MAX_CHARS = 16 * 1024 * 1024;
 
 function nowIso() {
   return new Date().toISOString();
@@ -21,22 +36,224 @@ function deriveTitle(text) {
   return cleaned.length > 48 ? `${cleaned.slice(0, 48)}...` : cleaned;
 }
 
-function normalizeMessage(raw) {
-  const role = raw && (raw.role === "assistant" ? "assistant" : "user");
+function normalizeToolCall(raw, index) {
+  const fn = raw && raw.function && typeof raw.function === "object" ? raw.function : {};
+  const args = fn.arguments;
   return {
+    id: String((raw && raw.id) || `call_${index}`),
+    type: "function",
+    function: {
+      name: String(fn.name || ""),
+      arguments: typeof args === "string" ? args : JSON.stringify(args || {})
+    }
+  };
+}
+
+function normalizeMessage(raw) {
+  const role = raw && MESSAGE_ROLES.has(raw.role) ? raw.role : "user";
+  const message = {
+    id: String((raw && raw.id) || makeId("msg")),
     role,
     content: String((raw && raw.content) || ""),
     timestamp: String((raw && raw.timestamp) || nowIso())
   };
+
+  if ((role === "user" || role === "tool") && Array.isArray(raw.attachments) && raw.attachments.length) {
+    message.attachments = normalizeAttachments(raw.attachments);
+  }
+  if (role === "assistant" && Array.isArray(raw.tool_calls) && raw.tool_calls.length) {
+    message.tool_calls = raw.tool_calls.map(normalizeToolCall);
+  }
+  // Set on the summary written when a prompt ran out of tool rounds; the
+  // session view offers to continue from it.
+  if (role === "assistant" && raw.roundLimit) {
+    message.roundLimit = true;
+  }
+  if (role === "tool") {
+    message.tool_call_id = String(raw.tool_call_id || "");
+    message.name = String(raw.name || "");
+    if (raw.isError) {
+      message.isError = true;
+    }
+  }
+  return message;
+}
+
+// Shape a stored message the way the chat completions API expects it.
+function toModelMessage(message) {
+  const out = {
+    role: message.role,
+    content: message.attachments
+      ? formatMessageWithAttachments(
+          message.content,
+          message.attachments,
+          message.role === "tool" ? { heading: TOOL_ATTACHMENT_HEADING } : {}
+        )
+      : message.content
+  };
+  if (Array.isArray(message.tool_calls) && message.tool_calls.length) {
+    out.tool_calls = message.tool_calls.map((call) => ({
+      id: call.id,
+      type: call.type,
+      function: { ...call.function }
+    }));
+  }
+  if (message.role === "tool") {
+    out.tool_call_id = message.tool_call_id;
+    out.name = message.name;
+  }
+  return out;
 }
 
 function normalizeTraceEvent(raw) {
-  return {
+  const event = {
     timestamp: String((raw && raw.timestamp) || nowIso()),
     type: String((raw && raw.type) || "event"),
     summary: String((raw && raw.summary) || ""),
     details: String((raw && raw.details) || "")
   };
+  const images = normalizeTraceImages(raw && raw.images);
+  if (images.length) {
+    event.images = images;
+  }
+  return event;
+}
+
+// Tool images shown in the trace. Only `{ id, mimeType, bytes }` is
+// persisted; the base64 `data` of new images is moved to the store's memory
+// cache, so it is gone after a reload. Oversized images keep only the
+// placeholder.
+function normalizeTraceImages(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .filter((image) => image && TRACE_IMAGE_MIME_TYPES.has(image.mimeType))
+    .map((image) => {
+      const data = typeof image.data === "string" ? image.data : "";
+      const normalized = {
+        id: String(image.id || makeId("image")),
+        mimeType: image.mimeType,
+        bytes: data ? Math.floor((data.length * 3) / 4) : Math.max(0, Number(image.bytes) || 0)
+      };
+      if (data && data.length <= TRACE_IMAGE_MAX_CHARS) {
+        normalized.data = data;
+      }
+      return normalized;
+    })
+    .filter((image) => image.bytes > 0);
+}
+
+function stripTraceImageData(event) {
+  for (const image of event.images || []) {
+    delete image.data;
+  }
+  return event;
+}
+
+function normalizeContextSummary(raw) {
+  if (!raw || typeof raw !== "object" || !raw.text) {
+    return null;
+  }
+  const covered = Number(raw.coveredMessageCount);
+  return {
+    text: String(raw.text),
+    coveredMessageCount: Number.isFinite(covered) && covered > 0 ? Math.trunc(covered) : 0,
+    updatedAt: String(raw.updatedAt || nowIso())
+  };
+}
+
+function normalizeContextUsage(raw) {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+  return {
+    estimatedTokens: Number(raw.estimatedTokens) || 0,
+    contextLength: Number(raw.contextLength) || 0,
+    budget: Number(raw.budget) || 0,
+    compacted: Boolean(raw.compacted),
+    strategy: String(raw.strategy || "")
+  };
+}
+
+function normalizePendingEdit(raw) {
+  if (!raw || typeof raw !== "object" || !raw.uri) {
+    return null;
+  }
+  const status = PENDING_EDIT_STATUSES.has(raw.status) ? raw.status : "pending";
+  const counts = Number.isFinite(raw.added) && Number.isFinite(raw.removed)
+    ? raw
+    : countChangedLines(String(raw.original || ""), String(raw.proposed || ""));
+  const open = OPEN_PENDING_EDIT_STATUSES.has(status);
+  return {
+    id: String(raw.id || makeId("edit")),
+    messageId: String(raw.messageId || ""),
+    uri: String(raw.uri),
+    path: String(raw.path || raw.uri),
+    original: open ? String(raw.original || "") : "",
+    proposed: open ? String(raw.proposed || "") : "",
+    added: counts.added,
+    removed: counts.removed,
+    created: Boolean(raw.created),
+    status,
+    createdAt: String(raw.createdAt || nowIso())
+  };
+}
+
+function dropPendingEditContents(edit) {
+  edit.original = "";
+  edit.proposed = "";
+}
+
+// Open edits of a session that is no longer active are expired, so
+// globalState does not carry whole files for sessions nobody is reviewing.
+function expireOpenPendingEdits(session) {
+  for (const edit of session.pendingEdits) {
+    if (OPEN_PENDING_EDIT_STATUSES.has(edit.status)) {
+      edit.status = "expired";
+      dropPendingEditContents(edit);
+    }
+  }
+}
+
+function optionalNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Per-session replacements for `model`, `systemPrompt`, `temperature` and
+ * `maxTokens`. Only valid, non-empty values are kept; a missing key means
+ * the session uses its profile's value.
+ */
+function normalizeSessionOverrides(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const overrides = {};
+  const model = String(source.model || "").trim();
+  if (model) {
+    overrides.model = model;
+  }
+  const systemPrompt = String(source.systemPrompt || "").trim();
+  if (systemPrompt) {
+    overrides.systemPrompt = systemPrompt;
+  }
+  const temperature = optionalNumber(source.temperature);
+  if (temperature !== null && temperature >= 0 && temperature <= 2) {
+    overrides.temperature = temperature;
+  }
+  const maxTokens = optionalNumber(source.maxTokens);
+  if (maxTokens !== null && maxTokens >= 1) {
+    overrides.maxTokens = Math.floor(maxTokens);
+  }
+  return overrides;
+}
+
+function applySessionOverrides(config, overrides) {
+  return { ...config, ...normalizeSessionOverrides(overrides) };
+}
+
+function normalizeProfileName(value) {
+  return typeof value === "string" ? value : null;
 }
 
 function normalizeSession(raw) {
@@ -52,10 +269,18 @@ function normalizeSession(raw) {
   return {
     id: String((raw && raw.id) || makeId("session")),
     title: String((raw && raw.title) || DEFAULT_TITLE),
+    // Provider profile pinned to the session; null follows the active profile.
+    profile: normalizeProfileName(raw && raw.profile),
+    overrides: normalizeSessionOverrides(raw && raw.overrides),
     createdAt,
     updatedAt,
     messages,
-    traceEvents
+    traceEvents,
+    contextSummary: normalizeContextSummary(raw && raw.contextSummary),
+    contextUsage: normalizeContextUsage(raw && raw.contextUsage),
+    pendingEdits: Array.isArray(raw && raw.pendingEdits)
+      ? raw.pendingEdits.map(normalizePendingEdit).filter(Boolean)
+      : []
   };
 }
 
@@ -66,21 +291,41 @@ function cloneState(state) {
 class SessionStore {
   constructor(extensionContext) {
     this.context = extensionContext;
+    // Trace image data by image id, oldest first; never persisted.
+    this.traceImageData = new Map();
+    this.traceImageChars = 0;
+    // Sessions with a prompt still running; their open edits are not expired
+    // until the run ends. Never persisted.
+    this.runningSessionIds = new Set();
+    this._migrateLegacyState = false;
     this.state = this._loadState();
   }
 
   _loadState() {
-    const raw = this.context.globalState.get(STORE_KEY, {
-      sessions: [],
-      activeSessionId: null
-    });
+    let raw = this.context.globalState.get(STORE_KEY);
+    if (!raw) {
+      const legacy = this.context.globalState.get(LEGACY_STORE_KEY);
+      raw = legacy || { sessions: [], activeSessionId: null };
+      if (legacy) {
+        this._migrateLegacyState = true;
+      }
+    }
 
     const sessions = Array.isArray(raw.sessions) ? raw.sessions.map(normalizeSession) : [];
+    // Images persisted by older versions are not loaded back.
+    for (const session of sessions) {
+      session.traceEvents.forEach(stripTraceImageData);
+    }
     let activeSessionId = raw.activeSessionId ? String(raw.activeSessionId) : null;
 
     if (activeSessionId && !sessions.find((s) => s.id === activeSessionId)) {
       activeSessionId = sessions.length ? sessions[0].id : null;
     }
+    for (const session of sessions) {
+      if (session.id !== activeSessionId) {
+        expireOpenPendingEdits(session);
+      }
+    }
 
     return {
       sessions,
@@ -88,6 +333,17 @@ class SessionStore {
     };
   }
 
+  // v1 stored plain user/assistant text only; v2 keeps the tool-call transcript.
+  async migrateLegacyState() {
+    if (!this._migrateLegacyState) {
+      return false;
+    }
+    this._migrateLegacyState = false;
+    await this._persist();
+    await this.context.globalState.update(LEGACY_STORE_KEY, undefined);
+    return true;
+  }
+
   async _persist() {
     await this.context.globalState.update(STORE_KEY, this.state);
   }
@@ -108,6 +364,50 @@ class SessionStore {
     return this.state.sessions.find((s) => s.id === id) || null;
   }
 
+  _keepTraceImage(id, data) {
+    this.traceImageData.set(id, data);
+    this.traceImageChars += data.length;
+    for (const [oldId, oldData] of this.traceImageData) {
+      if (this.traceImageChars <= TRACE_IMAGE_MEMORY_MAX_CHARS) {
+        break;
+      }
+      this.traceImageData.delete(oldId);
+      this.traceImageChars -= oldData.length;
+    }
+  }
+
+  // Base64 data for a trace image, or null once it was evicted or after a reload.
+  getTraceImageData(id) {
+    return this.traceImageData.get(id) || null;
+  }
+
+  // Every switch of the active session goes through here.
+  _activate(sessionId) {
+    const previous = this.state.activeSessionId;
+    if (previous && previous !== sessionId && !this.runningSessionIds.has(previous)) {
+      const left = this.getSessionById(previous);
+      if (left) {
+        expireOpenPendingEdits(left);
+      }
+    }
+    this.state.activeSessionId = sessionId;
+  }
+
+  // Brackets a prompt run: a session left while its run is in progress keeps
+  // its open edits until `endRun`, which expires them if it is still not active.
+  beginRun(sessionId) {
+    this.runningSessionIds.add(sessionId);
+  }
+
+  async endRun(sessionId) {
+    this.runningSessionIds.delete(sessionId);
+    const session = this.getSessionById(sessionId);
+    if (session && sessionId !== this.state.activeSessionId) {
+      expireOpenPendingEdits(session);
+      await this._persist();
+    }
+  }
+
   getActiveSession() {
     if (!this.state.activeSessionId) {
       return null;
@@ -115,29 +415,54 @@ class SessionStore {
     return this.getSessionById(this.state.activeSessionId);
   }
 
-  async createSession(title = DEFAULT_TITLE) {
+  async createSession(title = DEFAULT_TITLE, { profile = null } = {}) {
     const timestamp = nowIso();
     const session = {
       id: makeId("session"),
       title: String(title || DEFAULT_TITLE),
+      profile: normalizeProfileName(profile),
+      overrides: {},
       createdAt: timestamp,
       updatedAt: timestamp,
       messages: [],
-      traceEvents: []
+      traceEvents: [],
+      contextSummary: null,
+      contextUsage: null,
+      pendingEdits: []
     };
 
     this.state.sessions.unshift(session);
-    this.state.activeSessionId = session.id;
+    this._activate(session.id);
     await this._persist();
     return session;
   }
 
-  async ensureActiveSession() {
+  async ensureActiveSession(options) {
     const existing = this.getActiveSession();
     if (existing) {
       return existing;
     }
-    return this.createSession();
+    return this.createSession(DEFAULT_TITLE, options);
+  }
+
+  async setSessionOverrides(sessionId, overrides) {
+    const session = this.getSessionById(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    session.overrides = normalizeSessionOverrides(overrides);
+    await this._persist();
+    return session.overrides;
+  }
+
+  async setSessionProfile(sessionId, profile) {
+    const session = this.getSessionById(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    session.profile = normalizeProfileName(profile);
+    await this._persist();
+    return session;
   }
 
   async setActiveSession(id) {
@@ -145,7 +470,7 @@ class SessionStore {
     if (!session) {
       return null;
     }
-    this.state.activeSessionId = session.id;
+    this._activate(session.id);
     await this._persist();
     return session;
   }
@@ -163,7 +488,7 @@ class SessionStore {
     await this._persist();
   }
 
-  async appendMessage(sessionId, role, content) {
+  async appendMessage(sessionId, role, content, { attachments, roundLimit } = {}) {
     const session = this.getSessionById(sessionId);
     if (!session) {
       throw new Error(`Session not found: ${sessionId}`);
@@ -172,12 +497,14 @@ class SessionStore {
     const message = normalizeMessage({
       role,
       content,
+      attachments,
+      roundLimit,
       timestamp: nowIso()
     });
 
     session.messages.push(message);
     session.updatedAt = message.timestamp;
-    this.state.activeSessionId = session.id;
+    this._activate(session.id);
 
     if (role === "user" && session.title === DEFAULT_TITLE) {
       session.title = deriveTitle(content);
@@ -187,6 +514,27 @@ class SessionStore {
     return message;
   }
 
+  async appendMessages(sessionId, rawMessages) {
+    const session = this.getSessionById(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const timestamp = nowIso();
+    const messages = (Array.isArray(rawMessages) ? rawMessages : []).map((raw) =>
+      normalizeMessage({ ...raw, timestamp: raw && raw.timestamp ? raw.timestamp : timestamp })
+    );
+    if (!messages.length) {
+      return [];
+    }
+
+    session.messages.push(...messages);
+    session.updatedAt = timestamp;
+    this._activate(session.id);
+    await this._persist();
+    return messages;
+  }
+
   async appendTraceEvents(sessionId, events) {
     const session = this.getSessionById(sessionId);
     if (!session) {
@@ -196,17 +544,81 @@ class SessionStore {
     const normalized = Array.isArray(events)
       ? events.map(normalizeTraceEvent)
       : [];
+    for (const event of normalized) {
+      for (const image of event.images || []) {
+        if (image.data) {
+          this._keepTraceImage(image.id, image.data);
+        }
+      }
+      stripTraceImageData(event);
+    }
     if (!normalized.length) {
       return [];
     }
 
     session.traceEvents.push(...normalized);
     session.updatedAt = nowIso();
-    this.state.activeSessionId = session.id;
+    this._activate(session.id);
     await this._persist();
     return normalized;
   }
 
+  async updateContextState(sessionId, { summary, usage }) {
+    const session = this.getSessionById(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    session.contextSummary = normalizeContextSummary(summary);
+    session.contextUsage = normalizeContextUsage(usage);
+    await this._persist();
+  }
+
+  async addPendingEdits(sessionId, edits) {
+    const session = this.getSessionById(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    const normalized = (Array.isArray(edits) ? edits : []).map(normalizePendingEdit).filter(Boolean);
+    if (!normalized.length) {
+      return [];
+    }
+    session.pendingEdits.push(...normalized);
+    await this._persist();
+    return normalized;
+  }
+
+  async setPendingEditStatus(sessionId, editIds, status) {
+    const session = this.getSessionById(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    if (!PENDING_EDIT_STATUSES.has(status)) {
+      throw new Error(`Unknown pending edit status: ${status}`);
+    }
+    const ids = new Set(editIds);
+    for (const edit of session.pendingEdits) {
+      if (ids.has(edit.id)) {
+        edit.status = status;
+        if (!OPEN_PENDING_EDIT_STATUSES.has(status)) {
+          dropPendingEditContents(edit);
+        }
+      }
+    }
+    await this._persist();
+  }
+
+  async clearRoundLimit(sessionId, messageId) {
+    const session = this.getSessionById(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    const message = session.messages.find((item) => item.id === messageId);
+    if (message && message.roundLimit) {
+      delete message.roundLimit;
+      await this._persist();
+    }
+  }
+
   async clearTraceEvents(sessionId) {
     const session = this.getSessionById(sessionId);
     if (!session) {
@@ -214,11 +626,13 @@ class SessionStore {
     }
     session.traceEvents = [];
     session.updatedAt = nowIso();
-    this.state.activeSessionId = session.id;
+    this._activate(session.id);
     await this._persist();
   }
 }
 
 module.exports = {
-  SessionStore
+  SessionStore,
+  applySessionOverrides,
+  toModelMessage
 };
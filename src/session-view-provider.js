@@ -1,24 +1,70 @@
 "use strict";
 
 const vscode = require("vscode");
-const { SessionStore } = require("./session-store");
+const { SessionStore, applySessionOverrides, toModelMessage } = require("./session-store");
 const { runChatWithOptionalMcp } = require("./chat-runner");
+const { getModelContextLength } = require("./lmstudio-client");
+const { DEFAULT_CONTEXT_LENGTH, prepareContext } = require("./context-budget");
+const { renderMarkdown } = require("./markdown-renderer");
+const { applyCodeAsDiff, insertAtCursor } = require("./editor-actions");
+const { describeAttachment } = require("./attachments");
+const {
+  applyPendingEdits,
+  createEditStaging,
+  openPendingEditDiff,
+  summarizePendingEdit
+} = require("./pending-edits");
+const {
+  captureSelection,
+  pickDiagnosticsAttachment,
+  pickFileAttachments
+} = require("./editor-context");
+const { McpToolRouter } = require("./mcp-registry");
+const { McpResultCache } = require("./mcp-result-cache");
+const { buildToolCatalog, createToolToggleStore } = require("./tool-catalog");
+const {
+  collectPromptArguments,
+  pickMcpResourceAttachment,
+  promptToComposer
+} = require("./mcp-context");
+const { getUserSetting } = require("./user-settings");
 
 const SETTINGS_EXTENSION_ID = "josh-phillips-llc.joshgpt";
+// `userOnly` fields are machine-scoped: read from and saved to user settings,
+// whatever save scope is picked.
 const SETTINGS_FIELDS = [
   { key: "baseUrl", type: "string" },
   { key: "nativeBaseUrl", type: "string" },
   { key: "chatEndpointMode", type: "enum", enum: ["openai-compat", "lmstudio-native-stream"] },
   { key: "model", type: "string" },
-  { key: "apiKey", type: "string" },
   { key: "systemPrompt", type: "string" },
   { key: "temperature", type: "number", min: 0, max: 2 },
   { key: "maxTokens", type: "number", min: 1 },
+  { key: "streaming.enabled", type: "boolean" },
+  { key: "vision.enabled", type: "boolean" },
+  { key: "context.length", type: "number", min: 0 },
+  { key: "context.compaction", type: "enum", enum: ["summarize", "trim", "off"] },
+  { key: "attachments.maxChars", type: "number", min: 1000 },
   { key: "mcp.enabled", type: "boolean" },
   { key: "mcp.baseUrl", type: "string" },
+  { key: "mcp.servers", type: "objectArray", userOnly: true },
   { key: "mcp.timeoutMs", type: "number", min: 1000 },
   { key: "mcp.maxToolRounds", type: "number", min: 1, max: 12 },
+  { key: "mcp.readOnlyTools", type: "stringArray" },
+  { key: "mcp.cache.enabled", type: "boolean" },
+  { key: "mcp.cache.ttlSeconds", type: "number", min: 0 },
+  { key: "toolCalls.maxConcurrency", type: "number", min: 1, max: 16 },
+  { key: "workspaceTools.enabled", type: "boolean" },
   { key: "localShell.enabled", type: "boolean" },
+  { key: "localShell.parallel", type: "boolean" },
+  {
+    key: "localShell.approvalPolicy",
+    type: "enum",
+    enum: ["always-ask", "allowlist", "never-ask"],
+    userOnly: true
+  },
+  { key: "localShell.allowPatterns", type: "stringArray", userOnly: true },
+  { key: "localShell.denyPatterns", type: "stringArray", userOnly: true },
   { key: "localShell.defaultTimeoutSeconds", type: "number", min: 1 },
   { key: "localShell.maxTimeoutSeconds", type: "number", min: 1 },
   { key: "localShell.defaultMaxOutputChars", type: "number", min: 256 },
@@ -67,16 +113,54 @@ function _clampNumber(value, min, max) {
   return result;
 }
 
+// The webview only shows chips; attachment content stays in the extension.
+function summarizeAttachment(attachment) {
+  return {
+    id: attachment.id,
+    kind: attachment.kind,
+    label: describeAttachment(attachment),
+    truncated: attachment.truncated
+  };
+}
+
 class JoshGptSessionViewProvider {
   static viewType = "joshgpt.sessions";
 
-  constructor(extensionContext, output, getConfig) {
+  constructor(extensionContext, output, getConfig, credentials) {
     this.context = extensionContext;
     this.output = output;
     this.getConfig = getConfig;
+    // The API key itself never reaches the webview; only whether one is stored.
+    this.credentials = credentials;
+    extensionContext.subscriptions.push(
+      credentials.onDidChange(() => {
+        this._postState().catch(() => {});
+      })
+    );
     this.store = new SessionStore(extensionContext);
+    this.store
+      .migrateLegacyState()
+      .then((migrated) => {
+        if (migrated) {
+          this.output.appendLine("[joshgpt] migrated sessions to joshgpt.sessions.v2");
+        }
+      })
+      .catch((err) => {
+        const msg = err instanceof Error ? err.message : String(err);
+        this.output.appendLine(`[joshgpt] session migration failed: ${msg}`);
+      });
     this.view = null;
     this.busy = false;
+    this.abortController = null;
+    this.pendingApprovals = new Map();
+    this.contextLengthCache = new Map();
+    this.renderedHtmlCache = new Map();
+    this.pendingAttachments = [];
+    this.mcpPrompts = [];
+    this.toolToggles = createToolToggleStore(extensionContext.workspaceState);
+    this.toolCatalog = [];
+    // Per-session MCP result caches (joshgpt.mcp.cache.*); memory only.
+    this.resultCaches = new Map();
   }
 
   async resolveWebviewView(webviewView) {
@@ -104,10 +188,271 @@ class JoshGptSessionViewProvider {
   }
 
   async createSessionFromCommand() {
-    await this.store.createSession();
+    await this.store.createSession(undefined, this._newSessionOptions());
     await this._postState();
   }
 
+  // Re-sends state after changes made outside the webview (e.g. the active profile).
+  refreshState() {
+    this._postState().catch(() => {});
+  }
+
+  // New sessions are pinned to the profile active when they are created.
+  _newSessionOptions() {
+    return { profile: this.getConfig().profileName };
+  }
+
+  async attachFromEditor(kind) {
+    const maxChars = this.getConfig().attachmentMaxChars;
+    let added = [];
+    if (kind === "selection") {
+      const selection = captureSelection({ maxChars });
+      if (!selection) {
+        vscode.window.showInformationMessage("JoshGPT: select some text in an editor to attach it.");
+        return;
+      }
+      added = [selection];
+    } else if (kind === "file") {
+      added = await pickFileAttachments({ maxChars });
+    } else if (kind === "diagnostics") {
+      const diagnostics = await pickDiagnosticsAttachment({ maxChars });
+      added = diagnostics ? [diagnostics] : [];
+    } else if (kind === "mcpResource") {
+      const resource = await pickMcpResourceAttachment(this._mcpRouter(), {
+        maxChars,
+        output: this.output
+      });
+      added = resource ? [resource] : [];
+    }
+    await this._addAttachments(added);
+  }
+
+  async _addAttachments(added) {
+    if (!added.length) {
+      return;
+    }
+    // Re-attaching the same file or range replaces the earlier snapshot.
+    const keyOf = (attachment) =>
+      `${attachment.kind}|${attachment.uri}|${attachment.startLine}|${attachment.endLine}`;
+    const addedKeys = new Set(added.map(keyOf));
+    this.pendingAttachments = [
+      ...this.pendingAttachments.filter((attachment) => !addedKeys.has(keyOf(attachment))),
+      ...added
+    ];
+    await this._postState();
+  }
+
+  _mcpRouter() {
+    const cfg = this.getConfig();
+    if (!cfg.mcpEnabled) {
+      throw new Error("JoshGPT MCP is disabled in settings (joshgpt.mcp.enabled=false).");
+    }
+    const router = new McpToolRouter({
+      servers: cfg.mcpServers,
+      timeoutMs: cfg.mcpTimeoutMs,
+      output: this.output,
+      pool: cfg.mcpClientPool
+    });
+    if (!router.servers.length) {
+      throw new Error("No enabled MCP servers: set joshgpt.mcp.servers or joshgpt.mcp.baseUrl.");
+    }
+    return router;
+  }
+
+  // Answers the composer's slash menu; errors are shown in the menu itself.
+  async _postMcpPrompts() {
+    let error = "";
+    try {
+      const { items, failures } = await this._mcpRouter().listFromServers("listPrompts");
+      for (const failure of failures) {
+        this.output.appendLine(`[joshgpt] MCP ${failure.server} prompts/list failed: ${failure.message}`);
+      }
+      this.mcpPrompts = items;
+      if (!items.length && failures.length) {
+        error = "MCP prompts unavailable; see the JoshGPT output.";
+      }
+    } catch (err) {
+      this.mcpPrompts = [];
+      error = err instanceof Error ? err.message : String(err);
+    }
+    if (!this.view) {
+      return;
+    }
+    await this.view.webview.postMessage({
+      type: "mcpPrompts",
+      payload: {
+        error,
+        prompts: this.mcpPrompts.map((prompt) => ({
+          server: prompt.server,
+          name: String(prompt.name || ""),
+          command: `/${prompt.namespaced ? `${prompt.server}:` : ""}${prompt.name}`,
+          description: String(prompt.description || ""),
+          argumentCount: Array.isArray(prompt.arguments) ? prompt.arguments.length : 0
+        }))
+      }
+    });
+  }
+
+  // Called after the Manage Tools command so an open Tools panel stays in sync.
+  refreshToolCatalog() {
+    if (!this.view) {
+      return;
+    }
+    this._postToolCatalog().catch((err) => {
+      const msg = err instanceof Error ? err.message : String(err);
+      this.output.appendLine(`[joshgpt] tool catalog refresh failed: ${msg}`);
+    });
+  }
+
+  // Answers the Tools panel; MCP failures are reported there and in the output.
+  async _postToolCatalog() {
+    const cfg = this.getConfig();
+    let error = "";
+    let failures = [];
+    try {
+      const router = cfg.mcpEnabled
+        ? new McpToolRouter({
+            servers: cfg.mcpServers,
+            timeoutMs: cfg.mcpTimeoutMs,
+            output: this.output,
+            pool: cfg.mcpClientPool
+          })
+        : null;
+      const catalog = await buildToolCatalog({
+        config: cfg,
+        toggles: this.toolToggles.get(),
+        router
+      });
+      this.toolCatalog = catalog.tools;
+      failures = catalog.failures;
+      for (const failure of failures) {
+        this.output.appendLine(`[joshgpt] MCP ${failure.server} tools/list failed: ${failure.message}`);
+      }
+    } catch (err) {
+      error = err instanceof Error ? err.message : String(err);
+    }
+    if (!this.view) {
+      return;
+    }
+    await this.view.webview.postMessage({
+      type: "toolCatalog",
+      payload: {
+        error,
+        mcpEnabled: Boolean(cfg.mcpEnabled),
+        failures: failures.map((failure) => ({ server: failure.server, message: failure.message })),
+        tools: this.toolCatalog.map((tool) => ({
+          name: tool.name,
+          source: tool.source,
+          description: tool.description,
+          schema: JSON.stringify(tool.inputSchema, null, 2),
+          available: tool.available,
+          enabled: tool.enabled,
+          defaultEnabled: tool.defaultEnabled
+        }))
+      }
+    });
+  }
+
+  async _setToolEnabled(name, enabled) {
+    const tool = this.toolCatalog.find((item) => item.name === name);
+    if (!tool) {
+      throw new Error(`Tool not found: ${name}`);
+    }
+    await this.toolToggles.set([{ tool, enabled }]);
+    tool.enabled = Boolean(enabled);
+    this.output.appendLine(`[joshgpt] tool ${name} ${enabled ? "enabled" : "disabled"} for this workspace`);
+  }
+
+  async _expandMcpPrompt(server, name) {
+    const prompt = this.mcpPrompts.find((item) => item.server === server && item.name === name);
+    if (!prompt) {
+      throw new Error(`MCP prompt not found: ${server}/${name}`);
+    }
+    const args = await collectPromptArguments(prompt);
+    if (!args) {
+      return;
+    }
+    const result = await this._mcpRouter().getPrompt(server, name, args);
+    const { text, attachments } = promptToComposer(result.messages, {
+      server,
+      maxChars: this.getConfig().attachmentMaxChars
+    });
+    await this._addAttachments(attachments);
+    if (this.view) {
+      await this.view.webview.postMessage({ type: "composerText", text });
+    }
+  }
+
+  cancelPrompt() {
+    if (!this.busy || !this.abortController) {
+      return false;
+    }
+    this.output.appendLine("[joshgpt] cancelling in-flight prompt");
+    this.abortController.abort();
+    this._settleAllApprovals({ decision: "rejected", reason: "Prompt was cancelled." });
+    return true;
+  }
+
+  _requestApproval(sessionId, request) {
+    const id = `approval-${Date.now()}-${makeNonce()}`;
+    return new Promise((resolve) => {
+      this.pendingApprovals.set(id, {
+        resolve,
+        request: {
+          id,
+          sessionId,
+          toolName: String(request.toolName || ""),
+          command: String(request.command || ""),
+          cwd: String(request.cwd || ""),
+          reason: String(request.reason || "")
+        }
+      });
+      this._postState().catch((err) => {
+        const msg = err instanceof Error ? err.message : String(err);
+        this.output.appendLine(`[joshgpt] failed to show approval request: ${msg}`);
+      });
+    });
+  }
+
+  _settleApproval(id, response) {
+    const pending = this.pendingApprovals.get(id);
+    if (!pending) {
+      return;
+    }
+    this.pendingApprovals.delete(id);
+    pending.resolve(response);
+    this._postState().catch((err) => {
+      const msg = err instanceof Error ? err.message : String(err);
+      this.output.appendLine(`[joshgpt] failed to refresh state after approval: ${msg}`);
+    });
+  }
+
+  _settleAllApprovals(response) {
+    for (const id of [...this.pendingApprovals.keys()]) {
+      this._settleApproval(id, response);
+    }
+  }
+
+  async _resolveContextLength(cfg) {
+    if (cfg.contextLength > 0) {
+      return cfg.contextLength;
+    }
+    const cacheKey = `${cfg.baseUrl}|${cfg.model}`;
+    if (!this.contextLengthCache.has(cacheKey)) {
+      const detected = await getModelContextLength({
+        baseUrl: cfg.baseUrl,
+        nativeBaseUrl: cfg.nativeBaseUrl,
+        apiKey: cfg.apiKey,
+        model: cfg.model
+      });
+      this.output.appendLine(
+        `[joshgpt] context length for ${cfg.model}: ${detected || `unknown (using ${DEFAULT_CONTEXT_LENGTH})`}`
+      );
+      this.contextLengthCache.set(cacheKey, detected || DEFAULT_CONTEXT_LENGTH);
+    }
+    return this.contextLengthCache.get(cacheKey);
+  }
+
   _settingsConfig() {
     return vscode.workspace.getConfiguration("joshgpt");
   }
@@ -120,7 +465,7 @@ class JoshGptSessionViewProvider {
     const cfg = this._settingsConfig();
     const values = {};
     for (const field of SETTINGS_FIELDS) {
-      values[field.key] = cfg.get(field.key);
+      values[field.key] = field.userOnly ? getUserSetting(cfg, field.key) : cfg.get(field.key);
     }
     return {
       fields: SETTINGS_FIELDS,
@@ -146,6 +491,18 @@ class JoshGptSessionViewProvider {
         nextValue = _clampNumber(nextValue, field.min, field.max);
       } else if (field.type === "boolean") {
         nextValue = _coerceBoolean(nextValue);
+      } else if (field.type === "stringArray") {
+        if (!Array.isArray(nextValue)) {
+          throw new Error(`Invalid value for ${field.key}. Expected an array of strings.`);
+        }
+        nextValue = nextValue.map((item) => String(item || "").trim()).filter(Boolean);
+      } else if (field.type === "objectArray") {
+        if (
+          !Array.isArray(nextValue) ||
+          nextValue.some((item) => !item || typeof item !== "object" || Array.isArray(item))
+        ) {
+          throw new Error(`Invalid value for ${field.key}. Expected an array of objects.`);
+        }
       } else if (field.type === "enum") {
         const normalized = String(nextValue || "").trim();
         if (!field.enum.includes(normalized)) {
@@ -158,7 +515,7 @@ class JoshGptSessionViewProvider {
         nextValue = String(nextValue || "").trim();
       }
 
-      await cfg.update(field.key, nextValue, target);
+      await cfg.update(field.key, nextValue, field.userOnly ? vscode.ConfigurationTarget.Global : target);
     }
   }
 
@@ -171,11 +528,37 @@ class JoshGptSessionViewProvider {
     }
 
     if (type === "createSession") {
-      await this.store.createSession();
+      await this.store.createSession(undefined, this._newSessionOptions());
       await this._postState();
       return;
     }
 
+    if (type === "setSessionOverrides") {
+      const sessionId = String((message && message.sessionId) || "");
+      if (sessionId && this.store.getSessionById(sessionId)) {
+        const overrides = await this.store.setSessionOverrides(sessionId, message && message.overrides);
+        const keys = Object.keys(overrides);
+        this.output.appendLine(
+          `[joshgpt] session ${sessionId} overrides: ${keys.length ? keys.join(", ") : "cleared"}`
+        );
+        await this._postState();
+      }
+      return;
+    }
+
+    if (type === "setSessionProfile") {
+      const sessionId = String((message && message.sessionId) || "");
+      const profile = message && typeof message.profile === "string" ? message.profile : null;
+      if (sessionId && this.store.getSessionById(sessionId)) {
+        await this.store.setSessionProfile(sessionId, profile);
+        this.output.appendLine(
+          `[joshgpt] session ${sessionId} profile: ${profile === null ? "follow active" : profile || "Default"}`
+        );
+        await this._postState();
+      }
+      return;
+    }
+
     if (type === "selectSession") {
       const sessionId = String(message.sessionId || "");
       if (sessionId) {
@@ -189,11 +572,23 @@ class JoshGptSessionViewProvider {
       const sessionId = String(message.sessionId || "");
       if (sessionId) {
         await this.store.deleteSession(sessionId);
+        this.resultCaches.delete(sessionId);
         await this._postState();
       }
       return;
     }
 
+    if (type === "clearToolCache") {
+      const sessionId = String(message.sessionId || "");
+      const cache = this.resultCaches.get(sessionId);
+      if (cache) {
+        this.output.appendLine(`[joshgpt] cleared ${cache.size} cached MCP tool result(s)`);
+        cache.clear();
+      }
+      await this._postState();
+      return;
+    }
+
     if (type === "clearTrace") {
       const sessionId = String(message.sessionId || "");
       if (sessionId) {
@@ -212,11 +607,109 @@ class JoshGptSessionViewProvider {
       return;
     }
 
+    if (type === "addAttachment") {
+      await this.attachFromEditor(String((message && message.kind) || ""));
+      return;
+    }
+
+    if (type === "listMcpPrompts") {
+      await this._postMcpPrompts();
+      return;
+    }
+
+    if (type === "expandMcpPrompt") {
+      await this._expandMcpPrompt(
+        String((message && message.server) || ""),
+        String((message && message.name) || "")
+      );
+      return;
+    }
+
+    if (type === "loadToolCatalog") {
+      await this._postToolCatalog();
+      return;
+    }
+
+    if (type === "setToolEnabled") {
+      await this._setToolEnabled(
+        String((message && message.name) || ""),
+        Boolean(message && message.enabled)
+      );
+      await this._postToolCatalog();
+      return;
+    }
+
+    if (type === "resetToolToggles") {
+      await this.toolToggles.reset();
+      await this._postToolCatalog();
+      return;
+    }
+
+    if (type === "removeAttachment") {
+      const id = String((message && message.id) || "");
+      this.pendingAttachments = this.pendingAttachments.filter((attachment) => attachment.id !== id);
+      await this._postState();
+      return;
+    }
+
+    if (type === "continueAfterRoundLimit") {
+      await this._continueAfterRoundLimit(String((message && message.messageId) || ""));
+      return;
+    }
+
+    if (type === "approvalResponse") {
+      const id = String((message && message.id) || "");
+      const decision = String((message && message.decision) || "rejected");
+      this._settleApproval(id, {
+        decision: ["approved", "edited"].includes(decision) ? decision : "rejected",
+        command: String((message && message.command) || "")
+      });
+      return;
+    }
+
+    if (type === "codeAction") {
+      await this._runCodeAction(
+        String((message && message.action) || ""),
+        String((message && message.code) || ""),
+        String((message && message.lang) || "")
+      );
+      return;
+    }
+
+    if (type === "pendingEditAction") {
+      await this._handlePendingEditAction(
+        String((message && message.editId) || ""),
+        String((message && message.action) || "")
+      );
+      return;
+    }
+
+    if (type === "applyPendingEdits") {
+      await this._applyAcceptedEdits(String((message && message.messageId) || ""));
+      return;
+    }
+
+    if (type === "cancelPrompt") {
+      this.cancelPrompt();
+      return;
+    }
+
     if (type === "reloadSettings") {
       await this._postState();
       return;
     }
 
+    if (type === "setApiKey") {
+      // The settings form edits the key of the active profile.
+      const value = String((message && message.value) || "");
+      const { profileName } = this.getConfig();
+      await this.credentials.setApiKey(value, profileName);
+      this.output.appendLine(
+        `[joshgpt] API key for ${profileName ? `profile "${profileName}"` : "the default key"} ${value.trim() ? "stored" : "removed"}`
+      );
+      return;
+    }
+
     if (type === "saveSettings") {
       const values = (message && message.values) || {};
       const scope = String((message && message.scope) || "user").trim().toLowerCase();
@@ -239,14 +732,54 @@ class JoshGptSessionViewProvider {
       return;
     }
 
-    const activeSession = await this.store.ensureActiveSession();
-    await this.store.appendMessage(activeSession.id, "user", prompt);
+    const activeSession = await this.store.ensureActiveSession(this._newSessionOptions());
+    const attachments = this.pendingAttachments;
+    this.pendingAttachments = [];
+    await this.store.appendMessage(activeSession.id, "user", prompt, { attachments });
+    await this._runCompletion(activeSession.id);
+  }
+
+  /**
+   * Resumes a prompt that stopped at the tool-round limit. The model gets the
+   * history without the round-limit summary, so it picks up the tool exchange
+   * where it stopped, with a fresh budget of rounds.
+   */
+  async _continueAfterRoundLimit(messageId) {
+    if (this.busy) {
+      return;
+    }
+    const session = this.store.getActiveSession();
+    const last = session ? session.messages[session.messages.length - 1] : null;
+    if (!last || last.id !== messageId || !last.roundLimit) {
+      return;
+    }
+    await this.store.clearRoundLimit(session.id, messageId);
+    this.output.appendLine(`[joshgpt] continuing after the tool-round limit (session ${session.id})`);
+    await this._runCompletion(session.id, { excludeMessageId: messageId });
+  }
 
+  async _runCompletion(sessionId, { excludeMessageId = "" } = {}) {
     this.busy = true;
+    this.store.beginRun(sessionId);
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    const editStaging = createEditStaging();
+    let assistantMessage = null;
     await this._postState();
 
     try {
-      const cfg = this.getConfig();
+      const latestSession = this.store.getSessionById(sessionId);
+      if (!latestSession) {
+        throw new Error("Active session disappeared before completion.");
+      }
+
+      const cfg = applySessionOverrides(
+        this.getConfig({ profileName: latestSession.profile }),
+        latestSession.overrides
+      );
+      if (cfg.profileError) {
+        throw new Error(`${cfg.profileError} Pick another profile for this session in the chat header.`);
+      }
       if (!cfg.baseUrl) {
         throw new Error("joshgpt.baseUrl is empty.");
       }
@@ -254,42 +787,66 @@ class JoshGptSessionViewProvider {
         throw new Error("joshgpt.model is empty.");
       }
 
-      const latestSession = this.store.getSessionById(activeSession.id);
-      if (!latestSession) {
-        throw new Error("Active session disappeared before completion.");
-      }
-
-      const modelMessages = [];
+      const systemMessages = [];
       if (cfg.systemPrompt) {
-        modelMessages.push({ role: "system", content: cfg.systemPrompt });
-      }
-      for (const item of latestSession.messages) {
-        modelMessages.push({
-          role: item.role,
-          content: item.content
-        });
+        systemMessages.push({ role: "system", content: cfg.systemPrompt });
       }
+      const prepared = await prepareContext({
+        config: cfg,
+        systemMessages,
+        history: latestSession.messages
+          .filter((message) => message.id !== excludeMessageId)
+          .map(toModelMessage),
+        summary: latestSession.contextSummary,
+        contextLength: await this._resolveContextLength(cfg),
+        signal
+      });
+      const modelMessages = prepared.messages;
+      await this.store.updateContextState(sessionId, {
+        summary: prepared.summary,
+        usage: prepared.usage
+      });
+      await this._postState();
 
       this.output.appendLine(
-        `[joshgpt] session completion request model=${cfg.model} messages=${modelMessages.length}`
+        `[joshgpt] session completion request model=${cfg.model} messages=${modelMessages.length} est_tokens=${prepared.usage.estimatedTokens}/${prepared.usage.contextLength}`
       );
 
-      const { text, trace } = await runChatWithOptionalMcp({
-        config: cfg,
+      const { text, trace, cancelled, transcript, limitReached } = await runChatWithOptionalMcp({
+        config: { ...cfg, mcpResultCache: this._resultCacheFor(sessionId, cfg) },
         messages: modelMessages,
-        output: this.output
+        output: this.output,
+        signal,
+        onPartial: (partial) => {
+          this._postPartial(sessionId, partial);
+        },
+        requestApproval: (request) => this._requestApproval(sessionId, request),
+        editStaging
       });
 
-      await this.store.appendMessage(activeSession.id, "assistant", text);
-      await this.store.appendTraceEvents(activeSession.id, trace);
+      const finalText = cancelled
+        ? [text, "[cancelled]"].filter(Boolean).join("\n\n")
+        : text;
+      await this.store.appendMessages(sessionId, transcript);
+      assistantMessage = await this.store.appendMessage(sessionId, "assistant", finalText, {
+        roundLimit: Boolean(limitReached) && !cancelled
+      });
+      const contextTrace = prepared.events.map((event) => ({
+        timestamp: new Date().toISOString(),
+        ...event
+      }));
+      await this.store.appendTraceEvents(
+        sessionId,
+        trace.length ? [trace[0], ...contextTrace, ...trace.slice(1)] : contextTrace
+      );
     } catch (err) {
       const msg = err instanceof Error ? err.message : String(err);
-      await this.store.appendMessage(
-        activeSession.id,
+      assistantMessage = await this.store.appendMessage(
+        sessionId,
         "assistant",
         `Error: ${msg}`
       );
-      await this.store.appendTraceEvents(activeSession.id, [
+      await this.store.appendTraceEvents(sessionId, [
         {
           timestamp: new Date().toISOString(),
           type: "error",
@@ -300,22 +857,199 @@ class JoshGptSessionViewProvider {
       this.output.appendLine(`[joshgpt] session completion error: ${msg}`);
       vscode.window.showErrorMessage(msg);
     } finally {
+      const staged = editStaging.list();
+      if (staged.length && assistantMessage) {
+        await this.store.addPendingEdits(
+          sessionId,
+          staged.map((edit) => ({ ...edit, messageId: assistantMessage.id }))
+        );
+        this.output.appendLine(`[joshgpt] staged ${staged.length} pending edit(s) for review`);
+      }
+      await this.store.endRun(sessionId);
+      this._settleAllApprovals({ decision: "rejected", reason: "Prompt finished." });
       this.busy = false;
+      this.abortController = null;
+      await this._postState();
+    }
+  }
+
+  _findPendingEdit(editId) {
+    const session = this.store.getActiveSession();
+    const edit = session ? session.pendingEdits.find((item) => item.id === editId) : null;
+    return edit ? { session, edit } : null;
+  }
+
+  async _handlePendingEditAction(editId, action) {
+    const found = this._findPendingEdit(editId);
+    // Only open edits still have their contents; decided ones are final.
+    if (!found || !["pending", "accepted"].includes(found.edit.status)) {
+      return;
+    }
+    const { session, edit } = found;
+    let decision = action;
+    if (action === "diff") {
+      await openPendingEditDiff(edit);
+      const choice = await vscode.window.showInformationMessage(
+        `Accept JoshGPT changes to ${edit.path}?`,
+        "Accept",
+        "Reject"
+      );
+      decision = choice === "Accept" ? "accept" : choice === "Reject" ? "reject" : "";
+    }
+    if (decision === "accept" || decision === "reject") {
+      await this.store.setPendingEditStatus(
+        session.id,
+        [edit.id],
+        decision === "accept" ? "accepted" : "rejected"
+      );
       await this._postState();
     }
   }
 
+  async _applyAcceptedEdits(messageId) {
+    const session = this.store.getActiveSession();
+    if (!session) {
+      return;
+    }
+    const accepted = session.pendingEdits.filter(
+      (edit) => edit.messageId === messageId && edit.status === "accepted"
+    );
+    if (!accepted.length) {
+      vscode.window.showInformationMessage("JoshGPT: accept at least one file before applying.");
+      return;
+    }
+    await applyPendingEdits(accepted);
+    await this.store.setPendingEditStatus(
+      session.id,
+      accepted.map((edit) => edit.id),
+      "applied"
+    );
+    this.output.appendLine(
+      `[joshgpt] applied ${accepted.length} pending edit(s): ${accepted.map((edit) => edit.path).join(", ")}`
+    );
+    await this._postState();
+  }
+
+  async _runCodeAction(action, code, lang) {
+    if (action === "copy") {
+      await vscode.env.clipboard.writeText(code);
+      vscode.window.setStatusBarMessage("JoshGPT: code copied to clipboard", 2000);
+      return;
+    }
+    if (action === "insert") {
+      await insertAtCursor(code);
+      return;
+    }
+    if (action === "apply") {
+      await applyCodeAsDiff(code, lang);
+    }
+  }
+
+  _renderMessageHtml(message) {
+    const cacheKey = `${message.id}:${message.content.length}`;
+    if (!this.renderedHtmlCache.has(cacheKey)) {
+      this.renderedHtmlCache.set(cacheKey, renderMarkdown(message.content));
+    }
+    return this.renderedHtmlCache.get(cacheKey);
+  }
+
+  _serializeSessions() {
+    const activeSessionId = this.store.getActiveSessionId();
+    return this.store.getSessions().map((session) => {
+      const messageCount = session.messages.filter(
+        (message) => message.role !== "tool" && !message.tool_calls
+      ).length;
+      // Other sessions only appear in the session list.
+      if (session.id !== activeSessionId) {
+        return { id: session.id, title: session.title, updatedAt: session.updatedAt, messageCount };
+      }
+      return {
+        ...session,
+        messageCount,
+        // Edit contents stay in the extension; the webview lists files only.
+        pendingEdits: session.pendingEdits.map(summarizePendingEdit),
+        // Tool image data lives only in memory; persisted events hold placeholders.
+        traceEvents: session.traceEvents.map((event) =>
+          event.images
+            ? {
+                ...event,
+                images: event.images.map((image) => ({
+                  ...image,
+                  data: this.store.getTraceImageData(image.id)
+                }))
+              }
+            : event
+        ),
+        messages: session.messages.map((message) => {
+          if (message.role === "assistant" && !message.tool_calls) {
+            return { ...message, html: this._renderMessageHtml(message) };
+          }
+          if (message.attachments) {
+            return { ...message, attachments: message.attachments.map(summarizeAttachment) };
+          }
+          return message;
+        })
+      };
+    });
+  }
+
+  _resultCacheFor(sessionId, cfg) {
+    if (!cfg.mcpCacheEnabled) {
+      this.resultCaches.delete(sessionId);
+      return null;
+    }
+    if (!this.resultCaches.has(sessionId)) {
+      this.resultCaches.set(sessionId, new McpResultCache());
+    }
+    return this.resultCaches.get(sessionId);
+  }
+
+  _postPartial(sessionId, partial) {
+    if (!this.view) {
+      return;
+    }
+    this.view.webview.postMessage({
+      type: "partial",
+      payload: {
+        sessionId,
+        round: Number(partial && partial.round) || 1,
+        text: String((partial && partial.text) || "")
+      }
+    });
+  }
+
   async _postState() {
     if (!this.view) {
       return;
     }
+    const cfg = this.getConfig();
+    const cache = this.resultCaches.get(this.store.getActiveSessionId());
+    // What the open session inherits where it has no override.
+    const activeSession = this.store.getActiveSession();
+    const sessionCfg = activeSession ? this.getConfig({ profileName: activeSession.profile }) : cfg;
     await this.view.webview.postMessage({
       type: "state",
       payload: {
-        sessions: this.store.getSessions(),
+        sessions: this._serializeSessions(),
+        attachments: this.pendingAttachments.map(summarizeAttachment),
         activeSessionId: this.store.getActiveSessionId(),
         busy: this.busy,
-        settings: this._serializeSettings()
+        maxToolRounds: cfg.mcpMaxToolRounds,
+        toolCache: {
+          enabled: Boolean(cfg.mcpCacheEnabled),
+          entries: cache ? cache.size : 0
+        },
+        pendingApprovals: [...this.pendingApprovals.values()].map((item) => item.request),
+        settings: this._serializeSettings(),
+        profiles: cfg.profiles.map((profile) => profile.name),
+        activeProfile: cfg.profileName,
+        sessionDefaults: {
+          model: sessionCfg.model,
+          systemPrompt: sessionCfg.systemPrompt,
+          temperature: sessionCfg.temperature,
+          maxTokens: sessionCfg.maxTokens
+        },
+        apiKeyStored: this.credentials.hasApiKey(cfg.profileName)
       }
     });
   }
@@ -328,7 +1062,7 @@ class JoshGptSessionViewProvider {
   <meta charset="UTF-8" />
   <meta
     http-equiv="Content-Security-Policy"
-    content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';"
+    content="default-src 'none'; img-src data:; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';"
   />
   <meta name="viewport" content="width=device-width, initial-scale=1.0" />
   <title>JoshGPT Sessions</title>
@@ -401,7 +1135,7 @@ class JoshGptSessionViewProvider {
     }
     .chat {
       display: grid;
-      grid-template-rows: auto auto 1fr auto;
+      grid-template-rows: auto auto auto auto 1fr auto;
       min-width: 0;
     }
     .chat-header {
@@ -417,6 +1151,27 @@ class JoshGptSessionViewProvider {
       align-items: center;
       gap: 8px;
     }
+    .profile-select {
+      max-width: 160px;
+      padding: 2px 4px;
+      font: inherit;
+      color: inherit;
+      background: var(--vscode-dropdown-background);
+      border: 1px solid var(--vscode-dropdown-border);
+      border-radius: 4px;
+    }
+    .context-meter {
+      font-size: 11px;
+      padding: 2px 6px;
+      border-radius: 10px;
+      border: 1px solid var(--vscode-panel-border);
+      white-space: nowrap;
+      opacity: 0.85;
+    }
+    .context-meter.warn {
+      border-color: var(--vscode-inputValidation-warningBorder, var(--vscode-focusBorder));
+      opacity: 1;
+    }
     .chat-title {
       font-size: 13px;
       font-weight: 600;
@@ -446,6 +1201,105 @@ class JoshGptSessionViewProvider {
         var(--vscode-button-background)
       );
     }
+    .message.pending .message-content:empty::before {
+      content: "Thinking...";
+      opacity: 0.7;
+    }
+    .approval {
+      border: 1px solid var(--vscode-inputValidation-warningBorder, var(--vscode-focusBorder));
+      border-radius: 8px;
+      padding: 8px;
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      font-size: 12px;
+    }
+    .approval textarea {
+      min-height: 40px;
+      resize: vertical;
+      font-family: var(--vscode-editor-font-family);
+      font-size: 12px;
+      color: inherit;
+      background: var(--vscode-input-background);
+      border: 1px solid var(--vscode-input-border);
+      border-radius: 4px;
+      padding: 6px;
+    }
+    .approval-meta {
+      font-size: 11px;
+      opacity: 0.8;
+    }
+    .approval-actions {
+      display: flex;
+      gap: 8px;
+    }
+    .pending-edits {
+      margin-top: 6px;
+      border: 1px solid var(--vscode-panel-border);
+      border-radius: 6px;
+      padding: 6px;
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      font-size: 12px;
+    }
+    .round-limit-actions {
+      margin-top: 6px;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 12px;
+      opacity: 0.9;
+    }
+    .pending-edits-title {
+      font-size: 11px;
+      opacity: 0.85;
+    }
+    .pending-edit {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+    .pending-edit button {
+      padding: 2px 6px;
+      font-size: 11px;
+    }
+    .pending-edit-path {
+      flex: 1;
+      min-width: 0;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      font-family: var(--vscode-editor-font-family);
+    }
+    .pending-edit-stats,
+    .pending-edit-status {
+      font-size: 11px;
+      opacity: 0.8;
+    }
+    .pending-edit.rejected .pending-edit-path,
+    .pending-edit.expired .pending-edit-path {
+      text-decoration: line-through;
+      opacity: 0.7;
+    }
+    .pending-edit.applied .pending-edit-status {
+      color: var(--vscode-gitDecoration-addedResourceForeground, inherit);
+      opacity: 1;
+    }
+    .pending-edits-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 6px;
+    }
+    details.message.tool {
+      padding: 4px 8px;
+      font-size: 11px;
+      opacity: 0.85;
+    }
+    details.message.tool > summary {
+      cursor: pointer;
+      user-select: none;
+    }
     .message-header {
       font-size: 11px;
       opacity: 0.8;
@@ -461,6 +1315,125 @@ class JoshGptSessionViewProvider {
       font-size: 12px;
       line-height: 1.45;
     }
+    .message-content.markdown {
+      white-space: normal;
+      font-family: var(--vscode-font-family);
+      font-size: 13px;
+    }
+    .markdown > :first-child {
+      margin-top: 0;
+    }
+    .markdown > :last-child {
+      margin-bottom: 0;
+    }
+    .markdown h1,
+    .markdown h2,
+    .markdown h3,
+    .markdown h4 {
+      margin: 10px 0 6px;
+      line-height: 1.3;
+    }
+    .markdown h1 {
+      font-size: 1.3em;
+    }
+    .markdown h2 {
+      font-size: 1.18em;
+    }
+    .markdown h3,
+    .markdown h4 {
+      font-size: 1.05em;
+    }
+    .markdown p,
+    .markdown ul,
+    .markdown ol,
+    .markdown blockquote,
+    .markdown table {
+      margin: 6px 0;
+    }
+    .markdown ul,
+    .markdown ol {
+      padding-left: 20px;
+    }
+    .markdown blockquote {
+      padding-left: 8px;
+      border-left: 3px solid var(--vscode-textBlockQuote-border);
+      opacity: 0.9;
+    }
+    .markdown code {
+      font-family: var(--vscode-editor-font-family);
+      font-size: 12px;
+      background: var(--vscode-textCodeBlock-background);
+      border-radius: 3px;
+      padding: 0 3px;
+    }
+    .markdown table {
+      border-collapse: collapse;
+      font-size: 12px;
+    }
+    .markdown th,
+    .markdown td {
+      border: 1px solid var(--vscode-panel-border);
+      padding: 3px 6px;
+    }
+    .markdown a {
+      color: var(--vscode-textLink-foreground);
+    }
+    .code-block {
+      margin: 6px 0;
+      border: 1px solid var(--vscode-panel-border);
+      border-radius: 6px;
+      overflow: hidden;
+    }
+    .code-toolbar {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 3px 6px;
+      font-size: 11px;
+      background: var(--vscode-editorGroupHeader-tabsBackground);
+    }
+    .code-toolbar .code-lang {
+      flex: 1;
+      opacity: 0.8;
+    }
+    .code-toolbar button {
+      padding: 2px 6px;
+      font-size: 11px;
+    }
+    .code-block pre {
+      margin: 0;
+      padding: 8px;
+      overflow: auto;
+      background: var(--vscode-textCodeBlock-background);
+    }
+    .code-block pre code {
+      background: none;
+      padding: 0;
+      white-space: pre;
+    }
+    .tok-keyword {
+      color: var(--vscode-symbolIcon-keywordForeground, #569cd6);
+    }
+    .tok-string {
+      color: var(--vscode-debugTokenExpression-string, #ce9178);
+    }
+    .tok-number {
+      color: var(--vscode-debugTokenExpression-number, #b5cea8);
+    }
+    .tok-comment {
+      color: var(--vscode-descriptionForeground, #6a9955);
+      font-style: italic;
+    }
+    .tok-diff-add {
+      color: var(--vscode-gitDecoration-addedResourceForeground, #81b88b);
+    }
+    .tok-diff-del {
+      color: var(--vscode-gitDecoration-deletedResourceForeground, #c74e39);
+    }
+    .tok-diff-hunk,
+    .tok-diff-header {
+      color: var(--vscode-descriptionForeground);
+    }
     details.message-trace {
       margin-top: 8px;
       border-top: 1px dashed var(--vscode-panel-border);
@@ -491,6 +1464,16 @@ class JoshGptSessionViewProvider {
       line-height: 1.4;
       opacity: 0.95;
     }
+    .trace-image {
+      display: block;
+      max-width: 100%;
+      max-height: 240px;
+      margin: 4px 0;
+      border: 1px solid var(--vscode-panel-border);
+    }
+    details.message.tool.tool-error > summary {
+      color: var(--vscode-errorForeground);
+    }
     .composer {
       border-top: 1px solid var(--vscode-panel-border);
       padding: 8px;
@@ -499,6 +1482,82 @@ class JoshGptSessionViewProvider {
       gap: 8px;
       align-items: end;
     }
+    .composer-context {
+      grid-column: 1 / -1;
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 4px;
+    }
+    .composer-context button {
+      padding: 2px 6px;
+      font-size: 11px;
+    }
+    .attachment-chips {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+    }
+    .attachment-chip {
+      display: inline-flex;
+      align-items: center;
+      gap: 4px;
+      max-width: 100%;
+      padding: 1px 6px;
+      font-size: 11px;
+      border-radius: 10px;
+      border: 1px solid var(--vscode-panel-border);
+      background: var(--vscode-badge-background);
+      color: var(--vscode-badge-foreground);
+    }
+    .attachment-chip span {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    .attachment-chip button {
+      padding: 0 2px;
+      font-size: 11px;
+      line-height: 1;
+      color: inherit;
+      background: transparent;
+    }
+    .message .attachment-chips {
+      margin-bottom: 4px;
+    }
+    .slash-menu {
+      grid-column: 1 / -1;
+      max-height: 160px;
+      overflow-y: auto;
+      border: 1px solid var(--vscode-panel-border);
+      border-radius: 6px;
+      background: var(--vscode-editorWidget-background);
+      font-size: 12px;
+    }
+    .slash-item {
+      display: block;
+      padding: 4px 8px;
+      cursor: pointer;
+    }
+    .slash-item.active {
+      background: var(--vscode-list-activeSelectionBackground);
+      color: var(--vscode-list-activeSelectionForeground);
+    }
+    .slash-item .slash-description,
+    .slash-empty {
+      opacity: 0.75;
+    }
+    .slash-item .slash-description {
+      margin-left: 6px;
+    }
+    .slash-empty {
+      padding: 4px 8px;
+    }
+    .composer-actions {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+    }
     .settings {
       border-bottom: 1px solid var(--vscode-panel-border);
       margin: 0;
@@ -540,6 +1599,34 @@ class JoshGptSessionViewProvider {
       border: 1px solid var(--vscode-dropdown-border);
       border-radius: 4px;
     }
+    .settings-secret {
+      flex: 1;
+      min-width: 0;
+      padding: 2px 6px;
+      font: inherit;
+      color: var(--vscode-input-foreground);
+      background: var(--vscode-input-background);
+      border: 1px solid var(--vscode-input-border, transparent);
+      border-radius: 4px;
+    }
+    .session-field {
+      flex: 1;
+      min-width: 0;
+      padding: 2px 6px;
+      font: inherit;
+      color: var(--vscode-input-foreground);
+      background: var(--vscode-input-background);
+      border: 1px solid var(--vscode-input-border, transparent);
+      border-radius: 4px;
+    }
+    .session-field.number {
+      flex: 0 1 72px;
+    }
+    .settings-editor.session-prompt {
+      height: 72px;
+      min-height: 48px;
+      font-family: var(--vscode-font-family);
+    }
     .settings-note {
       margin: 0;
       padding: 6px 8px;
@@ -571,6 +1658,55 @@ class JoshGptSessionViewProvider {
       font-size: 11px;
       opacity: 0.9;
     }
+    .tool-list {
+      max-height: 32vh;
+      overflow: auto;
+    }
+    .tool-row {
+      padding: 6px 8px;
+      border-bottom: 1px solid var(--vscode-panel-border);
+      font-size: 12px;
+    }
+    .tool-row.unavailable {
+      opacity: 0.6;
+    }
+    .tool-row label {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      cursor: pointer;
+    }
+    .tool-name {
+      font-family: var(--vscode-editor-font-family);
+      font-weight: 600;
+    }
+    .tool-meta {
+      opacity: 0.75;
+      font-size: 11px;
+    }
+    .tool-description {
+      margin: 4px 0 0 22px;
+      opacity: 0.9;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    .tool-schema {
+      margin: 4px 0 0 22px;
+      font-size: 11px;
+    }
+    .tool-schema > summary {
+      cursor: pointer;
+      opacity: 0.8;
+    }
+    .tool-schema pre {
+      margin: 4px 0 0;
+      padding: 6px;
+      max-height: 200px;
+      overflow: auto;
+      font-family: var(--vscode-editor-font-family);
+      background: var(--vscode-editor-background);
+      border-radius: 4px;
+    }
     .composer textarea {
       min-height: 56px;
       max-height: 180px;
@@ -619,10 +1755,32 @@ class JoshGptSessionViewProvider {
       <div class="chat-header">
         <div id="chatTitle" class="chat-title">No active session</div>
         <div class="chat-actions">
+          <span id="contextMeter" class="context-meter" hidden></span>
+          <select id="sessionProfileSelect" class="profile-select" hidden></select>
+          <button id="clearToolCacheBtn" class="secondary" hidden>Clear Cache</button>
           <button id="toggleSessionsBtn" class="secondary">Show Sessions</button>
           <button id="deleteSessionBtn" class="secondary">Delete</button>
         </div>
       </div>
+      <details id="sessionPanel" class="settings">
+        <summary id="sessionPanelSummary">Session</summary>
+        <div class="settings-toolbar">
+          <label for="overrideModel">Model</label>
+          <input id="overrideModel" class="session-field" type="text" autocomplete="off" spellcheck="false" />
+        </div>
+        <div class="settings-toolbar">
+          <label for="overrideTemperature">Temperature</label>
+          <input id="overrideTemperature" class="session-field number" type="number" min="0" max="2" step="0.05" />
+          <label for="overrideMaxTokens">Max tokens</label>
+          <input id="overrideMaxTokens" class="session-field number" type="number" min="1" step="1" />
+        </div>
+        <textarea id="overrideSystemPrompt" class="settings-editor session-prompt" spellcheck="false"></textarea>
+        <div class="settings-toolbar">
+          <button id="saveOverridesBtn">Save</button>
+          <button id="resetOverridesBtn" class="secondary">Use Defaults</button>
+        </div>
+        <div id="overridesStatus" class="settings-status"></div>
+      </details>
       <details id="settingsPanel" class="settings">
         <summary>Settings</summary>
         <div class="settings-toolbar">
@@ -635,14 +1793,40 @@ class JoshGptSessionViewProvider {
           <button id="saveSettingsBtn">Save</button>
           <button id="openSettingsBtn" class="secondary">Open VS Code Settings</button>
         </div>
+        <div class="settings-toolbar">
+          <label for="apiKeyInput">API key</label>
+          <input id="apiKeyInput" class="settings-secret" type="password" autocomplete="off" spellcheck="false" />
+          <button id="setApiKeyBtn">Set</button>
+          <button id="clearApiKeyBtn" class="secondary">Clear</button>
+        </div>
         <pre id="settingsNote" class="settings-note"></pre>
         <textarea id="settingsJson" class="settings-editor" spellcheck="false"></textarea>
         <div id="settingsStatus" class="settings-status"></div>
       </details>
+      <details id="toolsPanel" class="settings">
+        <summary>Tools</summary>
+        <div class="settings-toolbar">
+          <button id="refreshToolsBtn" class="secondary">Refresh</button>
+          <button id="resetToolsBtn" class="secondary">Reset to Defaults</button>
+        </div>
+        <div id="toolsStatus" class="settings-status"></div>
+        <div id="toolList" class="tool-list"></div>
+      </details>
       <div id="messages" class="messages"></div>
       <div class="composer">
-        <textarea id="promptInput" placeholder="Ask JoshGPT..."></textarea>
-        <button id="sendBtn">Send</button>
+        <div class="composer-context">
+          <button id="attachSelectionBtn" class="secondary" title="Attach the editor selection">+ Selection</button>
+          <button id="attachFileBtn" class="secondary" title="Attach workspace files">+ Files</button>
+          <button id="attachProblemsBtn" class="secondary" title="Attach Problems-panel diagnostics">+ Problems</button>
+          <button id="attachResourceBtn" class="secondary" title="Attach an MCP server resource">+ Resource</button>
+          <div id="attachmentChips"></div>
+        </div>
+        <div id="slashMenu" class="slash-menu" hidden></div>
+        <textarea id="promptInput" placeholder="Ask JoshGPT... (/ for MCP prompts)"></textarea>
+        <div class="composer-actions">
+          <button id="stopBtn" class="secondary" hidden>Stop</button>
+          <button id="sendBtn">Send</button>
+        </div>
       </div>
     </section>
   </div>
@@ -653,21 +1837,56 @@ class JoshGptSessionViewProvider {
       sessions: [],
       activeSessionId: null,
       busy: false,
+      attachments: [],
+      pendingApprovals: [],
+      toolCache: { enabled: false, entries: 0 },
+      profiles: [],
+      activeProfile: "",
+      sessionDefaults: {},
+      apiKeyStored: false,
       settings: { fields: [], values: {}, signature: "", hasWorkspace: false }
     };
     const uiState = {
       sessionsCollapsed: true
     };
     let settingsDirty = false;
+    // Session override fields keep unsaved edits until the session changes.
+    let overridesDirty = false;
+    let overridesSessionId = null;
+    let partial = null;
+    // MCP prompts for the slash menu; null while a request is in flight.
+    let mcpPrompts = null;
+    let slashIndex = 0;
+    // Tool catalog for the Tools panel; loaded when the panel is opened.
+    let toolCatalog = null;
+    const TRACE_IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
 
     const layoutEl = document.querySelector(".layout");
     const listEl = document.getElementById("sessionList");
     const titleEl = document.getElementById("chatTitle");
     const messagesEl = document.getElementById("messages");
     const sendBtn = document.getElementById("sendBtn");
+    const stopBtn = document.getElementById("stopBtn");
     const promptInput = document.getElementById("promptInput");
     const toggleSessionsBtn = document.getElementById("toggleSessionsBtn");
     const deleteBtn = document.getElementById("deleteSessionBtn");
+    const clearToolCacheBtn = document.getElementById("clearToolCacheBtn");
+    const sessionProfileSelect = document.getElementById("sessionProfileSelect");
+    const sessionPanelSummary = document.getElementById("sessionPanelSummary");
+    const overrideModelEl = document.getElementById("overrideModel");
+    const overrideTemperatureEl = document.getElementById("overrideTemperature");
+    const overrideMaxTokensEl = document.getElementById("overrideMaxTokens");
+    const overrideSystemPromptEl = document.getElementById("overrideSystemPrompt");
+    const saveOverridesBtn = document.getElementById("saveOverridesBtn");
+    const resetOverridesBtn = document.getElementById("resetOverridesBtn");
+    const overridesStatusEl = document.getElementById("overridesStatus");
+    const contextMeterEl = document.getElementById("contextMeter");
+    const attachmentChipsEl = document.getElementById("attachmentChips");
+    const attachSelectionBtn = document.getElementById("attachSelectionBtn");
+    const attachFileBtn = document.getElementById("attachFileBtn");
+    const attachProblemsBtn = document.getElementById("attachProblemsBtn");
+    const attachResourceBtn = document.getElementById("attachResourceBtn");
+    const slashMenuEl = document.getElementById("slashMenu");
     const settingsScopeEl = document.getElementById("settingsScope");
     const settingsJsonEl = document.getElementById("settingsJson");
     const settingsNoteEl = document.getElementById("settingsNote");
@@ -675,6 +1894,14 @@ class JoshGptSessionViewProvider {
     const reloadSettingsBtn = document.getElementById("reloadSettingsBtn");
     const saveSettingsBtn = document.getElementById("saveSettingsBtn");
     const openSettingsBtn = document.getElementById("openSettingsBtn");
+    const apiKeyInput = document.getElementById("apiKeyInput");
+    const setApiKeyBtn = document.getElementById("setApiKeyBtn");
+    const clearApiKeyBtn = document.getElementById("clearApiKeyBtn");
+    const toolsPanelEl = document.getElementById("toolsPanel");
+    const toolsStatusEl = document.getElementById("toolsStatus");
+    const toolListEl = document.getElementById("toolList");
+    const refreshToolsBtn = document.getElementById("refreshToolsBtn");
+    const resetToolsBtn = document.getElementById("resetToolsBtn");
 
     function activeSession() {
       return state.sessions.find((s) => s.id === state.activeSessionId) || null;
@@ -709,7 +1936,7 @@ class JoshGptSessionViewProvider {
 
         const meta = document.createElement("div");
         meta.className = "session-meta";
-        meta.textContent = (session.messages || []).length + " msgs";
+        meta.textContent = (session.messageCount || 0) + " msgs";
 
         li.appendChild(title);
         li.appendChild(meta);
@@ -749,6 +1976,11 @@ class JoshGptSessionViewProvider {
       let assistantIndex = 0;
 
       for (const message of active.messages) {
+        if (isToolMessage(message)) {
+          messagesEl.appendChild(renderToolMessage(message));
+          continue;
+        }
+
         const wrapper = document.createElement("div");
         wrapper.className = "message " + (message.role === "assistant" ? "assistant" : "user");
 
@@ -756,11 +1988,22 @@ class JoshGptSessionViewProvider {
         header.className = "message-header";
         header.textContent = (message.role === "assistant" ? "JoshGPT" : "You") + " • " + formatTime(message.timestamp);
 
-        const content = document.createElement("pre");
-        content.className = "message-content";
-        content.textContent = message.content || "";
+        let content;
+        if (typeof message.html === "string") {
+          // Pre-rendered and sanitized by the extension (markdown-renderer.js).
+          content = document.createElement("div");
+          content.className = "message-content markdown";
+          content.innerHTML = message.html;
+        } else {
+          content = document.createElement("pre");
+          content.className = "message-content";
+          content.textContent = message.content || "";
+        }
 
         wrapper.appendChild(header);
+        if (Array.isArray(message.attachments) && message.attachments.length) {
+          wrapper.appendChild(renderAttachmentChips(message.attachments, false));
+        }
         wrapper.appendChild(content);
 
         if (message.role === "assistant") {
@@ -769,13 +2012,251 @@ class JoshGptSessionViewProvider {
           if (traceForAssistant.length) {
             wrapper.appendChild(renderInlineTrace(traceForAssistant));
           }
+          const edits = (active.pendingEdits || []).filter((edit) => edit.messageId === message.id);
+          if (edits.length) {
+            wrapper.appendChild(renderPendingEdits(message.id, edits));
+          }
+          if (message.roundLimit && message === active.messages[active.messages.length - 1]) {
+            wrapper.appendChild(renderRoundLimitActions(message.id));
+          }
         }
 
         messagesEl.appendChild(wrapper);
       }
+      renderPartial();
+      renderApprovals();
       messagesEl.scrollTop = messagesEl.scrollHeight;
     }
 
+    function renderRoundLimitActions(messageId) {
+      const container = document.createElement("div");
+      container.className = "round-limit-actions";
+      const note = document.createElement("span");
+      note.textContent = "Stopped at the tool-call round limit.";
+      container.appendChild(note);
+      const rounds = Number(state.maxToolRounds) || 1;
+      const button = document.createElement("button");
+      button.className = "secondary";
+      button.textContent = "Continue for " + rounds + " more round" + (rounds === 1 ? "" : "s");
+      button.disabled = Boolean(state.busy);
+      button.addEventListener("click", () => {
+        vscode.postMessage({ type: "continueAfterRoundLimit", messageId });
+      });
+      container.appendChild(button);
+      return container;
+    }
+
+    function isToolMessage(message) {
+      return (
+        message.role === "tool" ||
+        (Array.isArray(message.tool_calls) && message.tool_calls.length > 0)
+      );
+    }
+
+    function renderToolMessage(message) {
+      const details = document.createElement("details");
+      details.className = "message tool";
+
+      const summary = document.createElement("summary");
+      const content = document.createElement("pre");
+      content.className = "message-trace-content";
+
+      if (message.role === "tool") {
+        summary.textContent = (message.isError ? "Tool error: " : "Tool result: ") + (message.name || "tool");
+        content.textContent = message.content || "";
+        if (message.isError) {
+          details.classList.add("tool-error");
+        }
+      } else {
+        const names = message.tool_calls.map((call) => call.function.name || "tool");
+        summary.textContent = "Tool call: " + names.join(", ");
+        const parts = [];
+        if (message.content) {
+          parts.push(message.content);
+        }
+        for (const call of message.tool_calls) {
+          parts.push(call.function.name + " " + call.function.arguments);
+        }
+        content.textContent = parts.join("\\n\\n");
+      }
+
+      details.appendChild(summary);
+      if (Array.isArray(message.attachments) && message.attachments.length) {
+        details.appendChild(renderAttachmentChips(message.attachments, false));
+      }
+      details.appendChild(content);
+      return details;
+    }
+
+    // Applied, rejected and expired edits are final and have no actions.
+    function isOpenEdit(edit) {
+      return edit.status === "pending" || edit.status === "accepted";
+    }
+
+    function renderPendingEdits(messageId, edits) {
+      const container = document.createElement("div");
+      container.className = "pending-edits";
+
+      const title = document.createElement("div");
+      title.className = "pending-edits-title";
+      title.textContent = "Proposed edits (" + edits.length + ")";
+      container.appendChild(title);
+
+      for (const edit of edits) {
+        const row = document.createElement("div");
+        row.className = "pending-edit " + edit.status;
+
+        const pathEl = document.createElement("span");
+        pathEl.className = "pending-edit-path";
+        pathEl.textContent = edit.path;
+        pathEl.title = edit.path;
+
+        const stats = document.createElement("span");
+        stats.className = "pending-edit-stats";
+        stats.textContent = (edit.created ? "new • " : "") + "+" + edit.added + " −" + edit.removed;
+
+        const status = document.createElement("span");
+        status.className = "pending-edit-status";
+        status.textContent = edit.status;
+
+        row.appendChild(pathEl);
+        row.appendChild(stats);
+        row.appendChild(status);
+
+        if (isOpenEdit(edit)) {
+          for (const [action, label] of [["diff", "Diff"], ["accept", "Accept"], ["reject", "Reject"]]) {
+            const button = document.createElement("button");
+            button.className = "secondary";
+            button.textContent = label;
+            button.disabled = action === "accept" && edit.status === "accepted";
+            button.addEventListener("click", () => {
+              vscode.postMessage({ type: "pendingEditAction", editId: edit.id, action });
+            });
+            row.appendChild(button);
+          }
+        }
+        container.appendChild(row);
+      }
+
+      const acceptedCount = edits.filter((edit) => edit.status === "accepted").length;
+      const openEdits = edits.filter(isOpenEdit);
+      if (openEdits.length) {
+        const actions = document.createElement("div");
+        actions.className = "pending-edits-actions";
+        const acceptAllBtn = document.createElement("button");
+        acceptAllBtn.className = "secondary";
+        acceptAllBtn.textContent = "Accept All";
+        acceptAllBtn.addEventListener("click", () => {
+          for (const edit of openEdits) {
+            if (edit.status !== "accepted") {
+              vscode.postMessage({ type: "pendingEditAction", editId: edit.id, action: "accept" });
+            }
+          }
+        });
+        const applyBtn = document.createElement("button");
+        applyBtn.textContent = "Apply Accepted (" + acceptedCount + ")";
+        applyBtn.disabled = !acceptedCount;
+        applyBtn.addEventListener("click", () => {
+          vscode.postMessage({ type: "applyPendingEdits", messageId });
+        });
+        actions.appendChild(acceptAllBtn);
+        actions.appendChild(applyBtn);
+        container.appendChild(actions);
+      }
+      return container;
+    }
+
+    function renderApprovals() {
+      const active = activeSession();
+      const approvals = (state.pendingApprovals || []).filter(
+        (item) => active && item.sessionId === active.id
+      );
+      for (const request of approvals) {
+        const card = document.createElement("div");
+        card.className = "approval";
+
+        const title = document.createElement("div");
+        title.textContent = "Run local shell command?";
+
+        const commandEl = document.createElement("textarea");
+        commandEl.value = request.command;
+        commandEl.readOnly = true;
+        commandEl.spellcheck = false;
+
+        const meta = document.createElement("div");
+        meta.className = "approval-meta";
+        meta.textContent =
+          "cwd: " + (request.cwd || "<workspace root>") + " • " + request.reason;
+
+        const actions = document.createElement("div");
+        actions.className = "approval-actions";
+        const approveBtn = document.createElement("button");
+        approveBtn.textContent = "Approve";
+        const editBtn = document.createElement("button");
+        editBtn.className = "secondary";
+        editBtn.textContent = "Edit";
+        const rejectBtn = document.createElement("button");
+        rejectBtn.className = "secondary";
+        rejectBtn.textContent = "Reject";
+
+        editBtn.addEventListener("click", () => {
+          commandEl.readOnly = false;
+          commandEl.focus();
+          approveBtn.textContent = "Run Edited";
+          editBtn.disabled = true;
+        });
+        approveBtn.addEventListener("click", () => {
+          const edited = commandEl.value.trim();
+          const decision = !commandEl.readOnly && edited !== request.command ? "edited" : "approved";
+          vscode.postMessage({ type: "approvalResponse", id: request.id, decision, command: edited });
+        });
+        rejectBtn.addEventListener("click", () => {
+          vscode.postMessage({ type: "approvalResponse", id: request.id, decision: "rejected" });
+        });
+
+        actions.appendChild(approveBtn);
+        actions.appendChild(editBtn);
+        actions.appendChild(rejectBtn);
+        card.appendChild(title);
+        card.appendChild(commandEl);
+        card.appendChild(meta);
+        card.appendChild(actions);
+        messagesEl.appendChild(card);
+      }
+    }
+
+    function renderPartial() {
+      const active = activeSession();
+      let wrapper = document.getElementById("partialMessage");
+      if (!state.busy || !active) {
+        if (wrapper) {
+          wrapper.remove();
+        }
+        return;
+      }
+
+      if (!wrapper) {
+        wrapper = document.createElement("div");
+        wrapper.id = "partialMessage";
+        wrapper.className = "message assistant pending";
+
+        const header = document.createElement("div");
+        header.className = "message-header";
+        wrapper.appendChild(header);
+
+        const content = document.createElement("pre");
+        content.className = "message-content";
+        wrapper.appendChild(content);
+        messagesEl.appendChild(wrapper);
+      }
+
+      const current = partial && partial.sessionId === active.id ? partial : null;
+      const round = current ? current.round : 1;
+      wrapper.querySelector(".message-header").textContent =
+        "JoshGPT • " + (round > 1 ? "round " + round + " • " : "") + "generating";
+      wrapper.querySelector(".message-content").textContent = current ? current.text : "";
+    }
+
     function formatTraceLine(event) {
       const ts = formatTime(event.timestamp || "");
       const type = String(event.type || "event").toUpperCase();
@@ -819,13 +2300,130 @@ class JoshGptSessionViewProvider {
 
       const content = document.createElement("pre");
       content.className = "message-trace-content";
-      content.textContent = traceEvents.map(formatTraceLine).join("\\n\\n");
+      traceEvents.forEach((event, index) => {
+        content.appendChild(document.createTextNode((index ? "\\n\\n" : "") + formatTraceLine(event)));
+        for (const image of Array.isArray(event.images) ? event.images : []) {
+          if (!TRACE_IMAGE_TYPES.includes(image.mimeType)) {
+            continue;
+          }
+          if (!image.data) {
+            const kb = Math.max(1, Math.round((Number(image.bytes) || 0) / 1024));
+            content.appendChild(
+              document.createTextNode("\\n[Tool image (" + image.mimeType + ", " + kb + " KB) not kept after reload]")
+            );
+            continue;
+          }
+          const img = document.createElement("img");
+          img.className = "trace-image";
+          img.alt = "Tool image (" + image.mimeType + ")";
+          img.src = "data:" + image.mimeType + ";base64," + image.data;
+          content.appendChild(img);
+        }
+      });
 
       details.appendChild(summary);
       details.appendChild(content);
       return details;
     }
 
+    function formatTokenCount(value) {
+      const n = Number(value) || 0;
+      return n >= 1000 ? (n / 1000).toFixed(1) + "k" : String(n);
+    }
+
+    function renderContextMeter() {
+      const active = activeSession();
+      const usage = active && active.contextUsage;
+      if (!usage || !usage.contextLength) {
+        contextMeterEl.hidden = true;
+        return;
+      }
+      const percent = Math.round((usage.estimatedTokens / usage.contextLength) * 100);
+      contextMeterEl.hidden = false;
+      contextMeterEl.textContent =
+        "Context " + formatTokenCount(usage.estimatedTokens) + " / " +
+        formatTokenCount(usage.contextLength) + " (" + percent + "%)";
+      contextMeterEl.classList.toggle("warn", usage.estimatedTokens > usage.budget || usage.compacted);
+      contextMeterEl.title =
+        "Estimated prompt tokens for the last request. Budget " + formatTokenCount(usage.budget) +
+        " after reserving completion and tool space. Compaction: " + (usage.strategy || "-") +
+        (usage.compacted ? " (older turns compacted)" : "") +
+        (active.contextSummary ? "\\nSummary covers " + active.contextSummary.coveredMessageCount + " message(s)." : "");
+    }
+
+    function renderToolCacheButton() {
+      const cache = state.toolCache || {};
+      clearToolCacheBtn.hidden = !cache.enabled || !activeSession();
+      clearToolCacheBtn.disabled = !cache.entries;
+      clearToolCacheBtn.textContent = cache.entries ? "Clear Cache (" + cache.entries + ")" : "Clear Cache";
+      clearToolCacheBtn.title = "Forget cached MCP tool results for this session";
+    }
+
+    // Option values: "active" follows the active profile, "p:<name>" pins one ("p:" is the default settings).
+    function renderProfileSelect() {
+      const active = activeSession();
+      const profiles = Array.isArray(state.profiles) ? state.profiles : [];
+      sessionProfileSelect.hidden = !active || (!profiles.length && !(active && active.profile));
+      if (sessionProfileSelect.hidden) {
+        return;
+      }
+      const label = (name) => name || "Default";
+      const options = [{ value: "active", text: "Active profile (" + label(state.activeProfile) + ")" }];
+      for (const name of ["", ...profiles]) {
+        options.push({ value: "p:" + name, text: label(name) });
+      }
+      const pinned = typeof active.profile === "string";
+      if (pinned && active.profile && !profiles.includes(active.profile)) {
+        options.push({ value: "p:" + active.profile, text: active.profile + " (missing)" });
+      }
+      sessionProfileSelect.textContent = "";
+      for (const option of options) {
+        const el = document.createElement("option");
+        el.value = option.value;
+        el.textContent = option.text;
+        sessionProfileSelect.appendChild(el);
+      }
+      sessionProfileSelect.value = pinned ? "p:" + active.profile : "active";
+      sessionProfileSelect.disabled = state.busy;
+      sessionProfileSelect.title = "Provider profile for this session";
+    }
+
+    function renderSessionOverrides() {
+      const active = activeSession();
+      const overrides = (active && active.overrides) || {};
+      const defaults = state.sessionDefaults || {};
+      const count = Object.keys(overrides).length;
+      sessionPanelSummary.textContent = count
+        ? "Session (" + count + (count === 1 ? " override)" : " overrides)")
+        : "Session";
+      const fields = [overrideModelEl, overrideTemperatureEl, overrideMaxTokensEl, overrideSystemPromptEl];
+      for (const el of [...fields, saveOverridesBtn]) {
+        el.disabled = !active || state.busy;
+      }
+      resetOverridesBtn.disabled = !active || state.busy || !count;
+
+      const shown = (value) => (value === undefined || value === null ? "" : String(value));
+      overrideModelEl.placeholder = shown(defaults.model);
+      overrideTemperatureEl.placeholder = shown(defaults.temperature);
+      overrideMaxTokensEl.placeholder = shown(defaults.maxTokens);
+      overrideSystemPromptEl.placeholder = defaults.systemPrompt
+        ? "System prompt. Default: " + defaults.systemPrompt
+        : "System prompt. None by default.";
+
+      const sessionId = active ? active.id : null;
+      if (!overridesDirty || sessionId !== overridesSessionId) {
+        overrideModelEl.value = shown(overrides.model);
+        overrideTemperatureEl.value = shown(overrides.temperature);
+        overrideMaxTokensEl.value = shown(overrides.maxTokens);
+        overrideSystemPromptEl.value = shown(overrides.systemPrompt);
+        overridesDirty = false;
+        overridesSessionId = sessionId;
+        overridesStatusEl.textContent = active
+          ? "Applies to this session only. Empty fields use the value shown as placeholder."
+          : "No active session.";
+      }
+    }
+
     function renderLayout() {
       const collapsed = Boolean(uiState.sessionsCollapsed);
       layoutEl.classList.toggle("sessions-collapsed", collapsed);
@@ -836,6 +2434,7 @@ class JoshGptSessionViewProvider {
       sendBtn.disabled = state.busy;
       sendBtn.textContent = state.busy ? "Sending..." : "Send";
       promptInput.disabled = state.busy;
+      stopBtn.hidden = !state.busy;
     }
 
     function renderSettings(force) {
@@ -843,8 +2442,10 @@ class JoshGptSessionViewProvider {
       const values = settings.values || {};
       const fields = Array.isArray(settings.fields) ? settings.fields : [];
       const supportedKeys = fields.map((f) => f.key).join(", ");
+      const userOnlyKeys = fields.filter((f) => f.userOnly).map((f) => f.key).join(", ");
       settingsNoteEl.textContent = supportedKeys
-        ? "Editable keys: " + supportedKeys
+        ? "Editable keys: " + supportedKeys +
+          (userOnlyKeys ? ". Always saved to user settings: " + userOnlyKeys : "")
         : "No editable settings metadata received.";
 
       const workspaceAvailable = Boolean(settings.hasWorkspace);
@@ -860,12 +2461,25 @@ class JoshGptSessionViewProvider {
       }
       settingsStatusEl.textContent =
         "Workspace scope available: " + (workspaceAvailable ? "yes" : "no");
+
+      const keyScope = state.activeProfile ? " for " + state.activeProfile : "";
+      apiKeyInput.placeholder = state.apiKeyStored
+        ? "Stored in secret storage" + keyScope + " (hidden)"
+        : state.activeProfile
+          ? "Not set" + keyScope + "; sends lm-studio"
+          : "Not set; sends lm-studio";
+      clearApiKeyBtn.disabled = !state.apiKeyStored;
     }
 
     function render(forceSettings) {
       renderLayout();
       renderSessions();
       renderMessages();
+      renderContextMeter();
+      renderToolCacheButton();
+      renderProfileSelect();
+      renderSessionOverrides();
+      renderComposerAttachments();
       renderBusyState();
       renderSettings(forceSettings);
     }
@@ -880,11 +2494,68 @@ class JoshGptSessionViewProvider {
       vscode.postMessage({ type: "deleteSession", sessionId: active.id });
     });
 
+    clearToolCacheBtn.addEventListener("click", () => {
+      const active = activeSession();
+      if (!active) return;
+      vscode.postMessage({ type: "clearToolCache", sessionId: active.id });
+    });
+
+    sessionProfileSelect.addEventListener("change", () => {
+      const active = activeSession();
+      if (!active) return;
+      const value = sessionProfileSelect.value;
+      vscode.postMessage({
+        type: "setSessionProfile",
+        sessionId: active.id,
+        profile: value === "active" ? null : value.slice(2)
+      });
+    });
+
     toggleSessionsBtn.addEventListener("click", () => {
       uiState.sessionsCollapsed = !uiState.sessionsCollapsed;
       render(false);
     });
 
+    for (const el of [overrideModelEl, overrideTemperatureEl, overrideMaxTokensEl, overrideSystemPromptEl]) {
+      el.addEventListener("input", () => {
+        overridesDirty = true;
+        overridesStatusEl.textContent = "Session overrides edited but not saved.";
+      });
+    }
+
+    saveOverridesBtn.addEventListener("click", () => {
+      const active = activeSession();
+      if (!active) return;
+      const temperature = overrideTemperatureEl.value.trim();
+      const maxTokens = overrideMaxTokensEl.value.trim();
+      if (temperature && !(Number(temperature) >= 0 && Number(temperature) <= 2)) {
+        overridesStatusEl.textContent = "Temperature must be between 0 and 2.";
+        return;
+      }
+      if (maxTokens && !(Number(maxTokens) >= 1)) {
+        overridesStatusEl.textContent = "Max tokens must be at least 1.";
+        return;
+      }
+      overridesDirty = false;
+      vscode.postMessage({
+        type: "setSessionOverrides",
+        sessionId: active.id,
+        overrides: {
+          model: overrideModelEl.value,
+          temperature,
+          maxTokens,
+          systemPrompt: overrideSystemPromptEl.value
+        }
+      });
+    });
+
+    resetOverridesBtn.addEventListener("click", () => {
+      const active = activeSession();
+      if (!active) return;
+      overridesDirty = false;
+      vscode.postMessage({ type: "setSessionOverrides", sessionId: active.id, overrides: {} });
+    });
+
     settingsJsonEl.addEventListener("input", () => {
       settingsDirty = true;
       settingsStatusEl.textContent = "Settings edited but not saved.";
@@ -915,10 +2586,213 @@ class JoshGptSessionViewProvider {
       });
     });
 
+    setApiKeyBtn.addEventListener("click", () => {
+      const value = apiKeyInput.value.trim();
+      if (!value) {
+        settingsStatusEl.textContent = "Enter an API key first, or use Clear to remove the stored key.";
+        return;
+      }
+      apiKeyInput.value = "";
+      vscode.postMessage({ type: "setApiKey", value });
+    });
+
+    apiKeyInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        event.preventDefault();
+        setApiKeyBtn.click();
+      }
+    });
+
+    clearApiKeyBtn.addEventListener("click", () => {
+      apiKeyInput.value = "";
+      vscode.postMessage({ type: "setApiKey", value: "" });
+    });
+
     openSettingsBtn.addEventListener("click", () => {
       vscode.postMessage({ type: "openSettingsUi" });
     });
 
+    function loadToolCatalog() {
+      toolsStatusEl.textContent = "Loading tools...";
+      vscode.postMessage({ type: "loadToolCatalog" });
+    }
+
+    function renderToolCatalog() {
+      toolListEl.innerHTML = "";
+      if (!toolCatalog) {
+        return;
+      }
+      const tools = Array.isArray(toolCatalog.tools) ? toolCatalog.tools : [];
+      const enabledCount = tools.filter((tool) => tool.enabled).length;
+      const notes = [enabledCount + "/" + tools.length + " tool(s) enabled in this workspace."];
+      if (!toolCatalog.mcpEnabled) {
+        notes.push("MCP is disabled in settings.");
+      }
+      for (const failure of toolCatalog.failures || []) {
+        notes.push("MCP " + failure.server + " failed: " + failure.message);
+      }
+      if (toolCatalog.error) {
+        notes.push(toolCatalog.error);
+      }
+      toolsStatusEl.textContent = notes.join(" ");
+
+      for (const tool of tools) {
+        const row = document.createElement("div");
+        row.className = "tool-row" + (tool.available ? "" : " unavailable");
+
+        const label = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = Boolean(tool.enabled);
+        checkbox.addEventListener("change", () => {
+          toolsStatusEl.textContent = "Saving...";
+          vscode.postMessage({ type: "setToolEnabled", name: tool.name, enabled: checkbox.checked });
+        });
+        label.appendChild(checkbox);
+        const name = document.createElement("span");
+        name.className = "tool-name";
+        name.textContent = tool.name;
+        label.appendChild(name);
+        const meta = document.createElement("span");
+        meta.className = "tool-meta";
+        const tags = [tool.source];
+        if (!tool.defaultEnabled) {
+          tags.push("off by default");
+        }
+        if (!tool.available) {
+          tags.push("unavailable");
+        }
+        meta.textContent = tags.join(" · ");
+        label.appendChild(meta);
+        row.appendChild(label);
+
+        if (tool.description) {
+          const description = document.createElement("div");
+          description.className = "tool-description";
+          description.textContent = tool.description;
+          row.appendChild(description);
+        }
+        const schema = document.createElement("details");
+        schema.className = "tool-schema";
+        const schemaSummary = document.createElement("summary");
+        schemaSummary.textContent = "Input schema";
+        schema.appendChild(schemaSummary);
+        const schemaBody = document.createElement("pre");
+        schemaBody.textContent = tool.schema || "{}";
+        schema.appendChild(schemaBody);
+        row.appendChild(schema);
+
+        toolListEl.appendChild(row);
+      }
+    }
+
+    toolsPanelEl.addEventListener("toggle", () => {
+      if (toolsPanelEl.open && !toolCatalog) {
+        loadToolCatalog();
+      }
+    });
+
+    refreshToolsBtn.addEventListener("click", () => {
+      loadToolCatalog();
+    });
+
+    resetToolsBtn.addEventListener("click", () => {
+      toolsStatusEl.textContent = "Resetting...";
+      vscode.postMessage({ type: "resetToolToggles" });
+    });
+
+    function renderAttachmentChips(attachments, removable) {
+      const container = document.createElement("div");
+      container.className = "attachment-chips";
+      for (const attachment of attachments) {
+        const chip = document.createElement("span");
+        chip.className = "attachment-chip";
+        chip.title = attachment.label + (attachment.truncated ? " (truncated)" : "");
+
+        const label = document.createElement("span");
+        label.textContent = attachment.label + (attachment.truncated ? " …" : "");
+        chip.appendChild(label);
+
+        if (removable) {
+          const remove = document.createElement("button");
+          remove.textContent = "×";
+          remove.title = "Remove attachment";
+          remove.addEventListener("click", () => {
+            vscode.postMessage({ type: "removeAttachment", id: attachment.id });
+          });
+          chip.appendChild(remove);
+        }
+        container.appendChild(chip);
+      }
+      return container;
+    }
+
+    function renderComposerAttachments() {
+      attachmentChipsEl.innerHTML = "";
+      const attachments = Array.isArray(state.attachments) ? state.attachments : [];
+      if (attachments.length) {
+        attachmentChipsEl.appendChild(renderAttachmentChips(attachments, true));
+      }
+    }
+
+    // The menu is open while the composer holds a single "/word" token.
+    function slashQuery() {
+      const value = promptInput.value;
+      return value.startsWith("/") && !/\\s/.test(value) ? value.slice(1).toLowerCase() : null;
+    }
+
+    function slashMatches() {
+      const query = slashQuery();
+      if (query === null || !mcpPrompts) {
+        return [];
+      }
+      return mcpPrompts.prompts.filter((prompt) => prompt.command.slice(1).toLowerCase().includes(query));
+    }
+
+    function renderSlashMenu() {
+      const query = slashQuery();
+      slashMenuEl.innerHTML = "";
+      slashMenuEl.hidden = query === null;
+      if (query === null) {
+        return;
+      }
+      const matches = slashMatches();
+      slashIndex = Math.min(slashIndex, Math.max(0, matches.length - 1));
+      if (!matches.length) {
+        const empty = document.createElement("div");
+        empty.className = "slash-empty";
+        empty.textContent = !mcpPrompts
+          ? "Loading MCP prompts..."
+          : mcpPrompts.error || "No matching MCP prompts.";
+        slashMenuEl.appendChild(empty);
+        return;
+      }
+      matches.forEach((prompt, index) => {
+        const item = document.createElement("div");
+        item.className = "slash-item" + (index === slashIndex ? " active" : "");
+        const command = document.createElement("span");
+        command.textContent = prompt.command + (prompt.argumentCount ? " …" : "");
+        item.appendChild(command);
+        if (prompt.description) {
+          const description = document.createElement("span");
+          description.className = "slash-description";
+          description.textContent = prompt.description;
+          item.appendChild(description);
+        }
+        item.addEventListener("mousedown", (event) => {
+          event.preventDefault();
+          chooseSlashPrompt(prompt);
+        });
+        slashMenuEl.appendChild(item);
+      });
+    }
+
+    function chooseSlashPrompt(prompt) {
+      promptInput.value = "";
+      renderSlashMenu();
+      vscode.postMessage({ type: "expandMcpPrompt", server: prompt.server, name: prompt.name });
+    }
+
     function sendPrompt() {
       const prompt = promptInput.value.trim();
       if (!prompt || state.busy) {
@@ -928,19 +2802,116 @@ class JoshGptSessionViewProvider {
       vscode.postMessage({ type: "sendPrompt", prompt });
     }
 
+    messagesEl.addEventListener("click", (event) => {
+      const target = event.target instanceof Element ? event.target : null;
+      const button = target ? target.closest("button[data-code-action]") : null;
+      if (!button) {
+        return;
+      }
+      const block = button.closest(".code-block");
+      const codeEl = block ? block.querySelector("code") : null;
+      if (!codeEl) {
+        return;
+      }
+      vscode.postMessage({
+        type: "codeAction",
+        action: button.dataset.codeAction,
+        code: codeEl.textContent || "",
+        lang: block.dataset.lang || ""
+      });
+    });
+
+    attachSelectionBtn.addEventListener("click", () => {
+      vscode.postMessage({ type: "addAttachment", kind: "selection" });
+    });
+    attachFileBtn.addEventListener("click", () => {
+      vscode.postMessage({ type: "addAttachment", kind: "file" });
+    });
+    attachProblemsBtn.addEventListener("click", () => {
+      vscode.postMessage({ type: "addAttachment", kind: "diagnostics" });
+    });
+    attachResourceBtn.addEventListener("click", () => {
+      vscode.postMessage({ type: "addAttachment", kind: "mcpResource" });
+    });
+
     sendBtn.addEventListener("click", sendPrompt);
+    stopBtn.addEventListener("click", () => {
+      vscode.postMessage({ type: "cancelPrompt" });
+    });
+    promptInput.addEventListener("input", () => {
+      // Typing a fresh "/" refreshes the list so server changes show up.
+      if (promptInput.value === "/") {
+        mcpPrompts = null;
+        slashIndex = 0;
+        vscode.postMessage({ type: "listMcpPrompts" });
+      }
+      renderSlashMenu();
+    });
     promptInput.addEventListener("keydown", (event) => {
+      const matches = slashMenuEl.hidden ? [] : slashMatches();
+      if (!slashMenuEl.hidden && event.key === "Escape") {
+        event.preventDefault();
+        event.stopPropagation();
+        slashMenuEl.hidden = true;
+        return;
+      }
+      if (matches.length && (event.key === "ArrowDown" || event.key === "ArrowUp")) {
+        event.preventDefault();
+        const step = event.key === "ArrowDown" ? 1 : -1;
+        slashIndex = (slashIndex + step + matches.length) % matches.length;
+        renderSlashMenu();
+        return;
+      }
+      if (matches.length && (event.key === "Enter" || event.key === "Tab")) {
+        event.preventDefault();
+        chooseSlashPrompt(matches[slashIndex]);
+        return;
+      }
       if ((event.metaKey || event.ctrlKey) && event.key === "Enter") {
         sendPrompt();
       }
     });
+    document.addEventListener("keydown", (event) => {
+      if (event.key === "Escape" && state.busy) {
+        vscode.postMessage({ type: "cancelPrompt" });
+      }
+    });
 
     window.addEventListener("message", (event) => {
       const msg = event.data;
+      if (msg && msg.type === "partial") {
+        partial = msg.payload || null;
+        const pinned =
+          messagesEl.scrollHeight - messagesEl.scrollTop - messagesEl.clientHeight < 24;
+        renderPartial();
+        if (pinned) {
+          messagesEl.scrollTop = messagesEl.scrollHeight;
+        }
+        return;
+      }
+      if (msg && msg.type === "mcpPrompts") {
+        mcpPrompts = msg.payload || { prompts: [], error: "" };
+        renderSlashMenu();
+        return;
+      }
+      if (msg && msg.type === "toolCatalog") {
+        toolCatalog = msg.payload || { tools: [], failures: [], error: "" };
+        renderToolCatalog();
+        return;
+      }
+      if (msg && msg.type === "composerText") {
+        promptInput.value = String(msg.text || "");
+        promptInput.focus();
+        renderSlashMenu();
+        return;
+      }
       if (!msg || msg.type !== "state") {
         return;
       }
       const nextState = msg.payload || state;
+      if (!nextState.busy) {
+        partial = null;
+      }
       const currentSig = state && state.settings ? state.settings.signature : "";
       const nextSig = nextState && nextState.settings ? nextState.settings.signature : "";
       const forceSettings = currentSig !== nextSig;
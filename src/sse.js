@@ -0,0 +1,82 @@
+"use strict";
+
+function normalizeSseFrame(rawFrame) {
+  const lines = String(rawFrame || "")
+    .split(/\r?\n/)
+    .map((line) => line.trimEnd());
+
+  let event = "message";
+  const dataLines = [];
+  for (const line of lines) {
+    if (!line || line.startsWith(":")) {
+      continue;
+    }
+    if (line.startsWith("event:")) {
+      event = line.slice("event:".length).trim() || "message";
+      continue;
+    }
+    if (line.startsWith("data:")) {
+      dataLines.push(line.slice("data:".length).trim());
+    }
+  }
+
+  return {
+    event,
+    dataRaw: dataLines.join("\n").trim()
+  };
+}
+
+/**
+ * Reads a `text/event-stream` body frame by frame. `onFrame` may return
+ * `true` to stop early; the rest of the stream is then cancelled, as it is
+ * when `onFrame` or a read throws.
+ */
+async function readSseStream(body, onFrame) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+  let stopped = false;
+
+  function drain() {
+    while (true) {
+      const match = /\r?\n\r?\n/.exec(buffer);
+      if (!match || stopped) {
+        break;
+      }
+      const rawFrame = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+      stopped = onFrame(normalizeSseFrame(rawFrame)) === true;
+    }
+  }
+
+  let finished = false;
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) {
+        finished = true;
+        break;
+      }
+      buffer += decoder.decode(value, { stream: true });
+      drain();
+      if (stopped) {
+        return;
+      }
+    }
+
+    buffer += decoder.decode();
+    drain();
+    if (!stopped && buffer.trim()) {
+      onFrame(normalizeSseFrame(buffer));
+    }
+  } finally {
+    if (!finished) {
+      await reader.cancel().catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  normalizeSseFrame,
+  readSseStream
+};
@@ -0,0 +1,97 @@
+"use strict";
+
+const APPROVAL_POLICIES = ["always-ask", "allowlist", "never-ask"];
+const DEFAULT_APPROVAL_POLICY = "always-ask";
+
+// Allowlisted commands must be a single simple command made of plain words;
+// anything that chains, pipes, redirects, substitutes, quotes, escapes or
+// expands falls back to asking. Allow patterns see the raw text, so a quoted
+// or escaped `"--output=..."` or a glob/brace that expands to an option would
+// otherwise get past a "no leading dash" check.
+const SHELL_CONTROL_PATTERN = /[;&|`<>\n\r'"\\$*?[\]{}]/;
+
+function normalizeApprovalPolicy(value) {
+  const normalized = String(value || "").trim();
+  return APPROVAL_POLICIES.includes(normalized) ? normalized : DEFAULT_APPROVAL_POLICY;
+}
+
+function compilePatterns(patterns, { anchored }) {
+  const compiled = [];
+  const invalid = [];
+  for (const raw of Array.isArray(patterns) ? patterns : []) {
+    const source = String(raw || "").trim();
+    if (!source) {
+      continue;
+    }
+    try {
+      compiled.push({
+        source,
+        regex: new RegExp(anchored ? `^(?:${source})$` : source)
+      });
+    } catch {
+      invalid.push(source);
+    }
+  }
+  return { compiled, invalid };
+}
+
+function evaluateShellApproval(command, { policy, allowPatterns, denyPatterns } = {}) {
+  const text = String(command || "").trim();
+  const effectivePolicy = normalizeApprovalPolicy(policy);
+
+  const deny = compilePatterns(denyPatterns, { anchored: false });
+  const deniedBy = deny.compiled.find((pattern) => pattern.regex.test(text));
+  if (deniedBy) {
+    return {
+      action: "deny",
+      policy: effectivePolicy,
+      reason: `Command matches deny pattern: ${deniedBy.source}`
+    };
+  }
+
+  if (effectivePolicy === "never-ask") {
+    return {
+      action: "allow",
+      policy: effectivePolicy,
+      reason: "Approval policy is never-ask."
+    };
+  }
+
+  if (effectivePolicy === "allowlist") {
+    if (SHELL_CONTROL_PATTERN.test(text)) {
+      return {
+        action: "ask",
+        policy: effectivePolicy,
+        reason:
+          "Command uses shell chaining, pipes, redirection, quoting or expansion; allowlist does not apply."
+      };
+    }
+    const allow = compilePatterns(allowPatterns, { anchored: true });
+    const allowedBy = allow.compiled.find((pattern) => pattern.regex.test(text));
+    if (allowedBy) {
+      return {
+        action: "allow",
+        policy: effectivePolicy,
+        reason: `Command matches allow pattern: ${allowedBy.source}`
+      };
+    }
+    return {
+      action: "ask",
+      policy: effectivePolicy,
+      reason: "Command does not match any allow pattern."
+    };
+  }
+
+  return {
+    action: "ask",
+    policy: effectivePolicy,
+    reason: "Approval policy is always-ask."
+  };
+}
+
+module.exports = {
+  APPROVAL_POLICIES,
+  DEFAULT_APPROVAL_POLICY,
+  normalizeApprovalPolicy,
+  evaluateShellApproval
+};
@@ -0,0 +1,122 @@
+"use strict";
+
+const { getLocalShellOpenAiTool } = require("./local-shell-tool");
+
+const TOOL_TOGGLES_KEY = "joshgpt.toolToggles.v1";
+// MCP execution tools stay off unless the user turns them on explicitly.
+const DEFAULT_DISABLED_MCP_TOOLS = new Set(["run_host_command", "run_container_command"]);
+
+function isDefaultEnabled(tool) {
+  return !(tool.server && DEFAULT_DISABLED_MCP_TOOLS.has(String(tool.originalName || tool.name)));
+}
+
+/**
+ * `toggles` maps exposed tool names to explicit on/off choices; tools without
+ * a choice fall back to their default. `tool` is `{ name, server?, originalName? }`.
+ */
+function isToolEnabled(toggles, tool) {
+  const choice = toggles && typeof toggles === "object" ? toggles[tool.name] : undefined;
+  return typeof choice === "boolean" ? choice : isDefaultEnabled(tool);
+}
+
+/**
+ * Per-workspace tool choices kept in `workspaceState`. Choices that match the
+ * default are dropped so defaults can change later.
+ */
+function createToolToggleStore(memento) {
+  const read = () => {
+    const raw = memento.get(TOOL_TOGGLES_KEY, {});
+    return raw && typeof raw === "object" && !Array.isArray(raw) ? { ...raw } : {};
+  };
+  return {
+    get: read,
+    async set(changes) {
+      const toggles = read();
+      for (const { tool, enabled } of changes) {
+        if (Boolean(enabled) === isDefaultEnabled(tool)) {
+          delete toggles[tool.name];
+        } else {
+          toggles[tool.name] = Boolean(enabled);
+        }
+      }
+      await memento.update(TOOL_TOGGLES_KEY, toggles);
+      return toggles;
+    },
+    async reset() {
+      await memento.update(TOOL_TOGGLES_KEY, {});
+      return {};
+    }
+  };
+}
+
+function catalogEntry(openAiTool, { source, available, toggles }) {
+  const fn = openAiTool.function;
+  const tool = { name: fn.name };
+  return {
+    name: fn.name,
+    source,
+    server: "",
+    originalName: fn.name,
+    description: String(fn.description || ""),
+    inputSchema: fn.parameters || {},
+    available,
+    enabled: isToolEnabled(toggles, tool),
+    defaultEnabled: isDefaultEnabled(tool)
+  };
+}
+
+/**
+ * Lists the built-in tools and every tool the enabled MCP servers report,
+ * whether or not it is currently enabled. `router` is an `McpToolRouter`, or
+ * null when MCP is off. Returns `{ tools, failures }`.
+ */
+async function buildToolCatalog({ config, toggles, router = null, signal = null }) {
+  const tools = [
+    catalogEntry(getLocalShellOpenAiTool(), {
+      source: "built-in",
+      available: Boolean(config.localShellEnabled),
+      toggles
+    })
+  ];
+  if (config.workspaceTools) {
+    // The session view stages edits, so the catalog lists apply_edit too.
+    for (const openAiTool of config.workspaceTools.getOpenAiTools({ staging: true })) {
+      tools.push(
+        catalogEntry(openAiTool, {
+          source: "built-in",
+          available: Boolean(config.workspaceToolsEnabled),
+          toggles
+        })
+      );
+    }
+  }
+
+  let failures = [];
+  if (router) {
+    const listed = await router.listTools({ signal });
+    failures = listed.failures;
+    const localNames = new Set(tools.map((tool) => tool.name));
+    for (const tool of listed.tools) {
+      tools.push({
+        name: tool.name,
+        source: tool.server,
+        server: tool.server,
+        originalName: tool.originalName,
+        description: String(tool.description || ""),
+        inputSchema: tool.inputSchema || {},
+        // Built-in tools win name collisions, so such MCP tools never run.
+        available: !localNames.has(tool.name),
+        enabled: isToolEnabled(toggles, tool),
+        defaultEnabled: isDefaultEnabled(tool)
+      });
+    }
+  }
+  return { tools, failures };
+}
+
+module.exports = {
+  DEFAULT_DISABLED_MCP_TOOLS,
+  isToolEnabled,
+  createToolToggleStore,
+  buildToolCatalog
+};
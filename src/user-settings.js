@@ -0,0 +1,16 @@
+"use strict";
+
+/**
+ * Reads `key` from the user's own settings (local or remote user settings),
+ * falling back to the default. Workspace and folder values are ignored:
+ * they come from files a cloned repository can ship, and these settings
+ * decide what runs without asking. `cfg` is a `WorkspaceConfiguration`.
+ */
+function getUserSetting(cfg, key) {
+  const inspected = (cfg && typeof cfg.inspect === "function" && cfg.inspect(key)) || {};
+  return inspected.globalValue !== undefined ? inspected.globalValue : inspected.defaultValue;
+}
+
+module.exports = {
+  getUserSetting
+};
@@ -0,0 +1,96 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// apply_edit never writes here: git hooks run code and .vscode/settings.json
+// can loosen the extension's own approval policy. Compared case-insensitively
+// because .GIT is the same directory on Windows and default macOS volumes.
+const PROTECTED_DIRECTORIES = new Set([".git", ".vscode"]);
+
+// realpath of the deepest existing ancestor, with the missing tail re-appended,
+// so files that do not exist yet are checked against where they would land.
+async function realpathAllowingMissing(fsPath) {
+  const missing = [];
+  let current = fsPath;
+  for (;;) {
+    try {
+      return path.join(await fs.promises.realpath(current), ...missing);
+    } catch (err) {
+      if (!err || err.code !== "ENOENT") {
+        throw err;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return fsPath;
+      }
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+/** True when a root-relative path (either separator) goes through .git/ or .vscode/. */
+function isProtectedPath(relativePath) {
+  return String(relativePath)
+    .split(/[\\/]/)
+    .some((segment) => PROTECTED_DIRECTORIES.has(segment.toLowerCase()));
+}
+
+function isRelativeInside(relative) {
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolves symlinks in `fsPath` and returns where it lands relative to the
+ * real `rootFsPath`; `inside` is false when that is outside the root.
+ */
+async function resolveRealPath(rootFsPath, fsPath) {
+  const realRoot = await realpathAllowingMissing(rootFsPath);
+  const realPath = await realpathAllowingMissing(fsPath);
+  const relative = path.relative(realRoot, realPath);
+  return { realPath, relative, inside: isRelativeInside(relative) };
+}
+
+/**
+ * Returns an async predicate for existing files (e.g. search hits): true when
+ * the file's realpath is inside one of the real `rootFsPaths`. Links that
+ * point outside, and links that cannot be resolved, are rejected.
+ */
+function createRealPathFilter(rootFsPaths) {
+  let realRoots = null;
+  return async function isInsideRoots(fsPath) {
+    realRoots = realRoots || (await Promise.all(rootFsPaths.map((root) => realpathAllowingMissing(root))));
+    let realPath;
+    try {
+      realPath = await fs.promises.realpath(fsPath);
+    } catch {
+      return false;
+    }
+    return realRoots.some((root) => isRelativeInside(path.relative(root, realPath)));
+  };
+}
+
+/**
+ * Checks a file-system path a workspace tool is about to use. Returns "" when
+ * it is fine, "outside" when it (after resolving symlinks) leaves the root, or
+ * "protected" when a `write` would land under .git/ or .vscode/ either as
+ * written or after resolving symlinks.
+ */
+async function checkWorkspacePath(rootFsPath, fsPath, { write = false } = {}) {
+  if (write && isProtectedPath(path.relative(rootFsPath, fsPath))) {
+    return "protected";
+  }
+  const real = await resolveRealPath(rootFsPath, fsPath);
+  if (!real.inside) {
+    return "outside";
+  }
+  return write && isProtectedPath(real.relative) ? "protected" : "";
+}
+
+module.exports = {
+  isProtectedPath,
+  resolveRealPath,
+  checkWorkspacePath,
+  createRealPathFilter
+};
@@ -0,0 +1,472 @@
+"use strict";
+
+const path = require("path");
+const vscode = require("vscode");
+const { isProtectedPath, checkWorkspacePath, createRealPathFilter } = require("./workspace-paths");
+
+const READ_FILE_TOOL_NAME = "read_file";
+const LIST_DIRECTORY_TOOL_NAME = "list_directory";
+const SEARCH_TEXT_TOOL_NAME = "search_text";
+const APPLY_EDIT_TOOL_NAME = "apply_edit";
+// Tools that never change the workspace (or the staged edits), so the
+// runner may execute them concurrently.
+const READ_ONLY_TOOL_NAMES = new Set([
+  READ_FILE_TOOL_NAME,
+  LIST_DIRECTORY_TOOL_NAME,
+  SEARCH_TEXT_TOOL_NAME
+]);
+const WORKSPACE_TOOL_NAMES = new Set([
+  READ_FILE_TOOL_NAME,
+  LIST_DIRECTORY_TOOL_NAME,
+  SEARCH_TEXT_TOOL_NAME,
+  APPLY_EDIT_TOOL_NAME
+]);
+
+const DEFAULT_READ_MAX_CHARS = 50000;
+const LIST_DIRECTORY_MAX_ENTRIES = 500;
+const SEARCH_DEFAULT_MAX_RESULTS = 50;
+const SEARCH_MAX_RESULTS_CAP = 500;
+const SEARCH_MAX_FILES = 5000;
+const SEARCH_MAX_FILE_BYTES = 1024 * 1024;
+const SEARCH_EXCLUDE = "**/{node_modules,.git,dist,out,coverage}/**";
+
+const FILE_TYPE_LABELS = {
+  [vscode.FileType.File]: "file",
+  [vscode.FileType.Directory]: "directory",
+  [vscode.FileType.SymbolicLink]: "symlink"
+};
+
+function asInt(value, fallback) {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const err = new Error("Workspace tool cancelled.");
+    err.name = "AbortError";
+    throw err;
+  }
+}
+
+function workspaceFolders() {
+  const folders = vscode.workspace.workspaceFolders || [];
+  if (!folders.length) {
+    throw new Error("No workspace folder is open; workspace tools are unavailable.");
+  }
+  return folders;
+}
+
+function isInside(rootPath, candidatePath) {
+  const relative = path.posix.relative(rootPath, candidatePath);
+  return relative === "" || (!relative.startsWith("..") && !path.posix.isAbsolute(relative));
+}
+
+/**
+ * Resolves a tool-supplied path to a Uri inside one of the workspace folders.
+ * Relative paths resolve from the first folder; in multi-root workspaces a
+ * leading folder name selects that folder. Anything outside is rejected.
+ * This is a lexical check only; tools go through `resolveToolTarget`.
+ */
+function resolveWorkspaceUri(rawPath) {
+  return locateWorkspacePath(rawPath).uri;
+}
+
+function locateWorkspacePath(rawPath) {
+  const folders = workspaceFolders();
+  const input = String(rawPath || ".").trim().replace(/\\/g, "/") || ".";
+
+  let folder = folders[0];
+  let target;
+  if (path.posix.isAbsolute(input)) {
+    target = path.posix.normalize(input);
+    folder = folders.find((candidate) => isInside(candidate.uri.path, target));
+  } else {
+    const [head, ...rest] = input.split("/");
+    const named = folders.length > 1 ? folders.find((candidate) => candidate.name === head) : null;
+    if (named) {
+      folder = named;
+      target = path.posix.join(named.uri.path, rest.join("/") || ".");
+    } else {
+      target = path.posix.join(folder.uri.path, input);
+    }
+  }
+
+  if (!folder || !isInside(folder.uri.path, target)) {
+    throw new Error(`Path is outside the workspace folders: ${rawPath}`);
+  }
+  return { folder, uri: folder.uri.with({ path: target }) };
+}
+
+/**
+ * `resolveWorkspaceUri` plus the checks the tools need: for files on disk,
+ * symlinks are resolved before the containment check so a link inside the
+ * workspace cannot reach outside it, and `write` targets under .git/ or
+ * .vscode/ (in any letter case, before or after resolving links) are refused.
+ * Staged edits are checked again when they are written (see pending-edits.js).
+ */
+async function resolveToolTarget(rawPath, { write = false } = {}) {
+  const { folder, uri } = locateWorkspacePath(rawPath);
+  let problem = "";
+  if (uri.scheme === "file") {
+    problem = await checkWorkspacePath(folder.uri.fsPath, uri.fsPath, { write });
+  } else if (write && isProtectedPath(path.posix.relative(folder.uri.path, uri.path))) {
+    problem = "protected";
+  }
+  if (problem === "outside") {
+    throw new Error(`Path resolves outside the workspace folders: ${rawPath}`);
+  }
+  if (problem === "protected") {
+    throw new Error(`apply_edit may not change files under .git/ or .vscode/: ${rawPath}`);
+  }
+  return uri;
+}
+
+function displayPath(uri) {
+  return vscode.workspace.asRelativePath(uri, (vscode.workspace.workspaceFolders || []).length > 1);
+}
+
+async function statOrNull(uri) {
+  try {
+    return await vscode.workspace.fs.stat(uri);
+  } catch {
+    return null;
+  }
+}
+
+async function readFile(args, { staging } = {}) {
+  const uri = await resolveToolTarget(args.path);
+  const staged = staging ? staging.get(uri.toString()) : null;
+  const text = staged ? staged.proposed : (await vscode.workspace.openTextDocument(uri)).getText();
+  const lines = text.split(/\r?\n/);
+  const totalLines = lines.length;
+  const startLine = Math.min(Math.max(1, asInt(args.start_line, 1)), totalLines);
+  const endLine = Math.min(Math.max(startLine, asInt(args.end_line, totalLines)), totalLines);
+  const maxChars = Math.max(1000, asInt(args.max_chars, DEFAULT_READ_MAX_CHARS));
+
+  let content = lines.slice(startLine - 1, endLine).join("\n");
+  const truncated = content.length > maxChars;
+  if (truncated) {
+    content = content.slice(0, maxChars);
+  }
+  const result = {
+    path: displayPath(uri),
+    start_line: startLine,
+    end_line: endLine,
+    total_lines: totalLines,
+    truncated,
+    content
+  };
+  if (staged) {
+    result.pending_edit = true;
+  }
+  return result;
+}
+
+async function listDirectory(args) {
+  const uri = await resolveToolTarget(args.path);
+  const stat = await statOrNull(uri);
+  if (!stat || !(stat.type & vscode.FileType.Directory)) {
+    throw new Error(`Not a directory: ${args.path || "."}`);
+  }
+  const entries = (await vscode.workspace.fs.readDirectory(uri))
+    .map(([name, type]) => ({
+      name,
+      type: type & vscode.FileType.Directory ? "directory" : FILE_TYPE_LABELS[type] || "other"
+    }))
+    .sort((a, b) =>
+      a.type === b.type
+        ? a.name.localeCompare(b.name)
+        : Number(b.type === "directory") - Number(a.type === "directory")
+    );
+  return {
+    path: displayPath(uri) || ".",
+    truncated: entries.length > LIST_DIRECTORY_MAX_ENTRIES,
+    entries: entries.slice(0, LIST_DIRECTORY_MAX_ENTRIES)
+  };
+}
+
+function buildSearchPattern(args) {
+  const query = String(args.query || "");
+  if (!query) {
+    throw new Error("search_text requires a non-empty 'query'.");
+  }
+  const flags = args.case_sensitive ? "" : "i";
+  try {
+    return new RegExp(args.is_regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), flags);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    throw new Error(`Invalid search regex: ${msg}`);
+  }
+}
+
+async function searchText(args, { signal } = {}) {
+  const pattern = buildSearchPattern(args);
+  const include = String(args.include || "").trim() || "**/*";
+  const maxResults = Math.min(
+    SEARCH_MAX_RESULTS_CAP,
+    Math.max(1, asInt(args.max_results, SEARCH_DEFAULT_MAX_RESULTS))
+  );
+  // findFiles follows symlinks, so every hit on disk is re-checked the way
+  // resolveToolTarget checks paths.
+  const isInsideWorkspace = createRealPathFilter(
+    workspaceFolders()
+      .filter((folder) => folder.uri.scheme === "file")
+      .map((folder) => folder.uri.fsPath)
+  );
+
+  const uris = await vscode.workspace.findFiles(include, SEARCH_EXCLUDE, SEARCH_MAX_FILES);
+  const decoder = new TextDecoder("utf-8");
+  const matches = [];
+  let filesSearched = 0;
+
+  for (const uri of uris) {
+    throwIfAborted(signal);
+    if (uri.scheme === "file" && !(await isInsideWorkspace(uri.fsPath))) {
+      continue;
+    }
+    const bytes = await vscode.workspace.fs.readFile(uri);
+    if (bytes.length > SEARCH_MAX_FILE_BYTES || bytes.includes(0)) {
+      continue;
+    }
+    filesSearched += 1;
+    const lines = decoder.decode(bytes).split(/\r?\n/);
+    for (let index = 0; index < lines.length; index += 1) {
+      if (!pattern.test(lines[index])) {
+        continue;
+      }
+      matches.push({
+        path: displayPath(uri),
+        line: index + 1,
+        text: lines[index].length > 400 ? `${lines[index].slice(0, 400)}...` : lines[index]
+      });
+      if (matches.length >= maxResults) {
+        return { query: args.query, files_searched: filesSearched, truncated: true, matches };
+      }
+    }
+  }
+  return { query: args.query, files_searched: filesSearched, truncated: false, matches };
+}
+
+function countOccurrences(text, needle) {
+  let count = 0;
+  for (let index = text.indexOf(needle); index >= 0; index = text.indexOf(needle, index + 1)) {
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * Computes the new text for an apply_edit call without touching the editor.
+ * Either `content` replaces/creates the whole file, or each `edits` entry
+ * replaces exactly one occurrence of `old_text`.
+ */
+function computeEditedText(original, args) {
+  if (typeof args.content === "string") {
+    return args.content;
+  }
+  const edits = Array.isArray(args.edits) ? args.edits : [];
+  if (!edits.length) {
+    throw new Error("apply_edit requires 'edits' or 'content'.");
+  }
+  let text = original;
+  edits.forEach((edit, index) => {
+    const oldText = String((edit && edit.old_text) || "");
+    const newText = String((edit && edit.new_text) ?? "");
+    if (!oldText) {
+      throw new Error(`Edit ${index + 1} has an empty 'old_text'.`);
+    }
+    const occurrences = countOccurrences(text, oldText);
+    if (occurrences !== 1) {
+      throw new Error(
+        `Edit ${index + 1}: 'old_text' must match exactly once (found ${occurrences}).`
+      );
+    }
+    text = text.replace(oldText, () => newText);
+  });
+  return text;
+}
+
+async function applyEdit(args, { staging } = {}) {
+  // Edits are only ever staged for review; without a staging store (e.g.
+  // "JoshGPT: Ask Model") there is nowhere to review them.
+  if (!staging) {
+    throw new Error("apply_edit is only available in the session view, where edits are reviewed before they are written.");
+  }
+  const uri = await resolveToolTarget(args.path, { write: true });
+  const staged = staging ? staging.get(uri.toString()) : null;
+  const exists = staged ? !staged.created : Boolean(await statOrNull(uri));
+  if (!exists && !staged && typeof args.content !== "string") {
+    throw new Error(`File does not exist: ${args.path}. Pass 'content' to create it.`);
+  }
+
+  let document = null;
+  let original = "";
+  if (exists && !staged) {
+    document = await vscode.workspace.openTextDocument(uri);
+    original = document.getText();
+  }
+  const base = staged ? staged.proposed : original;
+  const updated = computeEditedText(base, args);
+  if (updated === base && (exists || staged)) {
+    return { path: displayPath(uri), changed: false };
+  }
+
+  // Edits are staged for review instead of written.
+  const pending = staging.stage({
+    uri: uri.toString(),
+    path: displayPath(uri),
+    original: staged ? staged.original : original,
+    proposed: updated,
+    created: !exists
+  });
+  return {
+    path: pending.path,
+    changed: true,
+    staged: true,
+    pending_edit_id: pending.id,
+    created: pending.created,
+    note: "The change is staged for user review and is not on disk until the user accepts it."
+  };
+}
+
+// apply_edit is offered only when its edits can be staged for review.
+function getWorkspaceOpenAiTools({ staging = false } = {}) {
+  const tools = [
+    {
+      type: "function",
+      function: {
+        name: READ_FILE_TOOL_NAME,
+        description:
+          "Read a text file from the open workspace, optionally limited to a 1-based line range. " +
+          "Unsaved editor changes are included.",
+        parameters: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            path: { type: "string", description: "File path relative to the workspace root." },
+            start_line: { type: "integer", minimum: 1, description: "First line to read (1-based)." },
+            end_line: { type: "integer", minimum: 1, description: "Last line to read (inclusive)." },
+            max_chars: { type: "integer", minimum: 1000, description: "Optional cap on returned characters." }
+          },
+          required: ["path"]
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: LIST_DIRECTORY_TOOL_NAME,
+        description: "List the entries of a directory in the open workspace.",
+        parameters: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            path: {
+              type: "string",
+              description: "Directory path relative to the workspace root. Defaults to the root."
+            }
+          }
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: SEARCH_TEXT_TOOL_NAME,
+        description:
+          "Search workspace text files line by line. Returns matching lines with paths and line numbers.",
+        parameters: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            query: { type: "string", description: "Text (or regex when is_regex is true) to find." },
+            is_regex: { type: "boolean", description: "Treat query as a JavaScript regular expression." },
+            case_sensitive: { type: "boolean", description: "Match case exactly. Defaults to false." },
+            include: { type: "string", description: "Optional glob limiting the files searched, e.g. src/**/*.js." },
+            max_results: {
+              type: "integer",
+              minimum: 1,
+              maximum: SEARCH_MAX_RESULTS_CAP,
+              description: "Maximum matching lines to return."
+            }
+          },
+          required: ["query"]
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: APPLY_EDIT_TOOL_NAME,
+        description:
+          "Propose a change to a workspace file. The change is not written: it is staged as a pending " +
+          "edit that the user reviews and then accepts or rejects. Provide 'edits' to replace exact " +
+          "snippets (each old_text must occur exactly once), or 'content' to replace or create the whole file.",
+        parameters: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            path: { type: "string", description: "File path relative to the workspace root." },
+            edits: {
+              type: "array",
+              items: {
+                type: "object",
+                additionalProperties: false,
+                properties: {
+                  old_text: { type: "string", description: "Exact text to replace." },
+                  new_text: { type: "string", description: "Replacement text." }
+                },
+                required: ["old_text", "new_text"]
+              }
+            },
+            content: { type: "string", description: "Full new file content." }
+          },
+          required: ["path"]
+        }
+      }
+    }
+  ];
+  return staging ? tools : tools.filter((tool) => tool.function.name !== APPLY_EDIT_TOOL_NAME);
+}
+
+/**
+ * Workspace file tools backed by the VS Code workspace API. The chat runner
+ * stays free of `vscode` imports and receives this object through config.
+ * apply_edit needs the `staging` store (see pending-edits.js) passed to
+ * `execute`: changes are staged for review and read_file sees the staged
+ * content. Without one, apply_edit is neither offered nor run.
+ */
+function createWorkspaceTools() {
+  return {
+    names: WORKSPACE_TOOL_NAMES,
+    readOnlyNames: READ_ONLY_TOOL_NAMES,
+    getOpenAiTools: getWorkspaceOpenAiTools,
+    async execute(name, args, { signal, staging } = {}) {
+      throwIfAborted(signal);
+      const input = args && typeof args === "object" ? args : {};
+      if (name === READ_FILE_TOOL_NAME) {
+        return readFile(input, { staging });
+      }
+      if (name === LIST_DIRECTORY_TOOL_NAME) {
+        return listDirectory(input);
+      }
+      if (name === SEARCH_TEXT_TOOL_NAME) {
+        return searchText(input, { signal });
+      }
+      if (name === APPLY_EDIT_TOOL_NAME) {
+        return applyEdit(input, { staging });
+      }
+      throw new Error(`Unknown workspace tool: ${name}`);
+    }
+  };
+}
+
+module.exports = {
+  WORKSPACE_TOOL_NAMES,
+  APPLY_EDIT_TOOL_NAME,
+  resolveWorkspaceUri,
+  resolveToolTarget,
+  computeEditedText,
+  createWorkspaceTools
+};